@@ -0,0 +1,21 @@
+/**
+ * models/DipReading.js
+ * Manual dip-stick measurement taken against the live level sensor, used to
+ * fit tank calibrations (services/calibrationService.js).
+ */
+const mongoose = require('mongoose');
+
+const DipReadingSchema = new mongoose.Schema({
+    tank: { type: String, required: true, enum: ['dg1', 'dg2', 'dg3'] },
+    dipLitres: { type: Number, required: true, min: 0 },    // Measured by the operator
+    rawValue: { type: Number, required: true },             // Sensor register value at that moment
+    sensorLitres: { type: Number, required: true },         // What the system showed at that moment
+    calibrationVersion: { type: Number, default: 0 },       // Calibration active when taken (0 = none)
+    operator: { type: String, default: '' },
+    note: { type: String, default: '' },
+    takenAt: { type: Date, default: Date.now }
+});
+
+DipReadingSchema.index({ tank: 1, takenAt: -1 });
+
+module.exports = mongoose.model('DipReading', DipReadingSchema);
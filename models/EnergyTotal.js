@@ -0,0 +1,18 @@
+/**
+ * models/EnergyTotal.js
+ * Running kWh total per DG, so the totaliser survives restarts.
+ * Updated with $inc by services/energyTotaliser.js.
+ */
+const mongoose = require('mongoose');
+
+const EnergyTotalSchema = new mongoose.Schema({
+    dg: { type: String, required: true, enum: ['dg1', 'dg2', 'dg3', 'dg4'] },
+    kWh: { type: Number, default: 0 },
+    source: { type: String, enum: ['meter', 'integrated'], default: 'integrated' },
+    lastMeterKwh: { type: Number, default: null },   // Last raw meter register value (meter source only)
+    updatedAt: { type: Date, default: Date.now }
+});
+
+EnergyTotalSchema.index({ dg: 1 }, { unique: true });
+
+module.exports = mongoose.model('EnergyTotal', EnergyTotalSchema);
@@ -0,0 +1,43 @@
+/**
+ * models/FuelCurve.js
+ * Versioned fuel-vs-load curve learned per DG from its run sessions
+ * (services/fuelCurveService.js). Only one version per DG is 'approved' at a
+ * time and it replaces the config/generatorProfiles.json curve; older ones
+ * are kept as 'superseded', proposals that were never decided as 'replaced'.
+ */
+const mongoose = require('mongoose');
+
+const FuelCurveSchema = new mongoose.Schema({
+    dg: { type: String, required: true },
+    version: { type: Number, required: true },
+    method: { type: String, required: true, enum: ['linear', 'scale'] },
+    fuelCurve: { type: [[Number]], required: true },  // [loadPct, litresPerHour]
+    baseCurve: { type: [[Number]], default: [] },     // Curve in force when fitted
+    intercept: { type: Number, default: null },       // linear: L/h = intercept + slope * loadPct
+    slope: { type: Number, default: null },
+    scale: { type: Number, default: null },           // scale: baseCurve * scale
+    origin: { type: String, enum: ['manual', 'auto'], default: 'manual' },
+
+    // Fitted from
+    runSessions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'RunSession' }],
+    hours: { type: Number, default: 0 },
+    minLoadPct: { type: Number, default: null },
+    maxLoadPct: { type: Number, default: null },
+    residuals: {
+        rmsLph: { type: Number, default: 0 },          // Measured vs this curve, litres/hour
+        biasPct: { type: Number, default: 0 },         // Measured fuel vs this curve's estimate, %
+        beforeRmsLph: { type: Number, default: 0 },    // Same runs with baseCurve
+        beforeBiasPct: { type: Number, default: 0 }
+    },
+
+    status: { type: String, enum: ['proposed', 'approved', 'superseded', 'rejected', 'replaced'], default: 'proposed' },
+    createdAt: { type: Date, default: Date.now },
+    approvedAt: { type: Date },
+    approvedBy: { type: String, default: '' },
+    supersededAt: { type: Date }
+});
+
+FuelCurveSchema.index({ dg: 1, version: 1 }, { unique: true });
+FuelCurveSchema.index({ dg: 1, status: 1 });
+
+module.exports = mongoose.model('FuelCurve', FuelCurveSchema);
@@ -0,0 +1,18 @@
+/**
+ * models/FuelPrice.js
+ * Diesel price history: each entry is valid from its effectiveFrom date
+ * until the next entry takes over.
+ */
+const mongoose = require('mongoose');
+
+const FuelPriceSchema = new mongoose.Schema({
+    price: { type: Number, required: true, min: 0 },          // Rupees/Liter
+    effectiveFrom: { type: Date, required: true },
+    supplier: { type: String, default: '' },
+    note: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+FuelPriceSchema.index({ effectiveFrom: 1 }, { unique: true });
+
+module.exports = mongoose.model('FuelPrice', FuelPriceSchema);
@@ -0,0 +1,39 @@
+/**
+ * models/RefillEvent.js
+ * A fuel delivery into a DG tank as detected by the level sensor
+ * (services/refillDeliveries.js), with the delivery note the operator
+ * attaches and the invoiced-vs-detected reconciliation.
+ */
+const mongoose = require('mongoose');
+
+const DeliveryNoteSchema = new mongoose.Schema({
+    supplier: { type: String, default: '' },
+    invoicedLitres: { type: Number, required: true },
+    pricePerLitre: { type: Number, default: null },
+    vehicleNumber: { type: String, default: '' },
+    noteNumber: { type: String, default: '' },      // Delivery note / invoice number
+    enteredBy: { type: String, default: '' },
+    enteredAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const RefillEventSchema = new mongoose.Schema({
+    dg: { type: String, required: true },
+    detectedAt: { type: Date, required: true },       // First detection
+    lastDetectedAt: { type: Date, required: true },   // Latest detection merged into this event
+    litres: { type: Number, required: true },         // Detected by the sensor
+    levelBefore: { type: Number, default: null },
+    levelAfter: { type: Number, default: null },
+
+    delivery: { type: DeliveryNoteSchema, default: null },
+    reconciliation: {
+        status: { type: String, enum: ['pending', 'ok', 'short', 'over'], default: 'pending' },
+        differenceLitres: { type: Number, default: null }, // Invoiced - detected (positive = short)
+        differencePct: { type: Number, default: null },
+        toleranceLitres: { type: Number, default: null }
+    }
+});
+
+RefillEventSchema.index({ dg: 1, detectedAt: -1 });
+RefillEventSchema.index({ 'reconciliation.status': 1 });
+
+module.exports = mongoose.model('RefillEvent', RefillEventSchema);
@@ -0,0 +1,49 @@
+/**
+ * models/RunSession.js
+ * One generator run (start to stop) for any DG, written by
+ * services/runSessions.js from the live data. `status: 'open'` while the DG
+ * runs; open runs are resumed after a server restart.
+ */
+const mongoose = require('mongoose');
+
+const RunSessionSchema = new mongoose.Schema({
+    dg: { type: String, required: true },
+    status: { type: String, enum: ['open', 'closed'], default: 'open' },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date },
+    lastSeenAt: { type: Date },                 // Last reading with the DG running
+    durationS: { type: Number, default: 0 },
+
+    // Fuel (null for a DG without a tank sensor)
+    startLevel: { type: Number, default: null },
+    endLevel: { type: Number, default: null },
+    fuelConsumed: { type: Number, default: null }, // Litres, consumptionEngine.js
+    refilled: { type: Number, default: 0 },
+    fuelRate: { type: Number, default: null },     // Litres/hour over the run
+
+    // Load-based estimate (the DG's fuel curve) against the tank figure above
+    estimatedFuel: { type: Number, default: null },     // Litres, live fuelRate over the run
+    estimatedFuelRate: { type: Number, default: null }, // Litres/hour, time-weighted
+    fuelDeviationPct: { type: Number, default: null },  // (fuelConsumed - estimatedFuel) / estimatedFuel
+    tankReadings: { type: Number, default: 0 },         // Tank readings during the run
+    trustedTankReadings: { type: Number, default: 0 },  // ...that sensorHealth.js scored trustworthy
+    tankQualityPct: { type: Number, default: null },
+    tankShared: { type: Boolean, default: false },      // Another DG ran off the tank too (fuel split by kW)
+
+    // Energy and load
+    kWhStart: { type: Number, default: null },     // Energy totaliser at start/end
+    kWhEnd: { type: Number, default: null },
+    energyKWh: { type: Number, default: null },
+    peakKW: { type: Number, default: 0 },
+    avgKW: { type: Number, default: 0 },           // Time-weighted
+    peakLoadPct: { type: Number, default: 0 },
+    avgLoadPct: { type: Number, default: 0 },
+    integratedS: { type: Number, default: 0 },     // Seconds the averages cover (gaps left out)
+
+    resumed: { type: Boolean, default: false }     // Continued across a server restart
+});
+
+RunSessionSchema.index({ status: 1 });
+RunSessionSchema.index({ dg: 1, startedAt: -1 });
+
+module.exports = mongoose.model('RunSession', RunSessionSchema);
@@ -0,0 +1,40 @@
+/**
+ * models/SensorHealth.js
+ * One tank level sensor's quality for one day (UTC, like the other `date`
+ * fields): sample counts, quality scores, issue counts and the day's
+ * anomalies. Written by services/sensorHealth.js in batches ($inc), so a
+ * document grows through the day.
+ */
+const mongoose = require('mongoose');
+
+const SensorAnomalySchema = new mongoose.Schema({
+    at: { type: Date, required: true },
+    type: { type: String, required: true },        // SPIKE_RECOVERY, SENSOR_FAULT, LOW_QUALITY
+    description: { type: String, default: '' },
+    level: { type: Number, default: null },         // Litres as read, when there was a reading
+    score: { type: Number, default: null }
+}, { _id: false });
+
+const SensorHealthSchema = new mongoose.Schema({
+    tank: { type: String, required: true },
+    date: { type: String, required: true },        // YYYY-MM-DD
+
+    samples: { type: Number, default: 0 },
+    onlineSamples: { type: Number, default: 0 },     // Sensor delivered a reading (not stale)
+    trustworthySamples: { type: Number, default: 0 },// Online with score >= the quality threshold
+    overrideSamples: { type: Number, default: 0 },   // Manual / out of service - left out of the %s
+    scoreSum: { type: Number, default: 0 },          // Over the non-override samples
+    minScore: { type: Number, default: 100 },
+    issueCounts: { type: Map, of: Number, default: {} }, // Issue code -> samples with it
+
+    lastScore: { type: Number, default: null },
+    lastIssues: { type: [String], default: [] },
+    lastSampleAt: { type: Date },
+
+    anomalies: { type: [SensorAnomalySchema], default: [] } // Capped, latest kept
+});
+
+SensorHealthSchema.index({ tank: 1, date: -1 }, { unique: true });
+SensorHealthSchema.index({ date: -1 });
+
+module.exports = mongoose.model('SensorHealth', SensorHealthSchema);
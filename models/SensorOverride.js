@@ -0,0 +1,33 @@
+/**
+ * models/SensorOverride.js
+ * Operator override of a tank level or electrical/engine parameter: a manual
+ * value or "out of service", with a reason and an expiry. Never deleted -
+ * every change is appended to `history` so the audit trail stays complete.
+ */
+const mongoose = require('mongoose');
+
+const OverrideHistorySchema = new mongoose.Schema({
+    action: { type: String, required: true, enum: ['created', 'updated', 'ended', 'expired'] },
+    at: { type: Date, default: Date.now },
+    by: { type: String, default: '' },
+    note: { type: String, default: '' }
+}, { _id: false });
+
+const SensorOverrideSchema = new mongoose.Schema({
+    dg: { type: String, required: true },
+    param: { type: String, default: 'level' },        // 'level' = the DG's tank sensor
+    mode: { type: String, required: true, enum: ['manual', 'outOfService'] },
+    value: { type: Number },                          // manual mode only
+    reason: { type: String, required: true },
+    createdBy: { type: String, default: '' },
+    startsAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    status: { type: String, enum: ['active', 'ended', 'expired'], default: 'active' },
+    endedAt: { type: Date },
+    history: { type: [OverrideHistorySchema], default: [] }
+});
+
+SensorOverrideSchema.index({ status: 1 });
+SensorOverrideSchema.index({ dg: 1, param: 1, startsAt: -1 });
+
+module.exports = mongoose.model('SensorOverride', SensorOverrideSchema);
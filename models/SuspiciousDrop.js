@@ -0,0 +1,25 @@
+/**
+ * models/SuspiciousDrop.js
+ * A sustained fall in a tank level while every DG was stopped - possible
+ * theft or a leak. Written by services/pilferageDetector.js; `status: 'open'`
+ * while the level is still falling.
+ */
+const mongoose = require('mongoose');
+
+const SuspiciousDropSchema = new mongoose.Schema({
+    dg: { type: String, required: true },            // Tank (named after its DG)
+    severity: { type: String, enum: ['high'], default: 'high' },
+    status: { type: String, enum: ['open', 'closed'], default: 'open' },
+    startedAt: { type: Date, required: true },       // Last reading at the level before the drop
+    detectedAt: { type: Date, required: true },      // Drop confirmed (sustained)
+    lastDropAt: { type: Date, required: true },      // Latest further fall
+    levelBefore: { type: Number, required: true },
+    levelAfter: { type: Number, required: true },
+    litres: { type: Number, required: true },        // levelBefore - levelAfter
+    toleranceLitres: { type: Number, default: null } // Allowed drop (noise + temperature) when confirmed
+});
+
+SuspiciousDropSchema.index({ startedAt: -1 });
+SuspiciousDropSchema.index({ dg: 1, startedAt: -1 });
+
+module.exports = mongoose.model('SuspiciousDrop', SuspiciousDropSchema);
@@ -0,0 +1,33 @@
+/**
+ * models/TankCalibration.js
+ * Versioned sensor calibration per tank. Only one version per tank is
+ * 'approved' at a time; older ones are kept as 'superseded' with the period
+ * they were in force, so stored levels can be traced to the calibration
+ * that produced them.
+ */
+const mongoose = require('mongoose');
+
+const TankCalibrationSchema = new mongoose.Schema({
+    tank: { type: String, required: true, enum: ['dg1', 'dg2', 'dg3'] },
+    version: { type: Number, required: true },
+    method: { type: String, required: true, enum: ['offsetGain', 'multiPoint'] },
+    gain: { type: Number, default: 1 },          // offsetGain: correctedRaw = gain * raw + offset
+    offset: { type: Number, default: 0 },
+    points: { type: [[Number]], default: [] },   // multiPoint: [raw, correctedRaw], ascending raw
+    dipReadings: [{ type: mongoose.Schema.Types.ObjectId, ref: 'DipReading' }],
+    residuals: {
+        rmsLitres: { type: Number, default: 0 },
+        maxLitres: { type: Number, default: 0 },
+        beforeRmsLitres: { type: Number, default: 0 }   // Same dips with the calibration that was active
+    },
+    status: { type: String, enum: ['proposed', 'approved', 'superseded', 'rejected'], default: 'proposed' },
+    createdAt: { type: Date, default: Date.now },
+    approvedAt: { type: Date },
+    approvedBy: { type: String, default: '' },
+    supersededAt: { type: Date }
+});
+
+TankCalibrationSchema.index({ tank: 1, version: 1 }, { unique: true });
+TankCalibrationSchema.index({ tank: 1, status: 1 });
+
+module.exports = mongoose.model('TankCalibration', TankCalibrationSchema);
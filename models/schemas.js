@@ -4,35 +4,56 @@
  * FIXED: Removed duplicate index definitions
  */
 
+const fs = require('fs');
+const path = require('path');
 const mongoose = require('mongoose');
 
+// consumptionEngine.js algorithm + config/consumptionEngine.json version behind
+// the consumption figures; reprocessedAt is set by services/historyReprocess.js
+const ENGINE_STAMP = {
+  version: { type: Number },
+  configVersion: { type: Number },
+  reprocessedAt: { type: Date }
+};
+
+// Per-tank fields, one set per diesel level sensor of config/registerMap.json
+// (read once at startup - a newly mapped tank is stored after a restart) plus
+// the original three, so older records keep loading. Only the tanks the
+// topology measures are written, so none is required. The map is only read
+// for its "diesel" keys here - validating it is services/registerMap.js's job,
+// and a broken map must not stop the models from loading.
+function mappedTankKeys() {
+  const mapPath = process.env.REGISTER_MAP_PATH || path.join(__dirname, '../config/registerMap.json');
+  try {
+    const diesel = JSON.parse(fs.readFileSync(mapPath, 'utf8')).diesel;
+    return diesel && typeof diesel === 'object' ? Object.keys(diesel) : [];
+  } catch (err) {
+    return [];
+  }
+}
+const TANK_KEYS = [...new Set(['dg1', 'dg2', 'dg3', ...mappedTankKeys()])];
+const perTank = (fields) => Object.fromEntries(TANK_KEYS.map(tankKey => [tankKey, fields()]));
+
 // ========================================
 // DIESEL CONSUMPTION SCHEMA
 // ========================================
 const DieselConsumptionSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now },
-  dg1: {
-    level: { type: Number, required: true },
-    consumption: { type: Number, default: 0 },
-    isRunning: { type: Boolean, default: false }
-  },
-  dg2: {
-    level: { type: Number, required: true },
+  ...perTank(() => ({
+    level: { type: Number },
     consumption: { type: Number, default: 0 },
-    isRunning: { type: Boolean, default: false }
-  },
-  dg3: {
-    level: { type: Number, required: true },
-    consumption: { type: Number, default: 0 },
-    isRunning: { type: Boolean, default: false }
-  },
+    isRunning: { type: Boolean, default: false },
+    calibrationVersion: { type: Number, default: 0 }, // TankCalibration version behind `level` (0 = none)
+    override: { type: String, enum: ['manual', 'outOfService'] } // Set when `level` came from a sensor override
+  })),
   total: {
     level: { type: Number, required: true },
     consumption: { type: Number, default: 0 }
   },
   date: { type: String, required: true },
   hour: { type: Number },
-  minute: { type: Number }
+  minute: { type: Number },
+  engine: ENGINE_STAMP
 }, {
   autoIndex: false // ✅ Prevent auto-indexing, we'll create indexes manually
 });
@@ -60,10 +81,26 @@ const ElectricalReadingSchema = new mongoose.Schema({
   frequency: { type: Number, default: 0 },
   powerFactor: { type: Number, default: 0 },
   activePower: { type: Number, default: 0 },
-  reactivePower: { type: Number, default: 0 },
-  energyMeter: { type: Number, default: 0 },
+  reactivePower: { type: Number, default: 0 },      // kVAr
+  // Derived per reading (services/powerCalculations.js)
+  apparentPower: { type: Number, default: 0 },      // kVA
+  voltageRY: { type: Number, default: 0 },
+  voltageYB: { type: Number, default: 0 },
+  voltageBR: { type: Number, default: 0 },
+  voltageUnbalance: { type: Number, default: 0 },   // %
+  currentUnbalance: { type: Number, default: 0 },   // %
+  neutralCurrent: { type: Number, default: 0 },     // A (estimate)
+  energyMeter: { type: Number },       // Cumulative kWh (services/energyTotaliser.js)
   runningHours: { type: Number, default: 0 },
   windingTemp: { type: Number, default: 0 },
+  // Engine health - only stored when mapped in config/registerMap.json
+  rpm: { type: Number },
+  oilPressure: { type: Number },      // bar
+  coolantTemp: { type: Number },      // °C
+  batteryVoltage: { type: Number },   // V
+  fuelRackAlarm: { type: Number },    // 0 / 1
+  // Params under a sensor override when this was stored (services/sensorOverrides.js)
+  overrides: { type: [{ param: String, mode: String, _id: false }], default: undefined },
   date: { type: String, required: true },
   hour: { type: Number }
 }, {
@@ -88,29 +125,22 @@ const DailySummarySchema = new mongoose.Schema({
     type: String, 
     required: true
   },
-  dg1: {
-    startLevel: { type: Number, required: true },
-    endLevel: { type: Number, required: true },
-    totalConsumption: { type: Number, default: 0 },
-    runningHours: { type: Number, default: 0 }
-  },
-  dg2: {
-    startLevel: { type: Number, required: true },
-    endLevel: { type: Number, required: true },
-    totalConsumption: { type: Number, default: 0 },
-    runningHours: { type: Number, default: 0 }
-  },
-  dg3: {
-    startLevel: { type: Number, required: true },
-    endLevel: { type: Number, required: true },
+  ...perTank(() => ({
+    startLevel: { type: Number },
+    endLevel: { type: Number },
     totalConsumption: { type: Number, default: 0 },
+    refilled: { type: Number, default: 0 },
     runningHours: { type: Number, default: 0 }
-  },
+  })),
   total: {
     startLevel: { type: Number, required: true },
     endLevel: { type: Number, required: true },
-    totalConsumption: { type: Number, default: 0 }
+    totalConsumption: { type: Number, default: 0 },
+    refilled: { type: Number, default: 0 }
   },
+  // Litres per DG - tank drops split between the DGs each tank feeds (services/topology.js)
+  consumptionByDg: { type: Map, of: Number, default: {} },
+  engine: ENGINE_STAMP,
   timestamp: { type: Date, default: Date.now }
 }, {
   autoIndex: false
@@ -3,9 +3,9 @@
  * * LOGIC SUMMARY:
  * 1. Fetches Diesel Data AND Raw Electrical Data separately.
  * 2. Merges them based on timestamps (Synchronization).
- * 3. VERIFICATION:
- * - Consumption is ONLY counted if Fuel drops > 1.0L AND Active Power > 0.
- * - Refills are ONLY counted if Fuel rises > 25.0L.
+ * 3. VERIFICATION (consumptionEngine.js, config/consumptionEngine.json):
+ * - Consumption is ONLY counted if Fuel drops past the noise threshold while the DG runs.
+ * - Refills are ONLY counted if Fuel rises past the refill threshold.
  * * * NEW FIX: 
  * - Filters out invalid '0' or '1' liter readings to prevent Ghost Refills.
  */
@@ -14,12 +14,29 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const ExcelJS = require('exceljs'); 
-const { getSystemData } = require('../services/plcService');
+const { getSystemData, reloadRegisterMap } = require('../services/plcService');
+const { getRegisterMap, getGeneratorKeys } = require('../services/registerMap');
+const generatorProfiles = require('../services/generatorProfiles');
+const fuelPriceService = require('../services/fuelPriceService');
+const energyTotaliser = require('../services/energyTotaliser');
+const sfcService = require('../services/sfcService');
+const tankProfiles = require('../services/tankProfiles');
+const calibrationService = require('../services/calibrationService');
+const sensorOverrides = require('../services/sensorOverrides');
+const eventBus = require('../services/eventBus');
+const consumptionEngine = require('../services/consumptionEngine');
+const topology = require('../services/topology');
+const runSessions = require('../services/runSessions');
+const refillDeliveries = require('../services/refillDeliveries');
+const pilferageDetector = require('../services/pilferageDetector');
+const sensorHealth = require('../services/sensorHealth');
+const historyReprocess = require('../services/historyReprocess');
+const tuningPreview = require('../services/tuningPreview');
+const fuelCurveService = require('../services/fuelCurveService');
 const { DieselConsumption, ElectricalReading } = require('../models/schemas');
 
 // --- CONSTANTS ---
-const CONSUMPTION_THRESHOLD = 1.0; // Liters: Ignore drops smaller than this
-const REFILL_THRESHOLD = 25;     // Liters: Ignore rises smaller than this
+// Consumption/refill thresholds: config/consumptionEngine.json (consumptionEngine.js)
 const LOGO_PATH = path.join(__dirname, '../public/logo.png');
 
 // ============================================================
@@ -36,154 +53,155 @@ function findClosestReading(electricalRecords, targetTime) {
     });
 }
 
+// ============================================================
+// 2. HELPER: Records for a consumption report (dashboard + export)
+// ============================================================
+async function loadConsumptionRecords(dgKey, startDate, endDate) {
+    const start = new Date(startDate); start.setHours(0, 0, 0, 0);
+    const end = new Date(endDate); end.setHours(23, 59, 59, 999);
+
+    // 1. Fetch DIESEL Data
+    const dieselRecords = await DieselConsumption.find({ 
+        timestamp: { $gte: start, $lte: end } 
+    }).sort({ timestamp: 1 }).lean();
+
+    // 2. Fetch ELECTRICAL Data (For Verification)
+    // Only the DGs the tank feeds (topology.js) to save memory ('total' needs every sensed tank's)
+    const tankKeys = dgKey === 'total' ? topology.getSensedTanks() : [dgKey];
+    const electricalRecords = await ElectricalReading.find({
+        dg: { $in: [...new Set(tankKeys.flatMap(topology.getSuppliedDgs))] },
+        timestamp: { $gte: start, $lte: end }
+    })
+    .select('timestamp dg activePower currentR currentY currentB voltageR') // Added voltageR
+    .sort({ timestamp: 1 })
+    .lean();
+
+    // 3. Append Live Data (If viewing today)
+    const todayStr = new Date().toISOString().split('T')[0];
+    if (endDate >= todayStr) {
+        const liveData = getSystemData();
+        if (liveData && liveData.lastUpdate) {
+            const liveTank = (tankKey) => {
+                const { running, loads } = consumptionEngine.feedState(topology.getSuppliedDgs(tankKey), liveData.electrical);
+                return { level: liveData[tankKey], isRunning: running, loads, override: liveData.tanks?.[tankKey]?.override };
+            };
+            dieselRecords.push({
+                timestamp: new Date(), date: todayStr,
+                ...Object.fromEntries(topology.getSensedTanks().map(tankKey => [tankKey, liveTank(tankKey)])),
+                total: { level: liveData.total }
+            });
+        }
+    }
+    return { dieselRecords, electricalRecords };
+}
+
 // ============================================================
 // CORE LOGIC: MERGE & VERIFY (TOTAL = SUM OF PARTS)
 // ✅ Fixed: Calculates DG1+DG2+DG3 separately to prevent errors
+// ✅ Detection is consumptionEngine.js - same numbers as live tracking and the daily summary
+// ✅ Each tank's drops are split between the DGs it feeds (topology.js) -> consumptionByDg
 // ============================================================
+const ENGINE_NOTES = {
+    initial: "Stable",
+    stable: "Stable",
+    rebaselined: "Stable",
+    consumption: "Consumption",
+    drainedWhileOff: "Drop (Gen OFF)",
+    rise: "Rise (Gen OFF)",
+    refill: "Refill Detected"
+};
+
 function calculateVerifiedConsumption(dieselRecords, electricalRecords, dgKey) {
     
     // --------------------------------------------------------
     // CASE 1: HANDLE 'TOTAL' BY SUMMING INDIVIDUALS
     // --------------------------------------------------------
     if (dgKey === 'total') {
-        const r1 = calculateVerifiedConsumption(dieselRecords, electricalRecords, 'dg1');
-        const r2 = calculateVerifiedConsumption(dieselRecords, electricalRecords, 'dg2');
-        const r3 = calculateVerifiedConsumption(dieselRecords, electricalRecords, 'dg3');
+        const parts = topology.getSensedTanks().map(key => calculateVerifiedConsumption(dieselRecords, electricalRecords, key));
+        const [first, ...others] = parts; // topology.js guarantees at least one sensed tank
+        const sumOf = (field) => Number(parts.reduce((s, r) => s + (r[field] || 0), 0).toFixed(2));
 
-        // 1. Sum up the Consumption (9 + 0 + 5 = 14)
-        // This prevents DG2's +2L rise from cancelling DG1's consumption.
-        const finalTotalConsumption = r1.totalConsumption + r2.totalConsumption + r3.totalConsumption;
+        // 1. Merge Refill Events
+        const allEvents = parts.flatMap(r => r.events).sort((a, b) => new Date(a.time) - new Date(b.time));
 
-        // 2. Merge Refill Events
-        const allEvents = [...r1.events, ...r2.events, ...r3.events].sort((a, b) => new Date(a.time) - new Date(b.time));
-
-        // 3. Merge Graph Data (Time-Sync)
-        const mergedData = r1.processedData.map((d1, i) => {
-            const d2 = r2.processedData[i] || {};
-            const d3 = r3.processedData[i] || {};
+        // 2. Merge Graph Data (Time-Sync)
+        const mergedData = first.processedData.map((d1, i) => {
+            const rows = [d1, ...others.map(r => r.processedData[i] || {})];
             
             return {
                 timestamp: d1.timestamp,
                 date: d1.date,
                 // Sum levels and consumptions
-                cleanLevel: (d1.cleanLevel || 0) + (d2.cleanLevel || 0) + (d3.cleanLevel || 0),
-                consumption: (d1.consumption || 0) + (d2.consumption || 0) + (d3.consumption || 0),
-                isRunning: d1.isRunning || d2.isRunning || d3.isRunning, 
+                cleanLevel: rows.reduce((s, d) => s + (d.cleanLevel || 0), 0),
+                consumption: rows.reduce((s, d) => s + (d.consumption || 0), 0),
+                isRunning: rows.some(d => d.isRunning), 
                 note: "Aggregated",
                 electricalInfo: "Aggregated"
             };
         });
 
+        // 3. Per-DG shares - a DG is fed by one tank, so they simply add up
+        const consumptionByDg = {};
+        for (const part of parts) Object.assign(consumptionByDg, part.consumptionByDg);
+
+        // 4. Sum the totals (9 + 0 + 5 = 14) - DG2's +2L rise can't cancel DG1's consumption
         return {
-            totalConsumption: Number(finalTotalConsumption.toFixed(2)),
+            totalConsumption: sumOf('totalConsumption'),
+            consumptionByDg,
+            unattributed: sumOf('unattributed'),
+            totalRefilled: sumOf('totalRefilled'),
+            drainedWhileOff: sumOf('drainedWhileOff'),
+            excludedChange: sumOf('excludedChange'),
+            startLevel: sumOf('startLevel'),
+            endLevel: sumOf('endLevel'),
+            massBalance: sumOf('massBalance'),
             processedData: mergedData,
             events: allEvents
         };
     }
 
     // --------------------------------------------------------
-    // CASE 2: STANDARD LOGIC (For Single Tanks)
+    // CASE 2: SINGLE TANK (consumptionEngine.js)
     // --------------------------------------------------------
-    const cleanRecords = dieselRecords.filter(r => {
-        const lvl = r[dgKey]?.level;
-        return typeof lvl === 'number' && lvl > 1; 
-    });
-
-    if (!cleanRecords || cleanRecords.length === 0) {
-        return { totalConsumption: 0, processedData: [], events: [] };
-    }
-
-    cleanRecords.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const records = [...dieselRecords].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     if (electricalRecords) electricalRecords.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
-    const startLevel = cleanRecords[0][dgKey]?.level || 0;
-    const endLevel = cleanRecords[cleanRecords.length - 1][dgKey]?.level || 0;
-
-    let processedData = [];
-    let events = [];
-    let effectiveLevel = startLevel;
-    let totalRefilled = 0;
-    let eIdx = 0; 
-    const maxTimeDiff = 2 * 60 * 1000; 
-
-    for (let i = 0; i < cleanRecords.length; i++) {
-        const record = cleanRecords[i];
-        const currentLevel = record[dgKey]?.level || 0;
-        const timestamp = new Date(record.timestamp);
-        const recordTime = timestamp.getTime();
-
-        // Electrical Lookup
-        let electricalData = null;
-        if (electricalRecords && electricalRecords.length > 0) {
-            while (eIdx < electricalRecords.length) {
-                const eTime = new Date(electricalRecords[eIdx].timestamp).getTime();
-                if (eTime < recordTime - maxTimeDiff) eIdx++;
-                else break;
-            }
-            if (eIdx < electricalRecords.length) {
-                const eTime = new Date(electricalRecords[eIdx].timestamp).getTime();
-                if (Math.abs(eTime - recordTime) <= maxTimeDiff) electricalData = electricalRecords[eIdx];
-            }
-        }
-
-        let isPowerOn = false;
-        let electricalDebug = "No Data";
-        if (electricalData) {
-            isPowerOn = (electricalData.voltageR > 100);
-            electricalDebug = isPowerOn ? `ON (${electricalData.activePower}kW)` : "OFF (0V)";
-        } else {
-            isPowerOn = record[dgKey]?.isRunning || false;
-            electricalDebug = isPowerOn ? "Flag ON" : "No Data";
-        }
-
-        const diff = effectiveLevel - currentLevel;
-        let consumption = 0;
-        let note = "Stable";
-
-        // REFILL (> 25L)
-        if (diff < -REFILL_THRESHOLD) { 
-            const refillAmount = Math.abs(diff);
-            note = "Refill Detected";
-            events.push({ type: 'refill', amount: refillAmount, time: timestamp });
-            totalRefilled += refillAmount; 
-            effectiveLevel = currentLevel; 
-        }
-        // CONSUMPTION (> 1L)
-        else if (diff > 1.0) {
-            if (isPowerOn) {
-                consumption = diff;
-                note = "Consumption";
-                effectiveLevel = currentLevel; 
-            } else {
-                note = "Noise (Gen OFF)";
-                effectiveLevel = currentLevel;
-            }
-        }
-        // RECOVERY
-        else if (diff < 0) {
-             if (!isPowerOn) effectiveLevel = currentLevel;
-        }
+    const dgKeys = topology.getSuppliedDgs(dgKey);
+    const readings = consumptionEngine.readingsFromRecords(records, (electricalRecords || []).filter(e => dgKeys.includes(e.dg)), dgKey, dgKeys);
+    const result = consumptionEngine.analyse(readings);
 
+    const processedData = [];
+    result.points.forEach((point, i) => {
+        // Ghost 0/1 L readings and impossible drops are not plotted either
+        if (point.status === 'invalid') return;
+        const timestamp = new Date(records[i].timestamp);
         processedData.push({
-            timestamp: record.timestamp,
-            date: record.timestamp.toISOString().split('T')[0],
-            cleanLevel: currentLevel,
-            consumption: consumption,
-            isRunning: isPowerOn,
-            note: note,
-            electricalInfo: electricalDebug
+            timestamp: records[i].timestamp,
+            date: timestamp.toISOString().split('T')[0],
+            cleanLevel: point.level,
+            consumption: point.consumption,
+            isRunning: point.running,
+            note: point.override
+                ? (point.override === 'manual' ? "Manual Override" : "Sensor Out of Service")
+                : ENGINE_NOTES[point.status],
+            status: point.status,
+            override: point.override,
+            electricalInfo: readings[i].electricalInfo
         });
-    }
-
-    // Mass Balance for Single Tank
-    const adjustedEndLevel = endLevel - totalRefilled;
-    let finalConsumption = startLevel - adjustedEndLevel;
-    finalConsumption = Math.max(0, finalConsumption);
+    });
 
     return { 
-        totalConsumption: Number(finalConsumption.toFixed(2)), 
+        totalConsumption: result.totalConsumption, 
+        consumptionByDg: result.consumptionByDg,
+        unattributed: result.unattributed,
+        totalRefilled: result.totalRefilled,
+        drainedWhileOff: result.drainedWhileOff,
+        excludedChange: result.excludedChange,
+        startLevel: result.startLevel || 0,
+        endLevel: result.endLevel || 0,
+        massBalance: result.massBalance,
         processedData, 
-        events 
+        events: result.events
     };
 }
 
@@ -195,58 +213,67 @@ router.get('/data', (req, res) => {
     try { res.json(getSystemData()); } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// Live acquisition events (Server-Sent Events). ?types=dgStarted,refillDetected narrows the stream.
+router.get('/events', (req, res) => {
+    const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : [eventBus.ALL];
+    const unknown = types.filter(t => t !== eventBus.ALL && !eventBus.TYPES.includes(t));
+    if (unknown.length) {
+        return res.status(400).json({ success: false, error: `Unknown event type(s): ${unknown.join(', ')}. Valid: ${eventBus.TYPES.join(', ')}` });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    // compression() buffers - flush after every write or the client sees nothing
+    const send = (text) => { res.write(text); if (res.flush) res.flush(); };
+    send(`retry: 5000\n\n`);
+
+    const unsubscribe = eventBus.subscribe(types, (event) => {
+        send(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    const heartbeat = setInterval(() => send(`: keep-alive\n\n`), 25000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
 router.get('/consumption', async (req, res) => {
     try {
         const { dg, startDate, endDate } = req.query;
         if (!startDate || !endDate) return res.status(400).json({ error: 'Dates required' });
         
-        const start = new Date(startDate); start.setHours(0, 0, 0, 0);
-        const end = new Date(endDate); end.setHours(23, 59, 59, 999);
-
-        // 1. Fetch DIESEL Data
-        let dieselRecords = await DieselConsumption.find({ 
-            timestamp: { $gte: start, $lte: end } 
-        }).sort({ timestamp: 1 }).lean();
-
-        // 2. Fetch ELECTRICAL Data (For Verification)
-        let electricalRecords = [];
+        // 1-3. Diesel + electrical records, plus the live reading when viewing today
         const dgKey = dg || 'dg1';
-
-        if (dgKey !== 'total') {
-            // Only fetch relevant DG electrical data to save memory
-            electricalRecords = await ElectricalReading.find({
-                dg: dgKey,
-                timestamp: { $gte: start, $lte: end }
-            })
-            .select('timestamp activePower currentR currentY currentB voltageR') // Added voltageR
-            .sort({ timestamp: 1 })
-            .lean();
-        }
-
-        // 3. Append Live Data (If viewing today)
-        const todayStr = new Date().toISOString().split('T')[0];
-        if (endDate >= todayStr) {
-            const liveData = getSystemData();
-            if (liveData && liveData.lastUpdate) {
-                dieselRecords.push({
-                    timestamp: new Date(), date: todayStr,
-                    dg1: { level: liveData.dg1, isRunning: false }, 
-                    dg2: { level: liveData.dg2, isRunning: false },
-                    dg3: { level: liveData.dg3, isRunning: false },
-                    total: { level: liveData.total }
-                });
-            }
-        }
+        const { dieselRecords, electricalRecords } = await loadConsumptionRecords(dgKey, startDate, endDate);
 
         // 4. Run Verification Logic
         const result = calculateVerifiedConsumption(dieselRecords, electricalRecords, dgKey);
 
+        // 5. Cost at the price valid when the fuel was used
+        await fuelPriceService.refresh();
+        const pricing = fuelPriceService.priceConsumption(result.processedData, result.totalConsumption);
+
         return res.json({ 
             success: true, 
             data: result.processedData, 
             stats: { 
                 totalConsumption: Number(result.totalConsumption.toFixed(2)), 
-                refillEvents: result.events 
+                consumptionByDg: result.consumptionByDg,
+                unattributed: result.unattributed,
+                totalCost: pricing.totalCost,
+                avgDieselPrice: pricing.avgPrice,
+                refillEvents: result.events,
+                totalRefilled: result.totalRefilled,
+                drainedWhileOff: result.drainedWhileOff,
+                excludedChange: result.excludedChange,
+                startLevel: result.startLevel,
+                endLevel: result.endLevel,
+                massBalance: result.massBalance,
+                engineVersion: consumptionEngine.VERSION
             }
         });
 
@@ -257,9 +284,465 @@ router.get('/consumption', async (req, res) => {
 });
 
 router.get('/health', (req, res) => {
-    const { isConnected } = require('../services/plcService');
+    const { isConnected, getDeviceHealth } = require('../services/plcService');
     const mongoose = require('mongoose');
-    res.json({ status: 'ok', plc: isConnected(), mongo: mongoose.connection.readyState });
+    res.json({ status: 'ok', plc: isConnected(), devices: getDeviceHealth(), mongo: mongoose.connection.readyState });
+});
+
+// ============================================================
+// REGISTER MAP (View + Hot Reload)
+// ============================================================
+router.get('/registers', (req, res) => {
+    try {
+        res.json({ success: true, map: getRegisterMap() });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/registers/reload', (req, res) => {
+    try {
+        const map = reloadRegisterMap();
+        res.json({
+            success: true,
+            version: map.version,
+            loadedAt: map.loadedAt,
+            generators: Object.keys(map.electrical),
+            tanks: Object.keys(map.diesel)
+        });
+    } catch (err) {
+        // Previous map is still active - report why the new one was rejected
+        res.status(400).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// GENERATOR PROFILES (Rating + Fuel Curve, View + Hot Reload)
+// ============================================================
+router.get('/profiles', (req, res) => {
+    try {
+        res.json({ success: true, profiles: generatorProfiles.getProfiles() });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/profiles/reload', (req, res) => {
+    try {
+        const profiles = generatorProfiles.reloadProfiles();
+        res.json({ success: true, loadedAt: profiles.loadedAt, generators: Object.keys(profiles.generators) });
+    } catch (err) {
+        // Previous profiles are still active - report why the new ones were rejected
+        res.status(400).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// TANK PROFILES (Capacity + Strapping Table, View + Hot Reload)
+// ============================================================
+router.get('/tanks', (req, res) => {
+    try {
+        res.json({ success: true, profiles: tankProfiles.getTankProfiles() });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/tanks/reload', (req, res) => {
+    try {
+        const profiles = tankProfiles.reloadTankProfiles();
+        res.json({ success: true, loadedAt: profiles.loadedAt, tanks: Object.keys(profiles.tanks) });
+    } catch (err) {
+        // Previous profiles are still active - report why the new ones were rejected
+        res.status(400).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// CONSUMPTION ENGINE (Thresholds, View + Hot Reload)
+// ============================================================
+router.get('/consumption-engine', (req, res) => {
+    try {
+        res.json({ success: true, version: consumptionEngine.VERSION, config: consumptionEngine.getEngineConfig() });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/consumption-engine/reload', (req, res) => {
+    try {
+        const config = consumptionEngine.reloadEngineConfig();
+        res.json({ success: true, loadedAt: config.loadedAt, config });
+    } catch (err) {
+        // Previous config is still active - report why the new one was rejected
+        res.status(400).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// THRESHOLD TUNING (What-If Preview Against Past Days, Nothing Written)
+// ============================================================
+// Body: { dg, startDate, endDate, params: { noiseThreshold, refillThreshold, ... } }
+router.post('/tuning/preview', async (req, res) => {
+    try {
+        const { dg, startDate, endDate, params } = req.body || {};
+        if (!dg || !startDate || !endDate) return res.status(400).json({ success: false, error: 'dg, startDate and endDate are required' });
+        const days = (new Date(endDate) - new Date(startDate)) / 86400000 + 1;
+        if (!(days >= 1)) return res.status(400).json({ success: false, error: 'startDate must be a date on or before endDate' });
+        if (days > tuningPreview.MAX_RANGE_DAYS) return res.status(400).json({ success: false, error: `At most ${tuningPreview.MAX_RANGE_DAYS} days per preview` });
+
+        const result = await tuningPreview.preview({ tankKey: dg, params, loadRecords: () => loadConsumptionRecords(dg, startDate, endDate) });
+        res.json({ success: true, engineVersion: consumptionEngine.VERSION, ...result });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// HISTORY REPROCESS (Recompute Records + Daily Summaries, Dry-Run Diff)
+// ============================================================
+// Body: { from, to, dryRun } - poll GET /reprocess/:id for progress and the diff
+router.post('/reprocess', (req, res) => {
+    try {
+        const { from, to, dryRun } = req.body || {};
+        const job = historyReprocess.startJob({ from, to, dryRun });
+        res.status(202).json({ success: true, job });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.get('/reprocess', (req, res) => {
+    res.json({ success: true, jobs: historyReprocess.listJobs() });
+});
+
+router.get('/reprocess/:id', (req, res) => {
+    const job = historyReprocess.getJob(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: 'Reprocess job not found' });
+    res.json({ success: true, job });
+});
+
+// ============================================================
+// FUEL TOPOLOGY (Tanks -> DGs, Day-Tank Transfers, View + Hot Reload)
+// ============================================================
+router.get('/topology', (req, res) => {
+    try {
+        res.json({ success: true, topology: topology.getTopology() });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/topology/reload', (req, res) => {
+    try {
+        const result = topology.reloadTopology();
+        res.json({ success: true, loadedAt: result.loadedAt, supplies: result.supplies });
+    } catch (err) {
+        // Previous topology is still active - report why the new one was rejected
+        res.status(400).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// DG RUN SESSIONS (Start/Stop, Fuel, kWh, Load per Run)
+// ============================================================
+router.get('/runs', async (req, res) => {
+    try {
+        const { dg, from, to } = req.query;
+        const result = await runSessions.listRuns({ dg: dg || undefined, from, to });
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// REFILL DELIVERIES (Detected Refills + Delivery Notes + Reconciliation)
+// ============================================================
+router.get('/refills', async (req, res) => {
+    try {
+        const { dg, from, to, status } = req.query;
+        const result = await refillDeliveries.listRefills({ dg: dg || undefined, from, to, status: status || undefined });
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/refills/:id/delivery', async (req, res) => {
+    try {
+        const refill = await refillDeliveries.attachDelivery(req.params.id, req.body || {});
+        if (!refill) return res.status(404).json({ success: false, error: 'Refill event not found' });
+        res.json({ success: true, refill });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// PILFERAGE (Sustained Tank Drops While All DGs Are Stopped)
+// ============================================================
+router.get('/suspicious-drops', async (req, res) => {
+    try {
+        const { dg, from, to } = req.query;
+        const result = await pilferageDetector.listDrops({ dg: dg || undefined, from, to });
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// SENSOR HEALTH (Quality Score, Daily Uptime / Quality %, Anomalies)
+// ============================================================
+router.get('/sensors/health', async (req, res) => {
+    try {
+        const { tank, from, to } = req.query;
+        const result = await sensorHealth.getHealth({ tank: tank || undefined, from, to });
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// TANK CALIBRATION (Dip Readings + Versioned Sensor Calibration)
+// ============================================================
+router.get('/calibration/:tank', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await calibrationService.getCalibrationState(req.params.tank)) });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/calibration/:tank/dips', async (req, res) => {
+    try {
+        const dip = await calibrationService.recordDip(req.params.tank, req.body || {});
+        res.status(201).json({ success: true, dip });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.delete('/calibration/:tank/dips/:id', async (req, res) => {
+    try {
+        const dip = await calibrationService.deleteDip(req.params.tank, req.params.id);
+        if (!dip) return res.status(404).json({ success: false, error: 'Dip reading not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/calibration/:tank/fit', async (req, res) => {
+    try {
+        const result = await calibrationService.fitCalibration(req.params.tank, req.body || {});
+        res.status(201).json({ success: true, ...result });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/calibration/:tank/:version/approve', async (req, res) => {
+    try {
+        const { approvedBy = '' } = req.body || {};
+        const calibration = await calibrationService.approveCalibration(req.params.tank, req.params.version, approvedBy);
+        if (!calibration) return res.status(404).json({ success: false, error: 'Calibration version not found' });
+        res.json({ success: true, calibration });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/calibration/:tank/:version/reject', async (req, res) => {
+    try {
+        const calibration = await calibrationService.rejectCalibration(req.params.tank, req.params.version);
+        if (!calibration) return res.status(404).json({ success: false, error: 'Calibration version not found' });
+        res.json({ success: true, calibration });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// SENSOR OVERRIDES (Manual Value / Out of Service, With Expiry + Audit Trail)
+// ============================================================
+router.get('/overrides', async (req, res) => {
+    try {
+        const overrides = await sensorOverrides.listOverrides({ includeInactive: req.query.all === 'true' });
+        res.json({ success: true, overrides });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/overrides', async (req, res) => {
+    try {
+        const override = await sensorOverrides.createOverride(req.body || {});
+        res.status(201).json({ success: true, override });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.put('/overrides/:id', async (req, res) => {
+    try {
+        const override = await sensorOverrides.updateOverride(req.params.id, req.body || {});
+        if (!override) return res.status(404).json({ success: false, error: 'Override not found' });
+        res.json({ success: true, override });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/overrides/:id/end', async (req, res) => {
+    try {
+        const override = await sensorOverrides.endOverride(req.params.id, req.body || {});
+        if (!override) return res.status(404).json({ success: false, error: 'Override not found' });
+        res.json({ success: true, override });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// FUEL PRICE HISTORY (Price + Effective Date + Supplier)
+// ============================================================
+router.get('/fuel-prices', async (req, res) => {
+    try {
+        const prices = await fuelPriceService.listPrices();
+        await fuelPriceService.refresh();
+        res.json({ success: true, current: fuelPriceService.getPriceAt(new Date()), prices });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.get('/fuel-prices/at', async (req, res) => {
+    try {
+        const date = req.query.date ? new Date(req.query.date) : new Date();
+        if (isNaN(date.getTime())) return res.status(400).json({ success: false, error: 'Invalid date' });
+        await fuelPriceService.refresh();
+        res.json({ success: true, date, price: fuelPriceService.getPriceAt(date) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/fuel-prices', async (req, res) => {
+    try {
+        const price = await fuelPriceService.addPrice(req.body || {});
+        res.status(201).json({ success: true, price });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.put('/fuel-prices/:id', async (req, res) => {
+    try {
+        const price = await fuelPriceService.updatePrice(req.params.id, req.body || {});
+        if (!price) return res.status(404).json({ success: false, error: 'Price not found' });
+        res.json({ success: true, price });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.delete('/fuel-prices/:id', async (req, res) => {
+    try {
+        const price = await fuelPriceService.deletePrice(req.params.id);
+        if (!price) return res.status(404).json({ success: false, error: 'Price not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// ENERGY (kWh Totaliser) + SPECIFIC FUEL CONSUMPTION (L/kWh)
+// ============================================================
+router.get('/energy', (req, res) => {
+    try {
+        res.json({ success: true, totals: energyTotaliser.getTotals() });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.get('/sfc/:dg', async (req, res) => {
+    try {
+        const { dg } = req.params;
+        const { startDate, endDate, period = 'day' } = req.query;
+        const validDGs = getGeneratorKeys();
+        if (!validDGs.includes(dg)) {
+            return res.status(400).json({ success: false, error: `Invalid DG type. Must be one of ${validDGs.join(', ')}` });
+        }
+        if (!sfcService.PERIODS.includes(period)) {
+            return res.status(400).json({ success: false, error: `period must be one of ${sfcService.PERIODS.join(', ')}` });
+        }
+        if (!startDate || !endDate) {
+            return res.status(400).json({ success: false, error: 'Start date and end date are required' });
+        }
+
+        const start = new Date(startDate); start.setHours(0, 0, 0, 0);
+        const end = new Date(endDate); end.setHours(23, 59, 59, 999);
+        const report = await sfcService.getSfcReport(dg, period, start, end);
+        res.json({ success: true, ...report });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// ============================================================
+// FUEL MODEL (Load-Based Estimate vs Tank, Learned Fuel Curves + Approval)
+// ============================================================
+router.get('/fuel-model/comparison', async (req, res) => {
+    try {
+        const { dg, from, to } = req.query;
+        const result = await fuelCurveService.compareFuel({ dg: dg || undefined, from, to });
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.get('/fuel-model/:dg', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await fuelCurveService.getCurveState(req.params.dg)) });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/fuel-model/:dg/fit', async (req, res) => {
+    try {
+        const curve = await fuelCurveService.fitCurve(req.params.dg, req.body || {});
+        res.status(201).json({ success: true, curve });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/fuel-model/:dg/:version/approve', async (req, res) => {
+    try {
+        const { approvedBy = '' } = req.body || {};
+        const curve = await fuelCurveService.approveCurve(req.params.dg, req.params.version, approvedBy);
+        if (!curve) return res.status(404).json({ success: false, error: 'Fuel curve version not found' });
+        res.json({ success: true, curve });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+});
+
+router.post('/fuel-model/:dg/:version/reject', async (req, res) => {
+    try {
+        const curve = await fuelCurveService.rejectCurve(req.params.dg, req.params.version);
+        if (!curve) return res.status(404).json({ success: false, error: 'Fuel curve version not found' });
+        res.json({ success: true, curve });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
 });
 
 /**
@@ -276,11 +759,11 @@ router.get('/electrical/:dg', async (req, res) => {
         const { startDate, endDate } = req.query;
 
         // Validate DG parameter
-        const validDGs = ['dg1', 'dg2', 'dg3', 'dg4'];
+        const validDGs = getGeneratorKeys();
         if (!validDGs.includes(dg)) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'Invalid DG type. Must be dg1, dg2, dg3, or dg4' 
+                error: `Invalid DG type. Must be one of ${validDGs.join(', ')}` 
             });
         }
 
@@ -305,7 +788,7 @@ router.get('/electrical/:dg', async (req, res) => {
 
         // 2. Fetch Data from MongoDB (Using ElectricalReading model)
         const data = await ElectricalReading.find(query)
-            .select('timestamp voltageR voltageY voltageB currentR currentY currentB activePower frequency powerFactor runningHours')
+            .select('timestamp voltageR voltageY voltageB currentR currentY currentB activePower frequency powerFactor runningHours energyMeter windingTemp rpm oilPressure coolantTemp batteryVoltage fuelRackAlarm reactivePower apparentPower voltageRY voltageYB voltageBR voltageUnbalance currentUnbalance neutralCurrent overrides')
             .sort({ timestamp: 1 })
             .lean();
 
@@ -329,9 +812,9 @@ router.get('/electrical/:dg', async (req, res) => {
         let totalMinutes = 0;
         let peakLoad = 0;
 
-        // Configuration
-        const PRICE_PER_LITER = 97.00;
-        const MAX_AMPS = 175; // 125 kVA
+        // Configuration (this DG's rating + fuel curve, price history)
+        const profile = generatorProfiles.getProfile(dg);
+        await fuelPriceService.refresh();
 
         for (let i = 0; i < data.length; i++) {
             const doc = data[i];
@@ -348,7 +831,25 @@ router.get('/electrical/:dg', async (req, res) => {
                 activePower: doc.activePower || 0,
                 frequency: doc.frequency || 0,
                 powerFactor: doc.powerFactor || 0,
-                runningHours: doc.runningHours || 0
+                runningHours: doc.runningHours || 0,
+                energyMeter: doc.energyMeter ?? null,   // Cumulative kWh
+                // Derived in the acquisition path (powerCalculations.js)
+                apparentPower: doc.apparentPower || 0,
+                reactivePower: doc.reactivePower || 0,
+                voltageRY: doc.voltageRY || 0,
+                voltageYB: doc.voltageYB || 0,
+                voltageBR: doc.voltageBR || 0,
+                voltageUnbalance: doc.voltageUnbalance || 0,
+                currentUnbalance: doc.currentUnbalance || 0,
+                neutralCurrent: doc.neutralCurrent || 0,
+                // Engine health (null when the controller does not expose it)
+                rpm: doc.rpm ?? null,
+                oilPressure: doc.oilPressure ?? null,
+                coolantTemp: doc.coolantTemp ?? null,
+                batteryVoltage: doc.batteryVoltage ?? null,
+                windingTemp: doc.windingTemp || null,
+                fuelRackAlarm: doc.fuelRackAlarm ?? null,
+                overrides: doc.overrides || []   // Params under a sensor override at this reading
             };
 
             // --- SMART ANALYTICS CALCULATION ---
@@ -360,14 +861,15 @@ router.get('/electrical/:dg', async (req, res) => {
                 peakLoad = avgAmps;
             }
 
+            // Fuel rate from the DG's profile curve (0 when stopped), priced as of this reading
+            const PRICE_PER_LITER = fuelPriceService.getPriceAt(doc.timestamp);
+            const { fuelRate: fuelRateL_Hr, loadPct } = generatorProfiles.calculateAnalytics(dg, row.currentR, row.currentY, row.currentB, PRICE_PER_LITER);
+            row.fuelRate = fuelRateL_Hr;
+            row.loadPct = loadPct;
+            row.dieselPrice = PRICE_PER_LITER;
+
             // Calculate Fuel & Cost (Only if Running)
-            if (avgAmps > 5) {
-                // Smart Fuel Rate Formula (Linear interpolation)
-                // Idle (0% load) = 4.5 L/hr
-                // Full Load (100%) = 18 L/hr
-                let loadPct = avgAmps / MAX_AMPS;
-                if (loadPct > 1) loadPct = 1;
-                const fuelRateL_Hr = 4.5 + ((18 - 4.5) * loadPct); // L/hr
+            if (fuelRateL_Hr > 0) {
 
                 // Integration (Time Difference from previous point)
                 if (i > 0) {
@@ -396,7 +898,14 @@ router.get('/electrical/:dg', async (req, res) => {
                 totalMinutes: Math.round(totalMinutes),
                 totalFuel: parseFloat(totalFuel.toFixed(2)),
                 totalCost: Math.round(totalCost),
-                peakLoad: Math.round(peakLoad)
+                peakLoad: Math.round(peakLoad),
+                totalEnergy: sfcService.sumEnergy(dg, data)
+            },
+            profile: {
+                name: profile.name,
+                ratedKva: profile.ratedKva,
+                ratedAmps: profile.ratedAmps,
+                dieselPrice: fuelPriceService.getPriceAt(new Date())
             }
         });
 
@@ -450,10 +959,26 @@ router.get('/export/electrical/:dg', async (req, res) => {
             'Current B (A)',
             'Avg Current (A)',
             'Active Power (kW)', 
+            'Apparent Power (kVA)',
+            'Reactive Power (kVAr)',
+            'V RY (V)',
+            'V YB (V)',
+            'V BR (V)',
+            'Voltage Unbalance (%)',
+            'Current Unbalance (%)',
+            'Neutral Current (A)',
             'Frequency (Hz)', 
             'Power Factor',
             'Runtime (Hrs)',
+            'Energy (kWh)',
+            'RPM',
+            'Oil Pressure (bar)',
+            'Coolant Temp (°C)',
+            'Battery (V)',
+            'Winding Temp (°C)',
+            'Fuel Rack Alarm',
             'Fuel Rate (L/hr)',
+            'Diesel Price (₹/L)',
             'Cost (₹/hr)'
         ]);
 
@@ -467,22 +992,12 @@ router.get('/export/electrical/:dg', async (req, res) => {
             }; 
         });
 
-        // Add data rows with calculations
-        const PRICE_PER_LITER = 97.00;
-        const MAX_AMPS = 175;
-
+        // Add data rows with calculations (this DG's rating + fuel curve, price as of each reading)
+        await fuelPriceService.refresh();
         records.forEach(r => {
             const avgAmps = (r.currentR + r.currentY + r.currentB) / 3;
-            
-            let fuelRate = 0;
-            let cost = 0;
-            
-            if (avgAmps > 5) {
-                let loadPct = avgAmps / MAX_AMPS;
-                if (loadPct > 1) loadPct = 1;
-                fuelRate = 4.5 + ((18 - 4.5) * loadPct);
-                cost = fuelRate * PRICE_PER_LITER;
-            }
+            const price = fuelPriceService.getPriceAt(r.timestamp);
+            const { fuelRate, estCost: cost } = generatorProfiles.calculateAnalytics(dg, r.currentR, r.currentY, r.currentB, price);
 
             worksheet.addRow([
                 new Date(r.timestamp).toLocaleString('en-IN'),
@@ -494,10 +1009,26 @@ router.get('/export/electrical/:dg', async (req, res) => {
                 r.currentB || 0,
                 avgAmps.toFixed(2),
                 r.activePower || 0,
+                r.apparentPower || 0,
+                r.reactivePower || 0,
+                r.voltageRY || 0,
+                r.voltageYB || 0,
+                r.voltageBR || 0,
+                r.voltageUnbalance || 0,
+                r.currentUnbalance || 0,
+                r.neutralCurrent || 0,
                 r.frequency || 0,
                 (r.powerFactor || 0).toFixed(2),
                 (r.runningHours || 0).toFixed(1),
+                r.energyMeter ?? '-',
+                r.rpm ?? '-',
+                r.oilPressure ?? '-',
+                r.coolantTemp ?? '-',
+                r.batteryVoltage ?? '-',
+                r.windingTemp || '-',
+                r.fuelRackAlarm == null ? '-' : (r.fuelRackAlarm ? 'ACTIVE' : 'OK'),
                 fuelRate.toFixed(2),
+                price,
                 Math.round(cost)
             ]);
         });
@@ -506,8 +1037,11 @@ router.get('/export/electrical/:dg', async (req, res) => {
         worksheet.columns = [
             { width: 25 }, { width: 15 }, { width: 15 }, { width: 15 },
             { width: 15 }, { width: 15 }, { width: 15 }, { width: 18 },
-            { width: 18 }, { width: 15 }, { width: 15 }, { width: 15 },
-            { width: 18 }, { width: 15 }
+            { width: 18 }, { width: 18 }, { width: 18 }, { width: 12 }, { width: 12 }, { width: 12 },
+            { width: 18 }, { width: 18 }, { width: 18 },
+            { width: 15 }, { width: 15 }, { width: 15 }, { width: 15 },
+            { width: 10 }, { width: 18 }, { width: 18 }, { width: 12 }, { width: 18 }, { width: 16 },
+            { width: 18 }, { width: 18 }, { width: 15 }
         ];
 
         // Send file
@@ -544,23 +1078,13 @@ async function setupExcelSheet(workbook, worksheet, title) {
 router.get('/export/consumption', async (req, res) => {
     try {
         const { dg, startDate, endDate } = req.query;
-        const start = new Date(startDate); start.setHours(0, 0, 0, 0);
-        const end = new Date(endDate); end.setHours(23, 59, 59, 999);
-
-        const dieselRecords = await DieselConsumption.find({ 
-            timestamp: { $gte: start, $lte: end } 
-        }).sort({ timestamp: 1 }).lean();
-
         const dgKey = dg || 'dg1';
-        let electricalRecords = [];
-        if (dgKey !== 'total') {
-            electricalRecords = await ElectricalReading.find({ 
-                dg: dgKey, timestamp: { $gte: start, $lte: end } 
-            }).lean();
-        }
+        const { dieselRecords, electricalRecords } = await loadConsumptionRecords(dgKey, startDate, endDate);
 
         const result = calculateVerifiedConsumption(dieselRecords, electricalRecords, dgKey);
         const data = result.processedData;
+        await fuelPriceService.refresh();
+        const pricing = fuelPriceService.priceConsumption(data, result.totalConsumption);
 
         if (!data || data.length === 0) {
             return res.status(404).send('No data found for this date range');
@@ -576,11 +1100,7 @@ router.get('/export/consumption', async (req, res) => {
             `Aquarelle India - ${dgKey.toUpperCase()} Diesel Report`);
 
         // Key summary stats
-        const startLevel = data.find(d => d.cleanLevel > 0)?.cleanLevel || 0;
-        const endLevel = data[data.length - 1]?.cleanLevel || 0;
-        const totalRefilled = result.events
-            .filter(e => e.type === 'refill')
-            .reduce((sum, e) => sum + e.amount, 0);
+        const { startLevel, endLevel, totalRefilled } = result;
         const refillCount = result.events.filter(e => e.type === 'refill').length;
 
         summarySheet.addRow(['Field', 'Value', 'Unit']);
@@ -599,6 +1119,12 @@ router.get('/export/consumption', async (req, res) => {
             ['Total Refilled',      totalRefilled.toFixed(2),                   'Liters'],
             ['Number of Refills',   refillCount,                                'Events'],
             ['Net Consumption',     (result.totalConsumption).toFixed(2),       'Liters'],
+            ['Drop While DG Off',   result.drainedWhileOff.toFixed(2),          'Liters'],
+            ...Object.entries(result.consumptionByDg).map(([dg, litres]) =>
+                [`  Used by ${dg.toUpperCase()}`, litres.toFixed(2), 'Liters']),
+            ...(result.unattributed > 0 ? [['  Not Attributed', result.unattributed.toFixed(2), 'Liters']] : []),
+            ['Total Cost',          pricing.totalCost,                          '₹'],
+            ['Avg Diesel Price',    pricing.avgPrice.toFixed(2),                '₹/Liter'],
             ['Generated On',        new Date().toLocaleString('en-IN'),         ''],
         ];
 
@@ -648,7 +1174,112 @@ router.get('/export/consumption', async (req, res) => {
         refillSheet.columns = [{ width: 8 }, { width: 25 }, { width: 22 }, { width: 22 }];
 
         // ─────────────────────────────────────────
-        // SHEET 3: FULL DETAILED DATA
+        // SHEET 3: REFILL RECONCILIATION (delivery notes vs detected)
+        // ─────────────────────────────────────────
+        const reconSheet = workbook.addWorksheet('Refill Reconciliation');
+        await setupExcelSheet(workbook, reconSheet, 'Refill Reconciliation');
+
+        const recon = await refillDeliveries.listRefills({
+            dg: dgKey === 'total' ? undefined : dgKey, from: startDate, to: endDate
+        });
+        reconSheet.addRow([
+            'Date & Time', 'DG', 'Detected (L)', 'Invoiced (L)', 'Difference (L)', 'Difference (%)',
+            'Status', 'Supplier', 'Vehicle No.', 'Note No.', 'Price (₹/L)', 'Invoice Value (₹)'
+        ]);
+        const reconHeader = reconSheet.lastRow;
+        reconHeader.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        reconHeader.eachCell(cell => {
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF0052CC' } };
+        });
+
+        const STATUS_LABELS = { pending: 'NO DELIVERY NOTE', ok: 'OK', short: 'SHORT', over: 'OVER' };
+        if (recon.refills.length === 0) {
+            reconSheet.addRow(['No refill events recorded in this period']);
+        } else {
+            [...recon.refills].reverse().forEach(r => {
+                const d = r.delivery;
+                const rc = r.reconciliation || {};
+                const row = reconSheet.addRow([
+                    new Date(r.detectedAt).toLocaleString('en-IN'),
+                    r.dg.toUpperCase(),
+                    r.litres.toFixed(2),
+                    d ? d.invoicedLitres.toFixed(2) : '--',
+                    rc.differenceLitres !== null && rc.differenceLitres !== undefined ? rc.differenceLitres.toFixed(2) : '--',
+                    rc.differencePct !== null && rc.differencePct !== undefined ? rc.differencePct.toFixed(2) : '--',
+                    STATUS_LABELS[rc.status] || 'NO DELIVERY NOTE',
+                    d?.supplier || '--',
+                    d?.vehicleNumber || '--',
+                    d?.noteNumber || '--',
+                    d?.pricePerLitre !== null && d?.pricePerLitre !== undefined ? d.pricePerLitre.toFixed(2) : '--',
+                    d?.pricePerLitre ? (d.pricePerLitre * d.invoicedLitres).toFixed(2) : '--'
+                ]);
+                // Short deliveries in red, unreconciled in amber
+                if (rc.status === 'short') {
+                    row.eachCell(cell => {
+                        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFDE8E8' } };
+                        cell.font = { color: { argb: 'FFDE350B' }, bold: true };
+                    });
+                } else if (rc.status === 'pending') {
+                    row.getCell(7).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF4E5' } };
+                }
+            });
+        }
+
+        reconSheet.addRow([]);
+        reconSheet.addRow(['Detected Total (L)', recon.totals.detectedLitres.toFixed(2)]);
+        reconSheet.addRow(['Invoiced Total (L)', recon.totals.invoicedLitres.toFixed(2)]);
+        reconSheet.addRow(['Short Deliveries', recon.totals.short, `${recon.totals.shortLitres.toFixed(2)} L`]);
+        reconSheet.addRow(['Without Delivery Note', recon.totals.pending]);
+        reconSheet.addRow(['Tolerance', `${recon.tolerance.litres} L or ${recon.tolerance.pct}% of invoice, whichever is larger`]);
+
+        reconSheet.columns = [
+            { width: 25 }, { width: 8 }, { width: 14 }, { width: 14 }, { width: 16 }, { width: 16 },
+            { width: 20 }, { width: 22 }, { width: 16 }, { width: 16 }, { width: 14 }, { width: 18 }
+        ];
+
+        // ─────────────────────────────────────────
+        // SHEET 4: SUSPICIOUS DROPS (all DGs stopped)
+        // ─────────────────────────────────────────
+        const dropSheet = workbook.addWorksheet('Suspicious Drops');
+        await setupExcelSheet(workbook, dropSheet, 'Suspicious Fuel Drops (All DGs Stopped)');
+
+        const suspicious = await pilferageDetector.listDrops({
+            dg: dgKey === 'total' ? undefined : dgKey, from: startDate, to: endDate
+        });
+        dropSheet.addRow(['Tank', 'Drop Started', 'Confirmed', 'Last Fall', 'Level Before (L)', 'Level After (L)', 'Lost (L)', 'Severity']);
+        const dropHeader = dropSheet.lastRow;
+        dropHeader.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        dropHeader.eachCell(cell => {
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF0052CC' } };
+        });
+
+        if (suspicious.drops.length === 0) {
+            dropSheet.addRow(['No suspicious drops in this period']);
+        } else {
+            [...suspicious.drops].reverse().forEach(d => {
+                const row = dropSheet.addRow([
+                    d.dg.toUpperCase(),
+                    new Date(d.startedAt).toLocaleString('en-IN'),
+                    new Date(d.detectedAt).toLocaleString('en-IN'),
+                    new Date(d.lastDropAt).toLocaleString('en-IN'),
+                    d.levelBefore.toFixed(2),
+                    d.levelAfter.toFixed(2),
+                    d.litres.toFixed(2),
+                    d.severity.toUpperCase()
+                ]);
+                row.getCell(7).font = { color: { argb: 'FFDE350B' }, bold: true };
+            });
+            dropSheet.addRow([]);
+            dropSheet.addRow(['Total Lost (L)', suspicious.totals.litres.toFixed(2)]);
+        }
+
+        dropSheet.columns = [
+            { width: 10 }, { width: 25 }, { width: 25 }, { width: 25 },
+            { width: 18 }, { width: 18 }, { width: 12 }, { width: 12 }
+        ];
+
+        // ─────────────────────────────────────────
+        // SHEET 5: FULL DETAILED DATA
         // ─────────────────────────────────────────
         const dataSheet = workbook.addWorksheet('Detailed Data');
         await setupExcelSheet(workbook, dataSheet, 
@@ -658,6 +1289,7 @@ router.get('/export/consumption', async (req, res) => {
             'Timestamp',
             'Fuel Level (L)',
             'Consumption (L)',
+            'Cost (₹)',
             'Generator Status',
             'Electrical Info',
             'Notes'
@@ -675,6 +1307,7 @@ router.get('/export/consumption', async (req, res) => {
                 new Date(r.timestamp).toLocaleString('en-IN'),
                 r.cleanLevel?.toFixed(2) || '0',
                 r.consumption > 0 ? r.consumption.toFixed(2) : '-',
+                r.cost > 0 ? r.cost.toFixed(2) : '-',
                 r.isRunning ? 'RUNNING' : 'STOPPED',
                 r.electricalInfo || '--',
                 r.note || '--'
@@ -697,7 +1330,7 @@ router.get('/export/consumption', async (req, res) => {
         });
 
         dataSheet.columns = [
-            { width: 25 }, { width: 18 }, { width: 22 },
+            { width: 25 }, { width: 18 }, { width: 22 }, { width: 15 },
             { width: 18 }, { width: 25 }, { width: 25 }
         ];
 
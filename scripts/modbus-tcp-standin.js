@@ -0,0 +1,46 @@
+/**
+ * Modbus TCP Stand-in
+ * Runs a local Modbus TCP server backed by the PLC simulator, so the
+ * "tcp" transport can be exercised without the site's TCP gateway.
+ *
+ * HOW TO RUN:
+ * 1. node scripts/modbus-tcp-standin.js            (listens on 0.0.0.0:5020)
+ * 2. Point a device at it in config/registerMap.json:
+ *      "plc1": { "transport": "tcp", "host": "127.0.0.1", "tcpPort": 5020, "slaveId": 1 }
+ *    (or just run with PLC_TRANSPORT=tcp PLC_HOST=127.0.0.1 PLC_TCP_PORT=5020)
+ *
+ * Env: STANDIN_PORT, STANDIN_UNIT_ID, PLC_SIM_SCENARIO, PLC_SIM_SPEED
+ */
+
+require('dotenv').config();
+const ModbusRTU = require('modbus-serial');
+const { PlcSimulator } = require('../services/plcSimulator');
+
+const port = parseInt(process.env.STANDIN_PORT) || 5020;
+const unitID = parseInt(process.env.STANDIN_UNIT_ID) || 1;
+
+const simulator = new PlcSimulator();
+
+const vector = {
+    // Callback form: ServerTCP only awaits promises for single-register reads
+    getMultipleHoldingRegisters: (addr, length, unitId, callback) => {
+        simulator.readHoldingRegisters(addr, length)
+            .then(result => callback(null, result.data))
+            .catch(err => callback(err));
+    },
+    getHoldingRegister: async (addr) => {
+        const result = await simulator.readHoldingRegisters(addr, 1);
+        return result.data[0];
+    }
+};
+
+simulator.connect().then(() => {
+    const server = new ModbusRTU.ServerTCP(vector, { host: '0.0.0.0', port, unitID, debug: false });
+
+    server.on('socketError', (err) => console.error('❌ Stand-in socket error:', err.message));
+    console.log(`✅ Modbus TCP stand-in listening on 0.0.0.0:${port} (unit ${unitID})`);
+
+    process.on('SIGINT', () => {
+        server.close(() => process.exit(0));
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Reprocess History
+ * Recomputes DieselConsumption and DailySummary for a date range with the
+ * current consumption engine and config/consumptionEngine.json - see
+ * services/historyReprocess.js. Same job as POST /api/reprocess.
+ *
+ * HOW TO RUN:
+ * 1. node scripts/reprocess.js --from 2026-01-01 --to 2026-01-31 --dry-run
+ *    (shows what would change, writes nothing)
+ * 2. node scripts/reprocess.js --from 2026-01-01 --to 2026-01-31
+ *
+ * --json prints the whole job (per-day diff) at the end. Env: MONGODB_URI
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const historyReprocess = require('../services/historyReprocess');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/dieselDB';
+
+function parseArgs(argv) {
+    const args = { dryRun: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') args.from = argv[++i];
+        else if (argv[i] === '--to') args.to = argv[++i];
+        else if (argv[i] === '--dry-run') args.dryRun = true;
+        else if (argv[i] === '--json') args.json = true;
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return args;
+}
+
+function printDay(day) {
+    const { before, after } = day.consumption.total;
+    const summary = Object.keys(day.summary.changes).length === 0 ? 'summary unchanged'
+        : `${day.summary.existed ? 'summary changed' : 'summary created'}: ` +
+          Object.entries(day.summary.changes).map(([field, c]) => `${field} ${c.before ?? '-'} → ${c.after}`).join(', ');
+    console.log(`   ${day.date}: ${day.changedRecords}/${day.records} records, consumption ${before} → ${after} L | ${summary}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const job = historyReprocess.createJob(args);
+    console.log(`🔁 Reprocessing ${job.from} → ${job.to}${job.dryRun ? ' (dry run, nothing is written)' : ''} with engine v${job.engine.version}, config v${job.engine.configVersion}`);
+
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 });
+    let printed = 0;
+    await historyReprocess.runJob(job, (progress) => {
+        while (printed < progress.diff.days.length) printDay(progress.diff.days[printed++]);
+        process.stdout.write(`   ⏳ ${progress.progress.percent}% (${progress.progress.daysDone}/${progress.progress.daysTotal} days)\r`);
+    });
+
+    const { totals } = job.diff;
+    console.log(`\n${job.status === 'done' ? '✅' : '❌'} ${job.status}${job.error ? `: ${job.error}` : ''}`);
+    console.log(`   ${totals.days} day(s) with data, ${totals.changedRecords}/${totals.records} records and ${totals.changedSummaries} summaries ${job.dryRun ? 'would change' : 'changed'}`);
+    console.log(`   Consumption ${totals.consumptionBefore} → ${totals.consumptionAfter} L, refilled ${totals.refilledBefore} → ${totals.refilledAfter} L`);
+    if (args.json) console.log(JSON.stringify(job, null, 2));
+    return job.status === 'done' ? 0 : 1;
+}
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        console.error('❌', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
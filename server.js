@@ -19,9 +19,17 @@ const os = require('os');
 // Import modules
 const { connectMongoDB, isMongoConnected } = require('./config/database');
 const { connectToPLC, closePLC } = require('./services/plcService');
+const { persistTotals } = require('./services/energyTotaliser');
+const { loadActiveCalibrations } = require('./services/calibrationService');
+const { loadActiveCurves } = require('./services/fuelCurveService');
+const sensorOverrides = require('./services/sensorOverrides');
+const runSessions = require('./services/runSessions');
+const { closeStaleDrops } = require('./services/pilferageDetector');
+const sensorHealth = require('./services/sensorHealth');
 const { startScheduledTasks } = require('./services/schedulerService');
 const apiRoutes = require('./routes/api');
 const { initializeEmail } = require('./services/emailService');
+const { registerSubscribers } = require('./services/eventSubscribers');
 const rateLimit = require('express-rate-limit');
 
 
@@ -66,6 +74,10 @@ app.get('/electrical.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'electrical.html'));
 });
 
+app.get('/calibration.html', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'calibration.html'));
+});
+
 app.get('/analytics.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'analytics.html'));
 });
@@ -79,6 +91,9 @@ async function gracefulShutdown() {
   console.log('\nShutting down gracefully...');
   try {
     closePLC(); // Close PLC connection
+    await persistTotals(); // Keep the kWh counted since the last save
+    await runSessions.persistOpenRuns(); // Open runs resume after the restart
+    await sensorHealth.flush(); // Sensor samples since the last batch
     if (mongoose.connection.readyState === 1) {
         await mongoose.connection.close();
         console.log('MongoDB connection closed.');
@@ -127,6 +142,17 @@ async function startServer() {
   try {
     // 1. Connect to MongoDB
     await connectMongoDB();
+    // Approved tank calibrations must be in place before the first level is read
+    await loadActiveCalibrations().catch(err => console.error('❌ Tank calibrations not loaded:', err.message));
+    // ...and approved learned fuel curves before the first fuel rate is estimated
+    await loadActiveCurves().catch(err => console.error('❌ Learned fuel curves not loaded:', err.message));
+    // Same for sensor overrides - a dead sensor must not be read as real before they load
+    await sensorOverrides.refresh(true);
+    // A dead sensor patched with the old hardcodedLevel keeps a (managed) override
+    await sensorOverrides.migrateHardcodedLevels().catch(err => console.error('❌ hardcodedLevel migration failed:', err.message));
+    // DG runs left open by the last process resume (or close) on the first reading
+    await runSessions.loadOpenRuns().catch(err => console.error('❌ Open DG runs not loaded:', err.message));
+    await closeStaleDrops().catch(err => console.error('❌ Stale suspicious drops not closed:', err.message));
     
     const ip = getLocalIP();
     console.log('\n===========================================');
@@ -157,10 +183,11 @@ async function startServer() {
     console.log(`===========================================`);
     console.log(`MongoDB: ${isMongoConnected() ? 'Connected' : 'Disconnected'}`);
     
-    // 4. Connect to PLC and start services
-    connectToPLC();
+    // 4. Start services, then the PLC loop (subscribers must not miss the first readings)
     initializeEmail();
+    registerSubscribers();
     startScheduledTasks();
+    connectToPLC();
 
   } catch (err) {
     console.error('Failed to start server:', err);
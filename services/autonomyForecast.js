@@ -0,0 +1,179 @@
+/**
+ * Autonomy Forecast
+ * How long each sensed tank (topology.js) will last: hours of generator
+ * runtime and the calendar date at which it reaches WARNING_DIESEL_LEVEL and
+ * CRITICAL_DIESEL_LEVEL.
+ *
+ * - Burn rate (litres per running hour): while a DG it feeds runs, the live
+ *   fuel rate at its load (generatorProfiles.js), summed over the running
+ *   DGs. Otherwise the fuel per hour of each DG's recent run sessions
+ *   (models/RunSession.js), weighted by how many hours a day each DG runs;
+ *   a DG without run history uses its profile rate at its average load (or
+ *   TYPICAL_LOAD_PCT).
+ * - Usage per day: the DG's consumption in the daily summaries of the last
+ *   HISTORY_DAYS days, or its run-session litres when there are none. The
+ *   calendar dates come from this, so a tank that sits idle most days lasts
+ *   longer than its runtime hours suggest.
+ * - History is re-read from MongoDB every REFRESH_MS in the background;
+ *   forecast() itself is synchronous and runs on every poll (plcService.js).
+ *
+ * Per tank: { level, dgs, running, burnRateLph, rateSource, litresPerDay,
+ *   runHoursPerDay, warning, critical }
+ *   rateSource: live | history | profile | null
+ *   warning / critical: { level, litresLeft, runtimeHours, days, date }
+ *   runtimeHours / days / date are null when there is no rate to go on; a
+ *   tank already at or below the level has litresLeft 0 and the date now.
+ */
+
+const mongoose = require('mongoose');
+const RunSession = require('../models/RunSession');
+const { DailySummary } = require('../models/schemas');
+const consumptionEngine = require('./consumptionEngine');
+const topology = require('./topology');
+const registerMap = require('./registerMap');
+const { getProfile, fuelRateAt } = require('./generatorProfiles');
+const { round2 } = require('./helpers');
+
+// --- CONFIGURATION ---
+const WARNING_LEVEL = parseInt(process.env.WARNING_DIESEL_LEVEL) || 70;
+const CRITICAL_LEVEL = parseInt(process.env.CRITICAL_DIESEL_LEVEL) || 50;
+const HISTORY_DAYS = parseInt(process.env.FORECAST_HISTORY_DAYS) || 14;
+const REFRESH_MS = 15 * 60 * 1000;
+const MIN_RUN_S = 10 * 60;          // Shorter runs give a noisy fuel rate
+const TYPICAL_LOAD_PCT = 50;        // Profile rate for a DG that has never run
+const DAY_MS = 86400000;
+
+// --- STATE ---
+let history = {};         // dgKey -> { burnRateLph, avgLoadPct, runHoursPerDay, litresPerDay, runs }
+let refreshedAt = 0;
+let refreshing = null;
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Summaries from before topology.js only have per-tank totals (tank key = DG key)
+function litresOn(summary, dgKey) {
+    const byDg = summary.consumptionByDg;
+    if (byDg && Object.keys(byDg).length > 0) return byDg[dgKey] || 0;
+    return summary[dgKey]?.totalConsumption ?? null;
+}
+
+/**
+ * Re-reads the run sessions and daily summaries of the last HISTORY_DAYS
+ * days into the per-DG rates forecast() uses.
+ */
+async function refreshHistory(now = new Date()) {
+    if (mongoose.connection.readyState !== 1) return history;
+    const since = new Date(now.getTime() - HISTORY_DAYS * DAY_MS);
+    const [runs, summaries] = await Promise.all([
+        RunSession.find({ status: 'closed', endedAt: { $gte: since } }).lean(),
+        DailySummary.find({ date: { $gte: since.toISOString().split('T')[0] } }).lean()
+    ]);
+
+    // A site with less history than the window is averaged over what it has
+    const earliest = runs.reduce((min, r) => Math.min(min, new Date(r.startedAt).getTime()), now.getTime());
+    const spanDays = Math.min(HISTORY_DAYS, Math.max(1, (now.getTime() - earliest) / DAY_MS));
+
+    const next = {};
+    for (const dgKey of registerMap.getGeneratorKeys()) {
+        const dgRuns = runs.filter(r => r.dg === dgKey);
+        const runS = dgRuns.reduce((s, r) => s + (r.durationS || 0), 0);
+        const fuelled = dgRuns.filter(r => r.fuelConsumed > 0 && r.durationS >= MIN_RUN_S);
+        const fuelS = fuelled.reduce((s, r) => s + r.durationS, 0);
+        const daily = summaries.map(s => litresOn(s, dgKey)).filter(litres => litres !== null);
+
+        next[dgKey] = {
+            burnRateLph: fuelS > 0 ? round2(fuelled.reduce((s, r) => s + r.fuelConsumed, 0) / (fuelS / 3600)) : null,
+            avgLoadPct: runS > 0 ? Math.round(dgRuns.reduce((s, r) => s + (r.avgLoadPct || 0) * (r.durationS || 0), 0) / runS) : null,
+            runHoursPerDay: round2(runS / 3600 / spanDays),
+            litresPerDay: daily.length > 0
+                ? round2(daily.reduce((s, litres) => s + litres, 0) / daily.length)
+                : round2(dgRuns.reduce((s, r) => s + (r.fuelConsumed || 0), 0) / spanDays),
+            runs: dgRuns.length
+        };
+    }
+    history = next;
+    refreshedAt = now.getTime();
+    return history;
+}
+
+function refreshIfStale(now) {
+    if (refreshing || now - refreshedAt < REFRESH_MS) return;
+    refreshing = refreshHistory(new Date(now))
+        .catch(err => console.error('❌ Forecast history refresh failed:', err.message))
+        .finally(() => { refreshing = null; });
+}
+
+// Litres/hour a DG burns while running when there is no live reading
+function typicalRate(dgKey) {
+    const h = history[dgKey];
+    if (h?.burnRateLph) return { rate: h.burnRateLph, source: 'history' };
+    return { rate: round2(fuelRateAt(getProfile(dgKey), h?.avgLoadPct ?? TYPICAL_LOAD_PCT)), source: 'profile' };
+}
+
+function untilLevel(threshold, level, burnRateLph, litresPerDay, now) {
+    const litresLeft = round2(Math.max(0, level - threshold));
+    const days = litresLeft === 0 ? 0 : (litresPerDay > 0 ? litresLeft / litresPerDay : null);
+    return {
+        level: threshold,
+        litresLeft,
+        runtimeHours: litresLeft === 0 ? 0 : (burnRateLph > 0 ? round1(litresLeft / burnRateLph) : null),
+        days: days === null ? null : round1(days),
+        date: days === null ? null : new Date(now + days * DAY_MS).toISOString()
+    };
+}
+
+function forecastTank(tankKey, systemData, now) {
+    const level = systemData[tankKey] || 0;
+    const dgKeys = topology.getSuppliedDgs(tankKey);
+    const running = dgKeys.filter(dgKey => consumptionEngine.isRunning(systemData.electrical?.[dgKey]));
+
+    let burnRateLph = 0;
+    let rateSource = null;
+    if (running.length > 0) {
+        for (const dgKey of running) {
+            const liveRate = systemData.electrical[dgKey].fuelRate;
+            burnRateLph += liveRate > 0 ? liveRate : typicalRate(dgKey).rate;
+        }
+        rateSource = 'live';
+    } else {
+        // A shared tank: the DGs that run most set the rate
+        const rates = dgKeys.map(dgKey => ({ ...typicalRate(dgKey), weight: history[dgKey]?.runHoursPerDay || 0 }));
+        const totalWeight = rates.reduce((s, r) => s + r.weight, 0);
+        burnRateLph = totalWeight > 0
+            ? rates.reduce((s, r) => s + r.rate * r.weight, 0) / totalWeight
+            : rates.reduce((s, r) => s + r.rate, 0) / rates.length;
+        rateSource = rates.some(r => r.source === 'profile') ? 'profile' : 'history';
+    }
+    burnRateLph = round2(burnRateLph);
+
+    const litresPerDay = round2(dgKeys.reduce((s, dgKey) => s + (history[dgKey]?.litresPerDay || 0), 0));
+    return {
+        level,
+        dgs: dgKeys,
+        running: running.length > 0,
+        burnRateLph,
+        rateSource: burnRateLph > 0 ? rateSource : null,
+        litresPerDay,
+        runHoursPerDay: round2(dgKeys.reduce((s, dgKey) => s + (history[dgKey]?.runHoursPerDay || 0), 0)),
+        warning: untilLevel(WARNING_LEVEL, level, burnRateLph, litresPerDay, now),
+        critical: untilLevel(CRITICAL_LEVEL, level, burnRateLph, litresPerDay, now)
+    };
+}
+
+/**
+ * Forecast for every sensed tank from the current systemData (levels and
+ * live electrical values). Kicks off a history refresh when it is stale.
+ */
+function forecast(systemData, now = Date.now()) {
+    refreshIfStale(now);
+    const result = {};
+    for (const tankKey of topology.getSensedTanks()) result[tankKey] = forecastTank(tankKey, systemData, now);
+    return result;
+}
+
+module.exports = {
+    refreshHistory,
+    forecast
+};
@@ -0,0 +1,54 @@
+/**
+ * Block Read Planner
+ * Groups individual register requests into as few multi-register
+ * readHoldingRegisters() calls as possible.
+ *
+ * At 9600 baud every request costs a full Modbus round trip, so reading
+ * 4696-4766 as one block is far cheaper than ~40 single reads. Small gaps
+ * between addresses are read through (and discarded) when that is cheaper
+ * than starting a new request.
+ */
+
+// --- CONFIGURATION ---
+const MAX_GAP = parseInt(process.env.PLC_BLOCK_MAX_GAP) || 8;        // Registers we are willing to read and throw away
+const MAX_LENGTH = parseInt(process.env.PLC_BLOCK_MAX_LENGTH) || 100; // Modbus allows 125 per request; keep headroom
+
+/**
+ * @param {Array<{addr:number, length?:number}>} requests - any extra fields are kept
+ * @returns {Array<{start:number, length:number, items:Array}>}
+ */
+function planBlocks(requests, { maxGap = MAX_GAP, maxLength = MAX_LENGTH } = {}) {
+    const sorted = requests
+        .map(r => ({ ...r, length: r.length || 1 }))
+        .sort((a, b) => a.addr - b.addr);
+
+    const blocks = [];
+    let current = null;
+
+    for (const req of sorted) {
+        const reqEnd = req.addr + req.length; // exclusive
+        if (current) {
+            const blockEnd = current.start + current.length;
+            const gap = req.addr - blockEnd;
+            const newLength = Math.max(blockEnd, reqEnd) - current.start;
+            if (gap <= maxGap && newLength <= maxLength) {
+                current.length = newLength;
+                current.items.push(req);
+                continue;
+            }
+        }
+        current = { start: req.addr, length: req.length, items: [req] };
+        blocks.push(current);
+    }
+    return blocks;
+}
+
+/**
+ * Returns the registers belonging to one request out of a block response.
+ */
+function sliceBlock(block, words, item) {
+    const offset = item.addr - block.start;
+    return words.slice(offset, offset + item.length);
+}
+
+module.exports = { planBlocks, sliceBlock, MAX_GAP, MAX_LENGTH };
@@ -0,0 +1,240 @@
+/**
+ * Calibration Service
+ * Dip-stick calibration of the tank level sensors.
+ *
+ * - An operator records a dip (litres measured in the tank) and the live raw
+ *   sensor value is stored with it (models/DipReading.js).
+ * - A fit turns the dips into a calibration of the raw value (models/
+ *   TankCalibration.js): offset/gain by least squares, or a multi-point
+ *   table. For each dip the "true" raw is the one the strapping table maps
+ *   to the dipped litres, so the tank profile itself is never changed.
+ * - Fits are saved as 'proposed' with their residuals (litres, before and
+ *   after). Approving one applies it to tankProfiles.toLitres(), i.e. to
+ *   every level plcService reads from then on, and supersedes the previous
+ *   version. Versions are never deleted.
+ */
+
+const mongoose = require('mongoose');
+const DipReading = require('../models/DipReading');
+const TankCalibration = require('../models/TankCalibration');
+const tankProfiles = require('./tankProfiles');
+const { getSystemData } = require('./plcService');
+const { badRequest, round } = require('./helpers');
+
+// --- CONFIGURATION ---
+const TANKS = ['dg1', 'dg2', 'dg3'];
+const METHODS = ['offsetGain', 'multiPoint'];
+const MIN_MULTI_POINTS = 3;        // Distinct raw values needed for a multi-point table
+const GAIN_RANGE = [0.5, 2];       // A fitted gain outside this is a bad dip, not drift
+const HISTORY_LIMIT = 50;
+
+function checkTank(tank) {
+    if (!TANKS.includes(tank)) throw badRequest(`tank must be one of ${TANKS.join(', ')}`);
+}
+
+/** Applies the approved calibration of every tank (call once Mongo is up) */
+async function loadActiveCalibrations() {
+    if (mongoose.connection.readyState !== 1) return;
+    const active = await TankCalibration.find({ status: 'approved' }).lean();
+    for (const calibration of active) tankProfiles.setCalibration(calibration.tank, calibration);
+    if (active.length) {
+        console.log(`📏 Tank calibrations applied: ${active.map(c => `${c.tank} v${c.version}`).join(', ')}`);
+    }
+}
+
+// Live raw value and litres, or null when the sensor is stale / overridden
+function liveReading(tank) {
+    const data = getSystemData();
+    const raw = data.tanks?.[tank]?.raw;
+    if (typeof raw !== 'number') return null;
+    return { raw, litres: data[tank], calibrationVersion: data.tanks[tank].calibrationVersion || 0 };
+}
+
+async function recordDip(tank, { dipLitres, operator = '', note = '' }) {
+    checkTank(tank);
+    dipLitres = Number(dipLitres);
+    if (!isFinite(dipLitres) || dipLitres < 0) throw badRequest('dipLitres must be a number of litres (0 or more)');
+    const capacity = tankProfiles.getTank(tank)?.capacity;
+    if (capacity && dipLitres > capacity) throw badRequest(`dipLitres is above the tank capacity (${capacity} L)`);
+
+    const live = liveReading(tank);
+    if (!live) throw badRequest(`No live sensor value for ${tank} (sensor stale or level overridden) - dip not recorded`);
+
+    return DipReading.create({
+        tank,
+        dipLitres,
+        rawValue: live.raw,
+        sensorLitres: live.litres,
+        calibrationVersion: live.calibrationVersion,
+        operator,
+        note
+    });
+}
+
+async function deleteDip(tank, id) {
+    checkTank(tank);
+    if (!mongoose.isValidObjectId(id)) return null;
+    return DipReading.findOneAndDelete({ _id: id, tank });
+}
+
+// Least squares target = gain * raw + offset; offset only when the raws do not spread
+function fitOffsetGain(samples) {
+    const n = samples.length;
+    const meanX = samples.reduce((s, p) => s + p.raw, 0) / n;
+    const meanY = samples.reduce((s, p) => s + p.target, 0) / n;
+    let sxx = 0, sxy = 0;
+    for (const p of samples) {
+        sxx += (p.raw - meanX) ** 2;
+        sxy += (p.raw - meanX) * (p.target - meanY);
+    }
+    const gain = sxx > 1e-9 ? sxy / sxx : 1;
+    if (gain < GAIN_RANGE[0] || gain > GAIN_RANGE[1]) {
+        throw badRequest(`Fitted gain ${round(gain, 3)} is implausible - check the dip readings`);
+    }
+    return { gain: round(gain, 6), offset: round(meanY - gain * meanX, 4) };
+}
+
+// [raw, target] points, dips at the same raw value averaged
+function fitMultiPoint(samples) {
+    const byRaw = new Map();
+    for (const p of samples) {
+        const key = round(p.raw, 4);
+        if (!byRaw.has(key)) byRaw.set(key, []);
+        byRaw.get(key).push(p.target);
+    }
+    if (byRaw.size < MIN_MULTI_POINTS) {
+        throw badRequest(`Multi-point calibration needs dips at ${MIN_MULTI_POINTS} or more different levels (have ${byRaw.size})`);
+    }
+    const points = [...byRaw.entries()]
+        .map(([raw, targets]) => [raw, round(targets.reduce((s, t) => s + t, 0) / targets.length, 4)])
+        .sort((a, b) => a[0] - b[0]);
+    for (let i = 1; i < points.length; i++) {
+        if (points[i][1] < points[i - 1][1]) {
+            throw badRequest(`Dips at raw ${points[i - 1][0]} and ${points[i][0]} contradict each other (level falls as the sensor rises)`);
+        }
+    }
+    return { points };
+}
+
+/** Per-dip litres and error (litres) for a calibration; null = uncalibrated */
+function residualsFor(tank, dips, calibration) {
+    const rows = dips.map(d => {
+        const litres = tankProfiles.toLitres(tank, d.rawValue, calibration);
+        return { id: d._id, rawValue: d.rawValue, dipLitres: d.dipLitres, litres, error: round(litres - d.dipLitres, 1) };
+    });
+    const rms = rows.length ? Math.sqrt(rows.reduce((s, r) => s + r.error * r.error, 0) / rows.length) : 0;
+    const max = rows.reduce((m, r) => Math.max(m, Math.abs(r.error)), 0);
+    return { rows, rmsLitres: round(rms, 1), maxLitres: round(max, 1) };
+}
+
+async function nextVersion(tank) {
+    const last = await TankCalibration.findOne({ tank }).sort({ version: -1 }).select('version').lean();
+    return (last ? last.version : 0) + 1;
+}
+
+/**
+ * Fits a calibration from the given dips (default: every dip taken since
+ * the active calibration was approved) and saves it as 'proposed'.
+ */
+async function fitCalibration(tank, { method = 'offsetGain', dipIds } = {}) {
+    checkTank(tank);
+    if (!METHODS.includes(method)) throw badRequest(`method must be one of ${METHODS.join(', ')}`);
+
+    const active = tankProfiles.getCalibration(tank);
+    const query = { tank };
+    if (Array.isArray(dipIds) && dipIds.length) {
+        query._id = { $in: dipIds.filter(id => mongoose.isValidObjectId(id)) };
+    } else if (active?.approvedAt) {
+        query.takenAt = { $gte: active.approvedAt };
+    }
+    const dips = await DipReading.find(query).sort({ takenAt: 1 }).lean();
+    if (!dips.length) throw badRequest(`No dip readings to fit for ${tank}`);
+
+    const samples = dips.map(d => ({ raw: d.rawValue, target: tankProfiles.toRaw(tank, d.dipLitres) }));
+    const fit = method === 'offsetGain' ? fitOffsetGain(samples) : fitMultiPoint(samples);
+    const candidate = { method, gain: 1, offset: 0, points: [], ...fit };
+
+    const after = residualsFor(tank, dips, candidate);
+    const before = residualsFor(tank, dips, active);
+    const doc = await TankCalibration.create({
+        ...candidate,
+        tank,
+        version: await nextVersion(tank),
+        dipReadings: dips.map(d => d._id),
+        residuals: { rmsLitres: after.rmsLitres, maxLitres: after.maxLitres, beforeRmsLitres: before.rmsLitres }
+    });
+    return { calibration: doc, residuals: after.rows };
+}
+
+async function findVersion(tank, version) {
+    checkTank(tank);
+    version = Number(version);
+    if (!Number.isInteger(version)) throw badRequest('version must be an integer');
+    return TankCalibration.findOne({ tank, version });
+}
+
+/** Makes a proposed calibration the one in force; the previous one is superseded */
+async function approveCalibration(tank, version, approvedBy = '') {
+    const doc = await findVersion(tank, version);
+    if (!doc) return null;
+    if (doc.status !== 'proposed') throw badRequest(`Version ${doc.version} is ${doc.status}, only proposed calibrations can be approved`);
+
+    // Approve first: a failed save leaves the current version in place rather than none
+    const now = new Date();
+    doc.status = 'approved';
+    doc.approvedAt = now;
+    doc.approvedBy = approvedBy;
+    await doc.save();
+    await TankCalibration.updateMany({ tank, status: 'approved', _id: { $ne: doc._id } }, { $set: { status: 'superseded', supersededAt: now } });
+
+    tankProfiles.setCalibration(tank, doc.toObject());
+    console.log(`📏 ${tank} calibration v${doc.version} approved${approvedBy ? ` by ${approvedBy}` : ''}`);
+    return doc;
+}
+
+async function rejectCalibration(tank, version) {
+    const doc = await findVersion(tank, version);
+    if (!doc) return null;
+    if (doc.status !== 'proposed') throw badRequest(`Version ${doc.version} is ${doc.status}, only proposed calibrations can be rejected`);
+    doc.status = 'rejected';
+    await doc.save();
+    return doc;
+}
+
+/** Everything the calibration page shows for one tank */
+async function getCalibrationState(tank) {
+    checkTank(tank);
+    const [history, dips] = await Promise.all([
+        TankCalibration.find({ tank }).sort({ version: -1 }).limit(HISTORY_LIMIT).lean(),
+        DipReading.find({ tank }).sort({ takenAt: -1 }).limit(HISTORY_LIMIT).lean()
+    ]);
+
+    const active = tankProfiles.getCalibration(tank);
+    const proposed = history.find(c => c.status === 'proposed') || null;
+    let proposedResiduals = null;
+    if (proposed) {
+        const used = await DipReading.find({ _id: { $in: proposed.dipReadings } }).sort({ takenAt: 1 }).lean();
+        proposedResiduals = residualsFor(tank, used, proposed).rows;
+    }
+
+    return {
+        tank,
+        live: liveReading(tank),
+        active,
+        proposed,
+        proposedResiduals,
+        history,
+        dips: residualsFor(tank, dips, active).rows.map((r, i) => ({ ...dips[i], currentLitres: r.litres, error: r.error }))
+    };
+}
+
+module.exports = {
+    METHODS,
+    loadActiveCalibrations,
+    recordDip,
+    deleteDip,
+    fitCalibration,
+    approveCalibration,
+    rejectCalibration,
+    getCalibrationState
+};
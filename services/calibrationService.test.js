@@ -0,0 +1,132 @@
+/**
+ * calibrationService.js - the offset/gain and multi-point fits and approval,
+ * against in-memory dips and calibrations. The shipped tank profiles pass the
+ * raw value through as litres, so a dip's target raw is its litres.
+ */
+
+jest.mock('./plcService', () => ({ getSystemData: () => ({}) }));
+
+jest.mock('../models/DipReading', () => {
+    const dips = [];
+    return {
+        dips,
+        find: jest.fn(() => ({ sort: () => ({ lean: async () => dips.map(d => ({ ...d })) }) }))
+    };
+});
+
+jest.mock('../models/TankCalibration', () => {
+    const docs = [];
+    const matches = (filter) => (doc) => Object.entries(filter).every(([field, value]) => (value?.$ne !== undefined ? doc[field] !== value.$ne : doc[field] === value));
+    return {
+        docs,
+        findOne: jest.fn(filter => {
+            const found = docs.filter(matches(filter)).pop() || null;
+            return Object.assign(Promise.resolve(found), { sort: () => ({ select: () => ({ lean: async () => found }) }) });
+        }),
+        create: jest.fn(async fields => {
+            const doc = {
+                _id: `c${docs.length + 1}`,
+                status: 'proposed',
+                ...fields,
+                save: jest.fn(async () => doc),
+                toObject: () => ({ ...doc })
+            };
+            docs.push(doc);
+            return doc;
+        }),
+        updateMany: jest.fn(async (filter, { $set }) => {
+            docs.filter(matches(filter)).forEach(doc => Object.assign(doc, $set));
+            return {};
+        })
+    };
+});
+
+const DipReading = require('../models/DipReading');
+const TankCalibration = require('../models/TankCalibration');
+const tankProfiles = require('./tankProfiles');
+const calibrationService = require('./calibrationService');
+
+// [rawValue, dipLitres] pairs -> dips of the dg1 tank
+function dips(pairs) {
+    DipReading.dips.length = 0;
+    pairs.forEach(([rawValue, dipLitres], i) => DipReading.dips.push({ _id: `d${i + 1}`, tank: 'dg1', rawValue, dipLitres }));
+}
+
+beforeAll(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+
+afterAll(() => {
+    tankProfiles.setCalibration('dg1', null);
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    TankCalibration.docs.length = 0;
+    tankProfiles.setCalibration('dg1', null);
+});
+
+describe('offset/gain', () => {
+    test('a least-squares line through the dips, with the residuals before and after', async () => {
+        dips([[100, 115], [200, 220], [300, 325]]);
+        const { calibration, residuals } = await calibrationService.fitCalibration('dg1');
+        expect(calibration).toMatchObject({
+            method: 'offsetGain', gain: 1.05, offset: 10, version: 1, status: 'proposed',
+            residuals: { rmsLitres: 0, maxLitres: 0, beforeRmsLitres: 20.4 }
+        });
+        expect(residuals.map(r => r.litres)).toEqual([115, 220, 325]);
+    });
+
+    test('dips that do not spread over the range fit an offset only', async () => {
+        dips([[200, 212], [200, 208]]);
+        const { calibration } = await calibrationService.fitCalibration('dg1');
+        expect(calibration).toMatchObject({ gain: 1, offset: 10 });
+    });
+
+    test('an implausible gain is a bad dip, not drift', async () => {
+        dips([[100, 100], [200, 400]]);
+        await expect(calibrationService.fitCalibration('dg1')).rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/gain 3 is implausible/) });
+        expect(TankCalibration.docs).toHaveLength(0);
+    });
+});
+
+describe('multi-point', () => {
+    test('a table of the dips, those at the same raw value averaged', async () => {
+        dips([[300, 300], [100, 110], [100, 114], [200, 205]]);
+        const { calibration, residuals } = await calibrationService.fitCalibration('dg1', { method: 'multiPoint' });
+        expect(calibration.points).toEqual([[100, 112], [200, 205], [300, 300]]);
+        expect(residuals.map(r => r.error)).toEqual([0, 2, -2, 0]);
+    });
+
+    test('needs dips at MIN_MULTI_POINTS levels that rise with the sensor', async () => {
+        dips([[100, 110], [200, 205]]);
+        await expect(calibrationService.fitCalibration('dg1', { method: 'multiPoint' })).rejects.toThrow(/3 or more different levels \(have 2\)/);
+        dips([[100, 110], [200, 250], [300, 240]]);
+        await expect(calibrationService.fitCalibration('dg1', { method: 'multiPoint' })).rejects.toThrow(/contradict each other/);
+    });
+});
+
+describe('approveCalibration', () => {
+    test('applies the approved version to the tank and supersedes the previous one', async () => {
+        dips([[100, 110], [200, 210]]);
+        await calibrationService.fitCalibration('dg1');
+        await calibrationService.approveCalibration('dg1', 1, 'ops');
+        expect(tankProfiles.toLitres('dg1', 150)).toBe(160);
+
+        dips([[100, 105], [200, 205]]);
+        await calibrationService.fitCalibration('dg1');
+        await calibrationService.approveCalibration('dg1', 2);
+        expect(TankCalibration.docs.map(d => d.status)).toEqual(['superseded', 'approved']);
+        expect(tankProfiles.toLitres('dg1', 150)).toBe(155);
+    });
+
+    test('a failed save leaves the previous version in force', async () => {
+        dips([[100, 110], [200, 210]]);
+        await calibrationService.fitCalibration('dg1');
+        await calibrationService.approveCalibration('dg1', 1);
+        await calibrationService.fitCalibration('dg1');
+        TankCalibration.docs[1].save.mockRejectedValueOnce(new Error('write conflict'));
+
+        await expect(calibrationService.approveCalibration('dg1', 2)).rejects.toThrow('write conflict');
+        expect(TankCalibration.docs[0].status).toBe('approved');
+        expect(tankProfiles.getCalibration('dg1').version).toBe(1);
+    });
+});
@@ -0,0 +1,409 @@
+/**
+ * Consumption Engine
+ * The one definition of "consumption" and "refill". Live tracking
+ * (fuelAccumulator.js), the 5-minute records and daily summary
+ * (schedulerService.js), /api/consumption and the Excel export, and the run
+ * sessions (runSessions.js) all run tank levels through it, so they agree.
+ * Thresholds come from config/consumptionEngine.json.
+ *
+ * - No I/O and no state besides the config: callers own a tracker
+ *   (createTracker) and feed it readings in time order (step), or analyse a
+ *   whole series at once (summarise totals points stepped elsewhere).
+ * - The reference level ratchets down. A drop of more than noiseThreshold is
+ *   consumption while the DG runs; while it is stopped a drop must also exceed
+ *   maxNoiseWhenOff, and is drainedWhileOff. A drop only counts once it has
+ *   held for stabilityReadings readings in a row (1 = at once; it is
+ *   consumption if the DG ran at any of them) - a level that comes back
+ *   before that was a sensor spike and is ignored.
+ *   Small rises are followed only while stopped (fuel settling/expanding), so
+ *   sloshing under load is never counted twice.
+ * - A rise of more than refillThreshold is a refill, as is a run of small
+ *   rises adding up to more than it (a slow pour while stopped). Once a
+ *   refill is seen, further rises count towards it until the level drops
+ *   again or stops rising for refillSettleMin, so one delivery is not split
+ *   into threshold-sized pieces.
+ * - Readings at or below minValidLevel, or dropping faster than
+ *   maxDropRatePerMin since the reference was set, are rejected as glitches.
+ * - Overridden readings (sensorOverrides.js) are not measurements. The first
+ *   real reading after them starts a new reference; the change across the
+ *   gap is reported as `excluded`, never as consumption or refill.
+ * - These settings replace the old scheduler's STABILITY_REQUIRED
+ *   (stabilityReadings), MAX_NOISE_WHEN_OFF (maxNoiseWhenOff), SPIKE_RECOVERY
+ *   check (a drop that recovers while pending) and IMPOSSIBLE_CONSUMPTION_RATE
+ *   check (maxDropRatePerMin); range and stale-data checks are in sensorHealth.js.
+ * - A tank may feed several DGs (topology.js). It is "running" while any of
+ *   them runs (feedState), and each consumption is split between the running
+ *   ones by kW (`byDg`; evenly when none reports kW). Without `loads` the
+ *   consumption stays unattributed.
+ *
+ * Reading:  { timestamp, level, running, loads, override }   loads = { dgKey: kW } of the running DGs
+ * Point (step() result; analyse() returns points[i] for readings[i]):
+ *   { timestamp, level, reference, running, consumption, byDg, refill,
+ *     drained, excluded, status, override }
+ *   status: initial | stable | pending | consumption | drainedWhileOff | rise |
+ *           refill | invalid | override | rebaselined
+ * analyse() result:
+ *   { version, startLevel, endLevel, totalConsumption, consumptionByDg,
+ *     unattributed, totalRefilled, drainedWhileOff, excludedChange,
+ *     massBalance, points, events }
+ *   massBalance = startLevel + totalRefilled - endLevel - excludedChange, i.e.
+ *   totalConsumption + drainedWhileOff + movement below the noise threshold.
+ *   events = [{ type: 'refill', amount, time }]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { round2 } = require('./helpers');
+
+// --- CONFIGURATION ---
+const CONFIG_PATH = process.env.CONSUMPTION_ENGINE_PATH || path.join(__dirname, '../config/consumptionEngine.json');
+const VERSION = 3; // Bump when the algorithm (not the thresholds) changes
+const DEFAULTS = {
+    noiseThreshold: 2,
+    refillThreshold: 25,
+    minValidLevel: 1,
+    maxDropRatePerMin: 30,
+    runningPowerKw: 5,
+    runningVoltage: 100,
+    refillSettleMin: 10,
+    maxNoiseWhenOff: 2,
+    stabilityReadings: 1
+};
+const ELECTRICAL_MATCH_MS = 2 * 60 * 1000; // Stored electrical reading within +/- 2 min of a level record
+
+// --- STATE ---
+let activeConfig = null;
+
+/**
+ * Validates raw (parsed JSON) engine settings and returns the full config
+ * (missing keys take the defaults). Throws an Error on the first bad value.
+ */
+function buildEngineConfig(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Consumption engine config must be a JSON object');
+    const config = { version: raw.version || 1 };
+    for (const [key, fallback] of Object.entries(DEFAULTS)) {
+        const value = raw[key] ?? fallback;
+        if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+            throw new Error(`${key}: must be a number >= 0 (got ${JSON.stringify(raw[key])})`);
+        }
+        config[key] = value;
+    }
+    if (config.refillThreshold <= config.noiseThreshold) {
+        throw new Error('refillThreshold must be above noiseThreshold');
+    }
+    if (!Number.isInteger(config.stabilityReadings) || config.stabilityReadings < 1) {
+        throw new Error('stabilityReadings: must be a whole number >= 1');
+    }
+    return config;
+}
+
+function loadEngineConfig(filePath = CONFIG_PATH) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    let raw;
+    try { raw = JSON.parse(text); }
+    catch (err) { throw new Error(`Consumption engine config is not valid JSON: ${err.message}`); }
+
+    const config = buildEngineConfig(raw);
+    config.source = filePath;
+    config.loadedAt = new Date().toISOString();
+    activeConfig = config;
+    return config;
+}
+
+/**
+ * Re-reads the config file. On failure the previous settings stay active and
+ * the error is re-thrown so the caller can report it.
+ */
+function reloadEngineConfig(filePath = CONFIG_PATH) {
+    const previous = activeConfig;
+    try {
+        const config = loadEngineConfig(filePath);
+        console.log('⚙️ Consumption engine config reloaded');
+        return config;
+    } catch (err) {
+        activeConfig = previous;
+        console.error('❌ Consumption engine reload failed, keeping previous config:', err.message);
+        throw err;
+    }
+}
+
+function getEngineConfig() {
+    if (!activeConfig) loadEngineConfig();
+    return activeConfig;
+}
+
+/** Which algorithm and settings produced a result (stored with records and summaries) */
+function versionStamp(config = getEngineConfig()) {
+    return { version: VERSION, configVersion: config.version };
+}
+
+/** Whether a DG burns fuel: loaded, or at least excited (no-load running) */
+function isRunning(electrical, config = getEngineConfig()) {
+    if (!electrical) return false;
+    return (electrical.activePower || 0) > config.runningPowerKw || (electrical.voltageR || 0) > config.runningVoltage;
+}
+
+/**
+ * Running state of the DGs a tank feeds: running if any of them is, with
+ * the kW of each running one (the `running` and `loads` of a reading).
+ */
+function feedState(dgKeys, electricalByDg, config = getEngineConfig()) {
+    const loads = {};
+    for (const dgKey of dgKeys) {
+        const electrical = electricalByDg?.[dgKey];
+        if (isRunning(electrical, config)) loads[dgKey] = electrical.activePower || 0;
+    }
+    return { running: Object.keys(loads).length > 0, loads };
+}
+
+/** Splits litres between DGs in proportion to their kW (evenly if none has any) */
+function splitByLoad(litres, loads) {
+    const dgKeys = Object.keys(loads || {});
+    if (!dgKeys.length || !litres) return {};
+    const totalKw = dgKeys.reduce((sum, dgKey) => sum + Math.max(0, loads[dgKey]), 0);
+    const shares = {};
+    for (const dgKey of dgKeys) {
+        shares[dgKey] = round2(totalKw > 0 ? litres * Math.max(0, loads[dgKey]) / totalKw : litres / dgKeys.length);
+    }
+    return shares;
+}
+
+function createTracker() {
+    return {
+        reference: null, referenceTime: null, lastLevel: null, afterOverride: false,
+        riseFrom: null, riseTime: null, refilling: false,
+        dropReadings: 0, dropRunning: false, dropLoads: {}
+    };
+}
+
+// A reading that is not a drop ends a pending (unconfirmed) drop
+function endDrop(tracker) {
+    tracker.dropReadings = 0;
+    tracker.dropRunning = false;
+    tracker.dropLoads = {};
+}
+
+// A drop, an override or a settled level ends a rise streak / refill in progress
+function endRise(tracker) {
+    tracker.riseFrom = null;
+    tracker.riseTime = null;
+    tracker.refilling = false;
+}
+
+function setReference(tracker, level, time) {
+    tracker.reference = level;
+    tracker.referenceTime = time;
+}
+
+/** Feeds one reading to a tracker and returns its point (see header) */
+function step(tracker, reading, config = getEngineConfig()) {
+    const level = reading.level;
+    const time = reading.timestamp ? new Date(reading.timestamp).getTime() : null;
+    const point = {
+        timestamp: reading.timestamp,
+        level,
+        reference: tracker.reference,
+        running: !!reading.running,
+        consumption: 0,
+        byDg: {},
+        refill: 0,
+        drained: 0,
+        excluded: 0,
+        status: 'stable',
+        override: reading.override || undefined
+    };
+
+    if (reading.override) {
+        tracker.reference = null;
+        tracker.afterOverride = true;
+        endRise(tracker);
+        endDrop(tracker);
+        point.status = 'override';
+        point.reference = null;
+        return point;
+    }
+    if (typeof level !== 'number' || !isFinite(level) || level <= config.minValidLevel) {
+        point.status = 'invalid';
+        return point;
+    }
+
+    if (tracker.reference === null) {
+        if (tracker.afterOverride && tracker.lastLevel !== null) point.excluded = round2(tracker.lastLevel - level);
+        point.status = tracker.afterOverride ? 'rebaselined' : 'initial';
+        tracker.afterOverride = false;
+        tracker.lastLevel = level;
+        setReference(tracker, level, time);
+        point.reference = level;
+        return point;
+    }
+
+    if (tracker.riseTime !== null && time !== null && time - tracker.riseTime > config.refillSettleMin * 60000) endRise(tracker);
+
+    const diff = tracker.reference - level; // Positive = drop
+    const dropThreshold = reading.running ? config.noiseThreshold : Math.max(config.noiseThreshold, config.maxNoiseWhenOff);
+    const minutes = time !== null && tracker.referenceTime !== null ? (time - tracker.referenceTime) / 60000 : 0;
+    if (diff > config.noiseThreshold && minutes > 0 && diff / minutes > config.maxDropRatePerMin) {
+        point.status = 'invalid';
+        return point;
+    }
+
+    if (!(diff > dropThreshold)) endDrop(tracker);
+
+    if (-diff > config.refillThreshold || (tracker.refilling && diff < 0)) {
+        // Small rises just before the jump were the start of this delivery - not yet reported
+        const from = tracker.riseFrom !== null && !tracker.refilling ? tracker.riseFrom : tracker.reference;
+        point.refill = round2(level - from);
+        point.status = 'refill';
+        tracker.refilling = true;
+        tracker.riseTime = time;
+        setReference(tracker, level, time);
+    } else if (diff > dropThreshold) {
+        tracker.dropReadings++;
+        if (reading.running) {
+            tracker.dropRunning = true;
+            tracker.dropLoads = reading.loads;
+        }
+        if (tracker.dropReadings < config.stabilityReadings) {
+            point.status = 'pending';
+        } else {
+            if (tracker.dropRunning) {
+                point.consumption = round2(diff);
+                point.byDg = splitByLoad(point.consumption, tracker.dropLoads);
+                point.status = 'consumption';
+            } else {
+                point.drained = round2(diff);
+                point.status = 'drainedWhileOff';
+            }
+            endDrop(tracker);
+            endRise(tracker);
+            setReference(tracker, level, time);
+        }
+    } else if (diff < 0 && !reading.running) {
+        if (tracker.riseFrom === null) tracker.riseFrom = tracker.reference;
+        tracker.riseTime = time;
+        setReference(tracker, level, time);
+        if (level - tracker.riseFrom > config.refillThreshold) {
+            // The small rises so far were the start of a refill - report them all now
+            point.refill = round2(level - tracker.riseFrom);
+            point.status = 'refill';
+            tracker.refilling = true;
+        } else {
+            point.status = 'rise';
+        }
+    }
+
+    tracker.lastLevel = level;
+    point.reference = tracker.reference;
+    return point;
+}
+
+/** Runs a whole series (time order) through a fresh tracker - see header for the result */
+function analyse(readings, config = getEngineConfig()) {
+    const tracker = createTracker();
+    return summarise(readings.map(reading => step(tracker, reading, config)));
+}
+
+/** The analyse() result for points already stepped, e.g. through a tracker carried over from the day before */
+function summarise(points) {
+    const measured = points.filter(p => p.status !== 'override' && p.status !== 'invalid');
+    const sum = (field) => round2(points.reduce((total, p) => total + p[field], 0));
+
+    const startLevel = measured.length ? measured[0].level : null;
+    const endLevel = measured.length ? measured[measured.length - 1].level : null;
+    const totalRefilled = sum('refill');
+    const excludedChange = sum('excluded');
+    const totalConsumption = sum('consumption');
+    const consumptionByDg = {};
+    for (const point of points) {
+        for (const [dgKey, litres] of Object.entries(point.byDg)) consumptionByDg[dgKey] = round2((consumptionByDg[dgKey] || 0) + litres);
+    }
+
+    return {
+        version: VERSION,
+        startLevel,
+        endLevel,
+        totalConsumption,
+        consumptionByDg,
+        unattributed: round2(totalConsumption - Object.values(consumptionByDg).reduce((a, b) => a + b, 0)),
+        totalRefilled,
+        drainedWhileOff: sum('drained'),
+        excludedChange,
+        massBalance: measured.length ? round2(startLevel + totalRefilled - endLevel - excludedChange) : 0,
+        points,
+        events: points.filter(p => p.refill > 0).map(p => ({ type: 'refill', amount: p.refill, time: p.timestamp }))
+    };
+}
+
+/**
+ * Readings for one tank from stored DieselConsumption records. Running state
+ * and loads come from the nearest ElectricalReading of each DG the tank feeds
+ * (dgKeys, see topology.getSuppliedDgs), else the record's isRunning flag.
+ * Both lists must be sorted by time. Each reading also carries
+ * `electricalInfo`, a short description for reports.
+ */
+function readingsFromRecords(dieselRecords, electricalRecords, tankKey, dgKeys = [tankKey], config = getEngineConfig()) {
+    const byDg = {};
+    const indexes = {};
+    for (const dgKey of dgKeys) {
+        byDg[dgKey] = (electricalRecords || []).filter(e => (e.dg || dgKeys[0]) === dgKey);
+        indexes[dgKey] = 0;
+    }
+    const nearest = (dgKey, recordTime) => {
+        const list = byDg[dgKey];
+        while (indexes[dgKey] < list.length && new Date(list[indexes[dgKey]].timestamp).getTime() < recordTime - ELECTRICAL_MATCH_MS) indexes[dgKey]++;
+        const candidate = list[indexes[dgKey]];
+        return candidate && Math.abs(new Date(candidate.timestamp).getTime() - recordTime) <= ELECTRICAL_MATCH_MS ? candidate : null;
+    };
+    const label = (dgKey) => dgKey.toUpperCase().replace('DG', 'DG-');
+
+    return dieselRecords.map(record => {
+        const recordTime = new Date(record.timestamp).getTime();
+        const matched = {};
+        for (const dgKey of dgKeys) {
+            const electrical = nearest(dgKey, recordTime);
+            if (electrical) matched[dgKey] = electrical;
+        }
+
+        const tank = record[tankKey];
+        let running, loads, electricalInfo;
+        if (Object.keys(matched).length > 0) {
+            ({ running, loads } = feedState(dgKeys, matched, config));
+            const describe = (dgKey) => (loads[dgKey] !== undefined ? `ON (${matched[dgKey].activePower}kW)` : 'OFF (0V)');
+            electricalInfo = dgKeys.length === 1
+                ? describe(dgKeys[0])
+                : dgKeys.filter(dgKey => matched[dgKey]).map(dgKey => `${label(dgKey)} ${describe(dgKey)}`).join(', ');
+        } else {
+            // Stored records only say the tank was in use - which DG is known only if it feeds one
+            running = !!tank?.isRunning;
+            loads = tank?.loads || (running && dgKeys.length === 1 ? { [dgKeys[0]]: 0 } : undefined);
+            electricalInfo = running ? 'Flag ON' : 'No Data';
+        }
+
+        return {
+            timestamp: record.timestamp,
+            level: tank?.level,
+            running,
+            loads,
+            override: tank?.override,
+            electricalInfo
+        };
+    });
+}
+
+module.exports = {
+    VERSION,
+    PARAMETERS: Object.keys(DEFAULTS),
+    buildEngineConfig,
+    loadEngineConfig,
+    reloadEngineConfig,
+    getEngineConfig,
+    versionStamp,
+    isRunning,
+    feedState,
+    splitByLoad,
+    createTracker,
+    step,
+    analyse,
+    summarise,
+    readingsFromRecords
+};
@@ -0,0 +1,125 @@
+/**
+ * consumptionEngine.js - the rules every consumption figure comes from.
+ * Runs on the built-in defaults (buildEngineConfig({})), not the config file.
+ */
+
+const engine = require('./consumptionEngine');
+
+const config = engine.buildEngineConfig({});
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const MIN = 60000;
+
+// [level, running] pairs five minutes apart -> readings
+function series(levels, extra = {}) {
+    return levels.map(([level, running], i) => ({ timestamp: new Date(T0 + i * 5 * MIN), level, running, ...extra }));
+}
+
+function stepAll(readings) {
+    const tracker = engine.createTracker();
+    return readings.map(reading => engine.step(tracker, reading, config));
+}
+
+describe('step', () => {
+    test('the reference ratchets down: a rise while running is never counted twice', () => {
+        const points = stepAll(series([[500, true], [497, true], [498.5, true], [494, true]]));
+        expect(points.map(p => p.status)).toEqual(['initial', 'consumption', 'stable', 'consumption']);
+        expect(points.map(p => p.consumption)).toEqual([0, 3, 0, 3]);
+        expect(points[2].reference).toBe(497);
+    });
+
+    test('movement within noiseThreshold is not consumption until it adds up', () => {
+        const points = stepAll(series([[500, true], [499, true], [498.5, true], [497.5, true]]));
+        expect(points.map(p => p.status)).toEqual(['initial', 'stable', 'stable', 'consumption']);
+        expect(points[3].consumption).toBe(2.5);
+    });
+
+    test('a jump above refillThreshold is a refill, and rises right after it belong to it', () => {
+        const points = stepAll(series([[300, false], [350, false], [360, false], [360, false]]));
+        expect(points.map(p => p.status)).toEqual(['initial', 'refill', 'refill', 'stable']);
+        expect(points.map(p => p.refill)).toEqual([0, 50, 10, 0]);
+    });
+
+    test('a slow pour while stopped is reported as one refill once it passes refillThreshold', () => {
+        const points = stepAll(series([[300, false], [310, false], [320, false], [330, false]]));
+        expect(points.map(p => p.status)).toEqual(['initial', 'rise', 'rise', 'refill']);
+        expect(points[3].refill).toBe(30);
+    });
+
+    test('small rises just before a jump are part of the refill the jump reports', () => {
+        const points = stepAll(series([[300, false], [320, false], [400, false], [400, false]]));
+        expect(points.map(p => p.status)).toEqual(['initial', 'rise', 'refill', 'stable']);
+        expect(points[2].refill).toBe(100);
+    });
+
+    test('a drop while every DG is stopped is drainedWhileOff, not consumption', () => {
+        const points = stepAll(series([[400, false], [390, false]]));
+        expect(points[1]).toMatchObject({ status: 'drainedWhileOff', drained: 10, consumption: 0 });
+    });
+
+    test('with stabilityReadings a drop counts once it holds, and a spike that comes back is ignored', () => {
+        const stable = engine.buildEngineConfig({ stabilityReadings: 3 });
+        const tracker = engine.createTracker();
+        const points = series([[500, true], [480, true], [499.5, true], [496, true], [495.5, false], [495, false]])
+            .map(reading => engine.step(tracker, reading, stable));
+        expect(points.map(p => p.status)).toEqual(['initial', 'pending', 'stable', 'pending', 'pending', 'consumption']);
+        expect(points[5]).toMatchObject({ consumption: 5, reference: 495 });
+    });
+
+    test('a drop while stopped must exceed maxNoiseWhenOff', () => {
+        const quiet = engine.buildEngineConfig({ maxNoiseWhenOff: 5 });
+        const tracker = engine.createTracker();
+        const points = series([[400, false], [397, false], [396, true], [394, false]])
+            .map(reading => engine.step(tracker, reading, quiet));
+        expect(points.map(p => p.status)).toEqual(['initial', 'stable', 'consumption', 'stable']);
+        expect(points[3].reference).toBe(396);
+    });
+
+    test('an override drops the reference; the change across it is excluded', () => {
+        const readings = series([[400, true], [150, true], [380, true], [377, true]]);
+        readings[1].override = 'manual';
+        const points = stepAll(readings);
+        expect(points.map(p => p.status)).toEqual(['initial', 'override', 'rebaselined', 'consumption']);
+        expect(points[2]).toMatchObject({ excluded: 20, consumption: 0, refill: 0 });
+        expect(points[3].consumption).toBe(3);
+    });
+
+    test('readings at or below minValidLevel and impossible drops are rejected', () => {
+        const tracker = engine.createTracker();
+        engine.step(tracker, { timestamp: new Date(T0), level: 400, running: true }, config);
+        expect(engine.step(tracker, { timestamp: new Date(T0 + MIN), level: 0.5, running: true }, config).status).toBe('invalid');
+        expect(engine.step(tracker, { timestamp: new Date(T0 + 2 * MIN), level: 100, running: true }, config).status).toBe('invalid');
+        expect(tracker.reference).toBe(400);
+    });
+
+    test('consumption is split between the running DGs by kW', () => {
+        const points = stepAll(series([[400, true], [396, true]], { loads: { dg1: 30, dg2: 10 } }));
+        expect(points[1].byDg).toEqual({ dg1: 3, dg2: 1 });
+    });
+});
+
+describe('analyse', () => {
+    test('totals, refill events and the mass balance over a day', () => {
+        const readings = series([
+            [500, true], [495, true], [490, true],   // 10 L burnt
+            [490, false], [560, false],              // 70 L delivered
+            [555, false],                            // 5 L drained while stopped
+            [555, true], [548, true]                 // 7 L burnt
+        ]);
+        const result = engine.analyse(readings, config);
+        expect(result).toMatchObject({
+            startLevel: 500,
+            endLevel: 548,
+            totalConsumption: 17,
+            totalRefilled: 70,
+            drainedWhileOff: 5,
+            excludedChange: 0,
+            massBalance: 22
+        });
+        expect(result.events).toEqual([{ type: 'refill', amount: 70, time: readings[4].timestamp }]);
+    });
+
+    test('gives the same points as stepping the series one reading at a time', () => {
+        const readings = series([[500, true], [497, true], [498.5, true], [440, false], [470, false], [466, true]]);
+        expect(engine.analyse(readings, config).points).toEqual(stepAll(readings));
+    });
+});
@@ -1,6 +1,6 @@
 /**
  * Email Service - Centralized Email Logic
- * STATUS: Diesel Alerts = ON | Electrical Startup Alerts = OFF
+ * STATUS: Diesel Alerts = ON | Engine Health Alerts = ON | Fuel Drop (Pilferage) Alerts = ON | Daily Summary + Autonomy Forecast = ON | Electrical Startup Alerts = OFF
  */
 
 const nodemailer = require('nodemailer');
@@ -89,7 +89,86 @@ function getDieselAlertTemplate(data, criticalDGs) {
   };
 }
 
-function getDailySummaryTemplate(summary, previousDay) {
+function getEngineAlertTemplate(dgName, faults) {
+  const timestamp = new Date().toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    dateStyle: 'full',
+    timeStyle: 'long'
+  });
+
+  return {
+    subject: `🚨 ENGINE ALERT: ${dgName} - ${faults.map(f => f.code.replace(/_/g, ' ')).join(', ')}`,
+    html: `
+      <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;border:1px solid #e5e7eb;border-radius:8px;">
+        <div style="background:linear-gradient(135deg,#f59e0b,#d97706);color:#fff;padding:20px;border-radius:8px 8px 0 0;">
+          <h1 style="margin:0;">🚨 ${dgName} ENGINE ALERT</h1>
+        </div>
+        <div style="padding:20px;background:#f9fafb;color:#333;">
+          <ul style="list-style:none;padding:0;">
+            ${faults.map(f => `
+            <li style="padding:8px;border-bottom:1px solid #eee;">
+              <b style="color:#ef4444">${f.message}</b>
+            </li>`).join('')}
+          </ul>
+          <p style="font-size:14px;margin-top:20px;">Alert Time: ${timestamp}</p>
+          <a href="${getDashboardUrl()}" style="display:inline-block;background:#2563eb;color:#fff;padding:10px 20px;border-radius:5px;text-decoration:none;margin-top:15px;">
+            View Dashboard
+          </a>
+        </div>
+      </div>
+    `
+  };
+}
+
+function getPilferageAlertTemplate(drop) {
+  const fmt = (date) => new Date(date).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+  const tankName = drop.dg.toUpperCase().replace('DG', 'DG-');
+
+  return {
+    subject: `🚨 FUEL DROP ALERT: ${tankName} tank lost ${drop.litres} L with all DGs stopped`,
+    html: `
+      <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;border:1px solid #e5e7eb;border-radius:8px;">
+        <div style="background:linear-gradient(135deg,#ef4444,#991b1b);color:#fff;padding:20px;border-radius:8px 8px 0 0;">
+          <h1 style="margin:0;">🚨 POSSIBLE FUEL THEFT / LEAK</h1>
+        </div>
+        <div style="padding:20px;background:#f9fafb;color:#333;">
+          <p style="font-weight:bold;color:#ef4444;font-size:16px;">
+            The ${tankName} tank level fell by ${drop.litres} L while no generator was running.
+          </p>
+          <ul style="list-style:none;padding:0;">
+            <li style="padding:8px;border-bottom:1px solid #eee;">Level before: <b>${drop.levelBefore} L</b> at ${fmt(drop.startedAt)}</li>
+            <li style="padding:8px;border-bottom:1px solid #eee;">Level after: <b style="color:#ef4444">${drop.levelAfter} L</b> at ${fmt(drop.detectedAt)}</li>
+          </ul>
+          <p style="font-size:14px;">Please check the tank, drain valves and fuel lines.</p>
+          <a href="${getDashboardUrl()}" style="display:inline-block;background:#2563eb;color:#fff;padding:10px 20px;border-radius:5px;text-decoration:none;margin-top:15px;">
+            View Dashboard
+          </a>
+        </div>
+      </div>
+    `
+  };
+}
+
+function getForecastRows(forecast) {
+  const fmtHours = (h) => (h === null ? '-' : `${h.toFixed(1)} hrs`);
+  const fmtDate = (t) => (t.litresLeft === 0 ? 'Reached' : (t.date === null ? 'No recent usage' : new Date(t.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })));
+  return Object.entries(forecast).map(([tankKey, f]) => `
+      <tr>
+        <td style="padding:12px;border:1px solid #e5e7eb;">${tankKey.toUpperCase().replace('DG', 'DG-')} tank</td>
+        <td style="padding:12px;border:1px solid #e5e7eb;text-align:center;">${f.level} L</td>
+        <td style="padding:12px;border:1px solid #e5e7eb;text-align:center;">${f.burnRateLph ? `${f.burnRateLph} L/hr` : '-'}</td>
+        <td style="padding:12px;border:1px solid #e5e7eb;text-align:center;">${f.litresPerDay} L/day</td>
+        <td style="padding:12px;border:1px solid #e5e7eb;text-align:center;">${fmtHours(f.warning.runtimeHours)} · ${fmtDate(f.warning)}</td>
+        <td style="padding:12px;border:1px solid #e5e7eb;text-align:center;font-weight:bold;color:#ef4444;">${fmtHours(f.critical.runtimeHours)} · ${fmtDate(f.critical)}</td>
+      </tr>
+    `).join('');
+}
+
+function getDailySummaryTemplate(summary, previousDay, forecast) {
   const today = new Date(summary.date);
   const formattedDate = today.toLocaleDateString('en-IN', {
     weekday: 'long',
@@ -149,6 +228,23 @@ function getDailySummaryTemplate(summary, previousDay) {
               </tr>
             </tbody>
           </table>
+          ${forecast && Object.keys(forecast).length ? `
+          <h2 style="color:#2563eb;">Fuel Autonomy</h2>
+          <table style="width:100%;border-collapse:collapse;margin-bottom:20px;background:#fff;">
+            <thead>
+              <tr style="background:#dbeafe;">
+                <th style="padding:12px;border:1px solid #e5e7eb;text-align:left;">Tank</th>
+                <th style="padding:12px;border:1px solid #e5e7eb;">Level</th>
+                <th style="padding:12px;border:1px solid #e5e7eb;">Burn Rate</th>
+                <th style="padding:12px;border:1px solid #e5e7eb;">Usage</th>
+                <th style="padding:12px;border:1px solid #e5e7eb;">To Warning</th>
+                <th style="padding:12px;border:1px solid #e5e7eb;">To Critical</th>
+              </tr>
+            </thead>
+            <tbody>${getForecastRows(forecast)}</tbody>
+          </table>
+          <p style="font-size:12px;color:#6b7280;">Runtime hours at the current (or typical) burn rate; dates at the average daily usage of recent days.</p>
+          ` : ''}
           <a href="${getDashboardUrl()}" style="display:inline-block;background:#2563eb;color:#fff;padding:10px 20px;border-radius:5px;text-decoration:none;margin-top:15px;">
             View Live Dashboard
           </a>
@@ -194,14 +290,37 @@ async function sendDieselAlert(data, criticalDGs) {
   }
 }
 
+// One email per DG per fault set per cooldown window
+async function sendEngineAlert(dgName, faults) {
+  const codes = faults.map(f => f.code).sort().join('+');
+  const key = `engine_${dgName}_${codes}_${Math.floor(Date.now() / ALERT_COOLDOWN)}`;
+  if (alertState.currentAlerts.has(key)) return;
+
+  const template = getEngineAlertTemplate(dgName, faults);
+  const sent = await sendEmail(ALERT_RECIPIENTS, template.subject, template.html);
+
+  if (sent) {
+    alertState.currentAlerts.add(key);
+    setTimeout(() => alertState.currentAlerts.delete(key), ALERT_COOLDOWN);
+    console.log(`🚨 Engine alert email sent for ${dgName}: ${codes}`);
+  }
+}
+
+// One email per suspicious drop - never held back by the cooldown
+async function sendPilferageAlert(drop) {
+  const template = getPilferageAlertTemplate(drop);
+  const sent = await sendEmail(ALERT_RECIPIENTS, template.subject, template.html);
+  if (sent) console.log(`🚨 Fuel drop alert email sent for ${drop.dg.toUpperCase()}: ${drop.litres} L`);
+}
+
 // 🔴 DISABLED: Electrical/Startup Alerts are now turned OFF
 async function sendStartupAlert(dgName, electricalData) {
   // Do nothing. This prevents the electrical email from being sent.
   return; 
 }
 
-async function sendDailySummary(summary, previousDay = null) {
-  const template = getDailySummaryTemplate(summary, previousDay);
+async function sendDailySummary(summary, previousDay = null, forecast = null) {
+  const template = getDailySummaryTemplate(summary, previousDay, forecast);
   const sent = await sendEmail(ALERT_RECIPIENTS, template.subject, template.html);
 
   if (sent) {
@@ -212,6 +331,8 @@ async function sendDailySummary(summary, previousDay = null) {
 module.exports = {
   initializeEmail,
   sendDieselAlert,
+  sendEngineAlert,
+  sendPilferageAlert,
   sendStartupAlert, // Kept in export to avoid crashing server.js, but it does nothing now.
   sendDailySummary,
   isEmailEnabled: () => emailEnabled
@@ -0,0 +1,156 @@
+/**
+ * Energy Totaliser
+ * Keeps a cumulative kWh figure per DG, persisted in models/EnergyTotal.js.
+ *
+ * - When the register map has a `meterKwh` param for the DG (the
+ *   controller's own energy register), the total follows that meter's
+ *   increments - including energy produced while this server was down.
+ * - Otherwise activePower is integrated (trapezoidal) between polls. Gaps
+ *   longer than MAX_GAP_MS (PLC offline, server restart) are not integrated.
+ * - Increments implying more than the DG's rated kVA are dropped (meter
+ *   reset / replaced, register glitch) and the meter is re-synced.
+ * - Totals are written with $inc every PERSIST_INTERVAL_MS, so a restart
+ *   loses at most that much.
+ */
+
+const mongoose = require('mongoose');
+const EnergyTotal = require('../models/EnergyTotal');
+const { getProfile } = require('./generatorProfiles');
+
+// --- CONFIGURATION ---
+const MAX_GAP_MS = 60 * 1000;
+const PERSIST_INTERVAL_MS = 60 * 1000;
+const PLAUSIBLE_MARGIN = 1.2; // Allow 20% over ratedKva before calling an increment impossible
+
+// --- STATE ---
+const totals = {};   // dgKey -> { baseKwh, sessionKwh, unsavedKwh, lastPowerKw, lastAt, lastMeterKwh, source }
+let loaded = false;
+let loading = null;
+let lastPersist = 0;
+let persisting = null;
+
+function stateFor(dgKey) {
+    if (!totals[dgKey]) {
+        totals[dgKey] = { baseKwh: 0, sessionKwh: 0, unsavedKwh: 0, lastPowerKw: null, lastAt: null, lastMeterKwh: null, source: 'integrated' };
+    }
+    return totals[dgKey];
+}
+
+function maxPlausibleKwh(dgKey, ms) {
+    return getProfile(dgKey).ratedKva * PLAUSIBLE_MARGIN * ms / 3600000;
+}
+
+async function loadTotals() {
+    if (loaded) return;
+    if (loading) return loading;
+    if (mongoose.connection.readyState !== 1) return;
+
+    loading = EnergyTotal.find().lean()
+        .then(docs => {
+            for (const doc of docs) {
+                const s = stateFor(doc.dg);
+                s.baseKwh = doc.kWh || 0;
+                s.source = doc.source;
+                // Meter increments while we were down are counted on the next poll
+                if (s.lastMeterKwh === null && typeof doc.lastMeterKwh === 'number') {
+                    s.lastMeterKwh = doc.lastMeterKwh;
+                    s.lastAt = new Date(doc.updatedAt).getTime();
+                }
+            }
+            loaded = true;
+            console.log(`⚡ Energy totals loaded for ${docs.length} DG(s)`);
+        })
+        .catch(err => console.error('❌ Energy totals load failed:', err.message))
+        .finally(() => { loading = null; });
+    return loading;
+}
+
+function addKwh(s, kWh) {
+    s.sessionKwh += kWh;
+    s.unsavedKwh += kWh;
+}
+
+/**
+ * Feeds one poll's values for a DG into its totaliser.
+ * @returns {number|null} cumulative kWh, or null until the stored total has been loaded
+ */
+function integrate(dgKey, values, now = Date.now()) {
+    if (!loaded) loadTotals();
+    const s = stateFor(dgKey);
+    const meter = values.meterKwh;
+
+    if (typeof meter === 'number' && isFinite(meter)) {
+        if (s.lastMeterKwh !== null) {
+            const delta = meter - s.lastMeterKwh;
+            const elapsed = s.lastAt ? now - s.lastAt : 0;
+            if (delta >= 0 && delta <= maxPlausibleKwh(dgKey, elapsed) + 0.01) addKwh(s, delta);
+            else console.warn(`⚠️ ${dgKey} energy meter jumped ${s.lastMeterKwh} → ${meter} kWh, re-syncing`);
+        }
+        s.lastMeterKwh = meter;
+        s.source = 'meter';
+    } else {
+        const power = Math.max(0, values.activePower || 0);
+        const elapsed = s.lastAt ? now - s.lastAt : Infinity;
+        if (s.lastPowerKw !== null && elapsed <= MAX_GAP_MS) {
+            const kWh = (s.lastPowerKw + power) / 2 * elapsed / 3600000;
+            if (kWh <= maxPlausibleKwh(dgKey, elapsed)) addKwh(s, kWh);
+        }
+        s.lastPowerKw = power;
+        s.source = 'integrated';
+    }
+    s.lastAt = now;
+
+    if (now - lastPersist >= PERSIST_INTERVAL_MS) persistTotals();
+    return getTotal(dgKey);
+}
+
+function getTotal(dgKey) {
+    if (!loaded) return null;
+    const s = stateFor(dgKey);
+    return Math.round((s.baseKwh + s.sessionKwh) * 1000) / 1000;
+}
+
+function getTotals() {
+    const result = {};
+    for (const [dgKey, s] of Object.entries(totals)) {
+        result[dgKey] = { kWh: getTotal(dgKey), source: s.source, updatedAt: s.lastAt ? new Date(s.lastAt) : null };
+    }
+    return result;
+}
+
+async function persistTotals() {
+    if (persisting) {
+        // Shutdown must not skip the kWh counted since the in-flight write started
+        await persisting;
+        return persistTotals();
+    }
+    if (!loaded || mongoose.connection.readyState !== 1) return;
+    lastPersist = Date.now();
+    persisting = writeTotals().finally(() => { persisting = null; });
+    return persisting;
+}
+
+async function writeTotals() {
+    for (const [dgKey, s] of Object.entries(totals)) {
+        const kWh = s.unsavedKwh;
+        s.unsavedKwh = 0;
+        try {
+            await EnergyTotal.updateOne(
+                { dg: dgKey },
+                { $inc: { kWh }, $set: { source: s.source, lastMeterKwh: s.lastMeterKwh, updatedAt: new Date(s.lastAt || Date.now()) } },
+                { upsert: true }
+            );
+        } catch (err) {
+            s.unsavedKwh += kWh; // Retry with the next write
+            console.error(`❌ Energy total save failed for ${dgKey}:`, err.message);
+        }
+    }
+}
+
+module.exports = {
+    loadTotals,
+    integrate,
+    getTotal,
+    getTotals,
+    persistTotals
+};
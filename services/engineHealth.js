@@ -0,0 +1,82 @@
+/**
+ * Engine Health
+ * Checks the engine parameters a DG controller exposes (oil pressure,
+ * coolant / winding temperature, battery volts, fuel-rack alarm) against the
+ * DG's engineLimits from config/generatorProfiles.json, and the derived
+ * voltage / current unbalance (powerCalculations.js) against its
+ * electricalLimits.
+ *
+ * - Only parameters present in the register map are checked.
+ * - Oil pressure is only judged once the engine has been running for
+ *   OIL_PRESSURE_GRACE_MS (it takes a few seconds to build up), battery volts
+ *   only while stopped (cranking and charging both move it).
+ * - Unbalance is only judged while running; current unbalance only above
+ *   CURRENT_UNBALANCE_MIN_LOAD_PCT (a few amps either way is not a fault).
+ * - A fault must be seen FAULT_CONFIRM_CYCLES polls in a row before it is
+ *   reported, so a single bad sample does not raise an alarm.
+ */
+
+const { getProfile } = require('./generatorProfiles');
+
+// --- CONFIGURATION ---
+const ENGINE_PARAMS = ['rpm', 'oilPressure', 'coolantTemp', 'batteryVoltage', 'windingTemp', 'fuelRackAlarm'];
+const OIL_PRESSURE_GRACE_MS = 15000;
+const FAULT_CONFIRM_CYCLES = 3;
+const CURRENT_UNBALANCE_MIN_LOAD_PCT = 20;
+
+// --- STATE ---
+const runningSince = {};   // dgKey -> ms timestamp
+const faultStreaks = {};   // dgKey -> { code: consecutive polls }
+
+function rawFaults(dgKey, values, isRunning, now) {
+    const profile = getProfile(dgKey);
+    const limits = profile.engineLimits;
+    const electrical = profile.electricalLimits;
+    const has = (param) => typeof values[param] === 'number';
+    const faults = [];
+
+    if (isRunning) runningSince[dgKey] = runningSince[dgKey] || now;
+    else delete runningSince[dgKey];
+    const runningFor = isRunning ? now - runningSince[dgKey] : 0;
+
+    if (has('oilPressure') && isRunning && runningFor >= OIL_PRESSURE_GRACE_MS && values.oilPressure < limits.minOilPressure) {
+        faults.push({ code: 'LOW_OIL_PRESSURE', param: 'oilPressure', value: values.oilPressure, limit: limits.minOilPressure, message: `Low oil pressure ${values.oilPressure} bar (min ${limits.minOilPressure})` });
+    }
+    if (has('coolantTemp') && values.coolantTemp > limits.maxCoolantTemp) {
+        faults.push({ code: 'HIGH_COOLANT_TEMP', param: 'coolantTemp', value: values.coolantTemp, limit: limits.maxCoolantTemp, message: `High coolant temperature ${values.coolantTemp} °C (max ${limits.maxCoolantTemp})` });
+    }
+    if (has('windingTemp') && values.windingTemp > limits.maxWindingTemp) {
+        faults.push({ code: 'HIGH_WINDING_TEMP', param: 'windingTemp', value: values.windingTemp, limit: limits.maxWindingTemp, message: `High winding temperature ${values.windingTemp} °C (max ${limits.maxWindingTemp})` });
+    }
+    if (has('batteryVoltage') && !isRunning && values.batteryVoltage < limits.minBatteryVoltage) {
+        faults.push({ code: 'LOW_BATTERY', param: 'batteryVoltage', value: values.batteryVoltage, limit: limits.minBatteryVoltage, message: `Low battery ${values.batteryVoltage} V (min ${limits.minBatteryVoltage})` });
+    }
+    if (has('fuelRackAlarm') && values.fuelRackAlarm) {
+        faults.push({ code: 'FUEL_RACK_ALARM', param: 'fuelRackAlarm', value: values.fuelRackAlarm, limit: 0, message: 'Fuel rack alarm active' });
+    }
+    if (has('voltageUnbalance') && isRunning && values.voltageUnbalance > electrical.maxVoltageUnbalance) {
+        faults.push({ code: 'VOLTAGE_UNBALANCE', param: 'voltageUnbalance', value: values.voltageUnbalance, limit: electrical.maxVoltageUnbalance, message: `Voltage unbalance ${values.voltageUnbalance}% (max ${electrical.maxVoltageUnbalance}%)` });
+    }
+    const avgAmps = ((values.currentR || 0) + (values.currentY || 0) + (values.currentB || 0)) / 3;
+    const loadPct = avgAmps / profile.ratedAmps * 100;
+    if (has('currentUnbalance') && isRunning && loadPct >= CURRENT_UNBALANCE_MIN_LOAD_PCT && values.currentUnbalance > electrical.maxCurrentUnbalance) {
+        faults.push({ code: 'CURRENT_UNBALANCE', param: 'currentUnbalance', value: values.currentUnbalance, limit: electrical.maxCurrentUnbalance, message: `Current unbalance ${values.currentUnbalance}% (max ${electrical.maxCurrentUnbalance}%)` });
+    }
+    return faults;
+}
+
+/**
+ * Returns the confirmed faults for one DG for this poll.
+ * @param {object} values - the DG's electrical/engine values from the register map
+ * @param {boolean} isRunning
+ */
+function evaluateEngineHealth(dgKey, values, isRunning, now = Date.now()) {
+    const faults = rawFaults(dgKey, values || {}, isRunning, now);
+    const previous = faultStreaks[dgKey] || {};
+    const streaks = {};
+    for (const fault of faults) streaks[fault.code] = (previous[fault.code] || 0) + 1;
+    faultStreaks[dgKey] = streaks;
+    return faults.filter(f => streaks[f.code] >= FAULT_CONFIRM_CYCLES);
+}
+
+module.exports = { ENGINE_PARAMS, evaluateEngineHealth };
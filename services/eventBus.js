@@ -0,0 +1,81 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe for acquisition events. plcService publishes;
+ * alerts, persistence, the DG-1 run log and live clients (/api/events)
+ * subscribe, so a new consumer never has to touch the poll loop.
+ *
+ * - Events are typed: publishing an unknown type throws.
+ * - Every event is { type, timestamp, data }.
+ * - Handlers run synchronously in subscription order. A throwing (or
+ *   rejecting) handler is logged and does not affect the publisher or the
+ *   other handlers - the poll loop must never stall on a subscriber.
+ *
+ * Payloads (`data`):
+ *   reading          { systemData, sensorLevels }       every poll cycle (sensorLevels = raw litres per tank)
+ *   dgStarted        { dg, name, values, allValues }    activePower rose above the running threshold
+ *   dgStopped        { dg, name, values }               ... and fell back below it
+ *   refillDetected   { dg, litres, level }              refill seen by consumptionEngine (litres added since the last one; a delivery can arrive in several)
+ *   sensorFault      { dg, sensor, active, message }    sensor went stale (active) / recovered
+ *   suspiciousDrop   { id, dg, severity, litres, levelBefore, levelAfter, startedAt, detectedAt }
+ *                                                       sustained tank drop with every DG stopped (pilferageDetector.js)
+ *   engineFault      { dg, name, faults, newFaults }    new engine alarms (see engineHealth.js)
+ *   plcDisconnected  { device, name, error }            device taken offline
+ *   plcConnected     { device, name }                   device (re)connected
+ */
+
+// --- CONFIGURATION ---
+const EVENTS = {
+    READING: 'reading',
+    DG_STARTED: 'dgStarted',
+    DG_STOPPED: 'dgStopped',
+    REFILL_DETECTED: 'refillDetected',
+    SENSOR_FAULT: 'sensorFault',
+    SUSPICIOUS_DROP: 'suspiciousDrop',
+    ENGINE_FAULT: 'engineFault',
+    PLC_DISCONNECTED: 'plcDisconnected',
+    PLC_CONNECTED: 'plcConnected'
+};
+const TYPES = Object.values(EVENTS);
+const ALL = '*';
+
+// --- STATE ---
+const handlers = new Map(); // type (or '*') -> Set of handlers
+
+function reportError(type, err) {
+    console.error(`❌ Event handler for "${type}" failed:`, err && err.message ? err.message : err);
+}
+
+/**
+ * Subscribes to one type, a list of types, or '*' for everything.
+ * @returns {Function} unsubscribe
+ */
+function subscribe(types, handler) {
+    const list = Array.isArray(types) ? types : [types];
+    for (const type of list) {
+        if (type !== ALL && !TYPES.includes(type)) throw new Error(`Unknown event type "${type}"`);
+        if (!handlers.has(type)) handlers.set(type, new Set());
+        handlers.get(type).add(handler);
+    }
+    return () => list.forEach(type => handlers.get(type)?.delete(handler));
+}
+
+function publish(type, data = {}) {
+    if (!TYPES.includes(type)) throw new Error(`Unknown event type "${type}"`);
+    const event = { type, timestamp: new Date().toISOString(), data };
+
+    for (const handler of [...(handlers.get(type) || []), ...(handlers.get(ALL) || [])]) {
+        try {
+            const result = handler(event);
+            if (result && typeof result.catch === 'function') result.catch(err => reportError(type, err));
+        } catch (err) {
+            reportError(type, err);
+        }
+    }
+    return event;
+}
+
+function subscriberCount(type) {
+    return (handlers.get(type)?.size || 0) + (handlers.get(ALL)?.size || 0);
+}
+
+module.exports = { EVENTS, TYPES, ALL, subscribe, publish, subscriberCount };
@@ -0,0 +1,73 @@
+/**
+ * Event Subscribers
+ * The consumers that used to be called straight from the poll loop in
+ * plcService, now wired to eventBus.js:
+ *
+ * - Alerts: low diesel (every reading, emailService applies the cooldown),
+ *   engine faults, DG start-up, fuel drops while stopped.
+ * - Run sessions for every DG (runSessions.js -> models/RunSession.js).
+ * - Refill events for delivery reconciliation (refillDeliveries.js ->
+ *   models/RefillEvent.js).
+ * - Pilferage detection (pilferageDetector.js -> models/SuspiciousDrop.js).
+ * - Tank sensor quality and anomalies (sensorHealth.js ->
+ *   models/SensorHealth.js).
+ *
+ * The scheduler subscribes on its own (schedulerService.js) and live
+ * clients through GET /api/events.
+ */
+
+const eventBus = require('./eventBus');
+const { EVENTS } = eventBus;
+const { sendDieselAlert, sendEngineAlert, sendStartupAlert, sendPilferageAlert } = require('./emailService');
+const runSessions = require('./runSessions');
+const refillDeliveries = require('./refillDeliveries');
+const pilferageDetector = require('./pilferageDetector');
+const sensorHealth = require('./sensorHealth');
+
+// --- CONFIGURATION ---
+const CRITICAL_LEVEL = parseInt(process.env.CRITICAL_DIESEL_LEVEL) || 50;
+const ALERT_TANKS = ['dg1', 'dg2'];
+const STARTUP_ALERT_DGS = ['dg1', 'dg2', 'dg4'];
+const STARTUP_GRACE_S = 20; // The first poll after a restart looks like a start - no alert
+
+// --- STATE ---
+let registered = false;
+
+// Overridden tanks are skipped - their level is not a live reading
+function checkDieselLevels({ data }) {
+    const systemData = data.systemData;
+    const criticalDGs = ALERT_TANKS
+        .filter(dg => systemData[dg] <= CRITICAL_LEVEL && !systemData.tanks?.[dg]?.override)
+        .map(dg => dg.toUpperCase().replace('DG', 'DG-'));
+    if (criticalDGs.length > 0) return sendDieselAlert(systemData, criticalDGs);
+}
+
+function alertEngineFault({ data }) {
+    return sendEngineAlert(data.name, data.faults);
+}
+
+function alertStartup({ data }) {
+    if (process.uptime() < STARTUP_GRACE_S || !STARTUP_ALERT_DGS.includes(data.dg)) return;
+    return sendStartupAlert(data.name, data.allValues);
+}
+
+function alertSuspiciousDrop({ data }) {
+    return sendPilferageAlert(data);
+}
+
+function registerSubscribers() {
+    if (registered) return;
+    registered = true;
+    eventBus.subscribe(EVENTS.READING, checkDieselLevels);
+    // Before runSessions: its run quality reads this sample's sensorHealth.getCurrent()
+    eventBus.subscribe(EVENTS.READING, sensorHealth.processReading);
+    eventBus.subscribe(EVENTS.READING, runSessions.processReading);
+    eventBus.subscribe(EVENTS.READING, pilferageDetector.processReading);
+    eventBus.subscribe(EVENTS.SENSOR_FAULT, sensorHealth.processSensorFault);
+    eventBus.subscribe(EVENTS.REFILL_DETECTED, refillDeliveries.processRefill);
+    eventBus.subscribe(EVENTS.SUSPICIOUS_DROP, alertSuspiciousDrop);
+    eventBus.subscribe(EVENTS.ENGINE_FAULT, alertEngineFault);
+    eventBus.subscribe(EVENTS.DG_STARTED, alertStartup);
+}
+
+module.exports = { registerSubscribers };
@@ -1,70 +1,36 @@
 /**
  * FUEL ACCUMULATOR SERVICE - IRON RATCHET VERSION
  * FIXED: Prevents "Vibration Looping" on DG1
- * UPDATED: Refill Threshold set to 50 Liters
+ * UPDATED: Detection is consumptionEngine.js - this only buffers and commits
  */
 
 const { DieselConsumption } = require('../models/schemas');
+const consumptionEngine = require('./consumptionEngine');
 
 // --- CONFIGURATION ---
+// Drop/refill thresholds live in config/consumptionEngine.json (consumptionEngine.js)
 const COMMIT_THRESHOLD = 2.0;  // Only save to DB if we have > 2 Liters accumulated
-const REFILL_THRESHOLD = 25; // ✅ UPDATED: Only reset if level rises by > 50 Liters
-const NOISE_FILTER = 2.0;      // IGNORE any drop smaller than 2.0 Liters
 
 // --- STATE MEMORY ---
-let state = {
-    dg1: { buffer: 0, lastLevel: null },
-    dg2: { buffer: 0, lastLevel: null },
-    dg3: { buffer: 0, lastLevel: null },
-    dg4: { buffer: 0, lastLevel: null }
-};
+// One entry per sensed tank, created on its first reading (the topology decides which tanks exist)
+let state = {};
 
-async function processReading(dgKey, currentLevel, isEngineRunning) {
-    let s = state[dgKey];
-
-    // 1. Initialize on first run
-    if (s.lastLevel === null) {
-        s.lastLevel = currentLevel;
-        return; 
-    }
+function tankState(dgKey) {
+    if (!state[dgKey]) state[dgKey] = { buffer: 0, tracker: consumptionEngine.createTracker() };
+    return state[dgKey];
+}
 
-    // 2. Calculate Change
-    const diff = s.lastLevel - currentLevel; // Positive = Drop, Negative = Rise
+// Returns { refill } - litres of a detected refill, else 0 (plcService publishes it)
+async function processReading(dgKey, currentLevel, isEngineRunning) {
+    let s = tankState(dgKey);
+    const point = consumptionEngine.step(s.tracker, { timestamp: new Date(), level: currentLevel, running: isEngineRunning });
 
-    // CASE 1: DROP DETECTED (Consumption?)
-    if (diff > NOISE_FILTER) {
-        if (isEngineRunning) {
-            // ✅ Engine ON: Real Consumption.
-            // We count the drop AND lock the level down.
-            s.buffer += diff;
-            s.lastLevel = currentLevel; 
-        } else {
-            // ❌ Engine OFF: Noise/Cooling.
-            // We follow the sensor but DO NOT count consumption.
-            s.lastLevel = currentLevel; 
-        }
-    } 
-    
-    // CASE 2: REFILL DETECTED (Huge Rise > 50L)
-    else if (diff < -REFILL_THRESHOLD) {
-        console.log(`[${dgKey}] REFILL DETECTED: +${Math.abs(diff).toFixed(1)}L`);
-        s.lastLevel = currentLevel; // Reset ratchet to new high level
+    // The engine's ratchet: drops count only while running, rises under load are ignored
+    if (point.status === 'refill') {
+        console.log(`[${dgKey}] REFILL DETECTED: +${point.refill.toFixed(1)}L`);
         s.buffer = 0; // Clear buffer
     }
-
-    // CASE 3: SMALL RISE (Sloshing / Vibration)
-    else if (diff < 0) {
-        if (!isEngineRunning) {
-            // ✅ Engine OFF: Allow Recovery.
-            // Fuel expands when hot/stopped, so we let it rise.
-            s.lastLevel = currentLevel; 
-        } else {
-            // 🔒 Engine ON: THE IRON RATCHET.
-            // WE DO NOTHING. We strictly ignore the rise.
-            // We keep s.lastLevel at the LOWEST point.
-            // This prevents the "Looping" bug (18L error).
-        }
-    }
+    s.buffer += point.consumption;
 
     // =========================================================
     // 💾 SAVE TO DB
@@ -73,6 +39,7 @@ async function processReading(dgKey, currentLevel, isEngineRunning) {
         await commitBufferToDB(dgKey, s.buffer);
         s.buffer = 0; // Empty the bucket
     }
+    return { refill: point.refill };
 }
 
 async function commitBufferToDB(dgKey, amount) {
@@ -95,7 +62,12 @@ async function commitBufferToDB(dgKey, amount) {
 }
 
 function getDisplayLevel(dgKey) {
-    return state[dgKey].lastLevel || 0;
+    return state[dgKey]?.tracker.reference || 0;
+}
+
+// Forget the ratchet level (after a sensor override) - the next reading re-initialises it
+function resetLevel(dgKey) {
+    delete state[dgKey];
 }
 
-module.exports = { processReading, getDisplayLevel };
\ No newline at end of file
+module.exports = { processReading, getDisplayLevel, resetLevel };
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * The live path (fuelAccumulator.js, fed every poll) and the batch path
+ * (consumptionEngine.analyse, and buildDailySummary as used by the nightly
+ * summary and historyReprocess.js) must agree on the same series.
+ */
+
+jest.mock('../models/schemas', () => ({
+    DieselConsumption: { updateOne: jest.fn().mockResolvedValue({}) },
+    DailySummary: {},
+    ElectricalReading: {}
+}));
+
+const { DieselConsumption } = require('../models/schemas');
+const fuelAccumulator = require('./fuelAccumulator');
+const consumptionEngine = require('./consumptionEngine');
+const { buildDailySummary } = require('./schedulerService');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const INTERVAL_MS = 5 * 60000;
+
+// One day of DG-1's tank: burns, slosh under load, a delivery, a drain while stopped
+const LEVELS = [
+    [500, true], [496, true], [497.5, true], [492, true], [488.5, true],
+    [488, false], [540, false], [552, false], [552, false],
+    [546, false], [546, true], [541, true], [537.5, true], [533, true]
+];
+
+beforeAll(() => {
+    jest.useFakeTimers({ now: T0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+});
+
+test('live accumulation, analyse() and the daily summary agree on consumption and refills', async () => {
+    const refills = [];
+    for (const [i, [level, running]] of LEVELS.entries()) {
+        jest.setSystemTime(T0 + i * INTERVAL_MS);
+        const { refill } = await fuelAccumulator.processReading('dg1', level, running);
+        if (refill > 0) refills.push(refill);
+    }
+    const committed = DieselConsumption.updateOne.mock.calls
+        .reduce((sum, [, update]) => sum + update.$inc['dg1.consumption'], 0);
+
+    const readings = LEVELS.map(([level, running], i) => ({ timestamp: new Date(T0 + i * INTERVAL_MS), level, running }));
+    const batch = consumptionEngine.analyse(readings);
+
+    const records = readings.map(r => ({ timestamp: r.timestamp, date: '2026-01-01', dg1: { level: r.level, isRunning: r.running } }));
+    const summary = buildDailySummary('2026-01-01', records, []);
+
+    expect(batch.totalConsumption).toBe(24.5);
+    expect(batch.totalRefilled).toBe(63.5);
+    expect(committed).toBeCloseTo(batch.totalConsumption, 2);
+    expect(refills).toEqual(batch.events.map(e => e.amount));
+    expect(summary.dg1.totalConsumption).toBe(batch.totalConsumption);
+    expect(summary.dg1.refilled).toBe(batch.totalRefilled);
+    expect(fuelAccumulator.getDisplayLevel('dg1')).toBe(batch.points[batch.points.length - 1].reference);
+});
+
+test('a tank the topology adds later gets its own state on its first reading', async () => {
+    await expect(fuelAccumulator.processReading('daytank1', 120, false)).resolves.toEqual({ refill: 0 });
+    expect(fuelAccumulator.getDisplayLevel('daytank1')).toBe(120);
+    expect(fuelAccumulator.getDisplayLevel('unknown')).toBe(0);
+});
@@ -0,0 +1,377 @@
+/**
+ * Fuel Curve Service
+ * The two independent fuel figures side by side - the load-based estimate
+ * (the DG's fuel curve, generatorProfiles.js) and the litres the tank level
+ * dropped - and each DG's fuel-vs-load curve learned from the runs where the
+ * tank can be believed.
+ *
+ * - Comparison per run session (runSessions.js) and per day (UTC date the
+ *   run started): estimate, measurement and deviation % = (measured -
+ *   estimated) / estimated, over the runs that have both. Runs stored before
+ *   estimates were kept are estimated at their average load with the curve in
+ *   force now (estimateSource 'avgLoad').
+ * - Learning uses closed runs of MIN_RUN_S or more with tank fuel, no refill,
+ *   the tank not shared with another running DG and at least
+ *   MIN_TANK_QUALITY_PCT of the tank readings trustworthy (sensorHealth.js).
+ *   Each run is one point, average load % -> measured litres/hour, weighted
+ *   by its hours.
+ * - Fit: a straight line (diesel fuel is close to linear in load) when the
+ *   runs span MIN_LOAD_SPAN_PCT of load, else the curve in force scaled to
+ *   the measured litres. Saved as 'proposed' with its error before and after
+ *   (models/FuelCurve.js); approving it puts it in force for the live
+ *   fuelRate, run estimates and the forecast (generatorProfiles.js). Like
+ *   tank calibrations, nothing changes without approval.
+ * - proposeCurves() runs nightly (schedulerService.js) and proposes a curve
+ *   for a DG with MIN_SESSIONS usable runs in FIT_RANGE_DAYS when the fit
+ *   beats the curve in force by MIN_IMPROVEMENT_PCT.
+ */
+
+const mongoose = require('mongoose');
+const RunSession = require('../models/RunSession');
+const FuelCurve = require('../models/FuelCurve');
+const generatorProfiles = require('./generatorProfiles');
+const registerMap = require('./registerMap');
+const { badRequest, parseDay, round } = require('./helpers');
+
+// --- CONFIGURATION ---
+const MIN_RUN_S = 15 * 60;             // Shorter runs drop too little for the level sensor
+const MIN_TANK_QUALITY_PCT = 90;
+const MIN_SESSIONS = 5;
+const MIN_LOAD_SPAN_PCT = 20;          // Narrower: the slope is noise, only the scale is learned
+const MIN_IMPROVEMENT_PCT = 10;        // Nightly proposals must cut the error by this much
+const CURVE_LOADS = [0, 25, 50, 75, 100];
+const DEFAULT_RANGE_DAYS = 30;
+const FIT_RANGE_DAYS = 90;
+const MAX_RESULTS = 500;
+const HISTORY_LIMIT = 50;
+const DAY_MS = 86400000;
+
+function checkDg(dg) {
+    const generators = registerMap.getGeneratorKeys();
+    if (!generators.includes(dg)) throw badRequest(`${dg} is not a generator in the register map. Valid: ${generators.join(', ')}`);
+}
+
+function parseRange(from, to, defaultDays) {
+    const end = to ? parseDay(to, true, 'to') : new Date();
+    const start = from ? parseDay(from, false, 'from') : new Date(end.getTime() - defaultDays * DAY_MS);
+    if (start > end) throw badRequest('from must be before to');
+    return { start, end };
+}
+
+function deviationPct(measured, estimated) {
+    return measured !== null && estimated > 0 ? round((measured - estimated) / estimated * 100, 1) : null;
+}
+
+/** { litres, source } the load-based model gives for a run, or null */
+function estimateFor(run) {
+    if (typeof run.estimatedFuel === 'number') return { litres: run.estimatedFuel, source: 'live' };
+    if (!(run.avgLoadPct > 0) || !(run.durationS > 0)) return null;
+    const rate = generatorProfiles.fuelRateAt(generatorProfiles.getProfile(run.dg), run.avgLoadPct);
+    return { litres: round(rate * run.durationS / 3600), source: 'avgLoad' };
+}
+
+/** Why a run can't teach the fuel curve, or null when it can */
+function excludedReason(run) {
+    if (run.fuelConsumed === null || run.fuelConsumed === undefined) return 'No tank measurement';
+    if ((run.durationS || 0) < MIN_RUN_S) return `Shorter than ${MIN_RUN_S / 60} min`;
+    if (!(run.fuelConsumed > 0)) return 'No fuel drop measured';
+    if (run.refilled > 0) return 'Refilled during the run';
+    if (run.tankShared) return 'Tank shared with another running DG';
+    if (run.tankQualityPct === null || run.tankQualityPct === undefined) return 'No tank quality record';
+    if (run.tankQualityPct < MIN_TANK_QUALITY_PCT) return `Tank data ${run.tankQualityPct}% trustworthy`;
+    if (!(run.avgLoadPct > 0)) return 'No load data';
+    return null;
+}
+
+function sessionRow(run) {
+    const estimate = estimateFor(run);
+    const measured = typeof run.fuelConsumed === 'number' ? run.fuelConsumed : null;
+    const reason = excludedReason(run);
+    return {
+        id: run._id,
+        dg: run.dg,
+        startedAt: run.startedAt,
+        endedAt: run.endedAt,
+        durationS: run.durationS || 0,
+        avgLoadPct: run.avgLoadPct || 0,
+        estimatedFuel: estimate ? estimate.litres : null,
+        estimateSource: estimate ? estimate.source : null,
+        measuredFuel: measured,
+        deviationPct: deviationPct(measured, estimate?.litres),
+        tankQualityPct: run.tankQualityPct ?? null,
+        learnable: reason === null,
+        excludedReason: reason
+    };
+}
+
+// Sums for a group of session rows; the deviation only over runs with both figures
+function aggregate(rows) {
+    const paired = rows.filter(r => r.estimatedFuel !== null && r.measuredFuel !== null);
+    const measuredRows = rows.filter(r => r.measuredFuel !== null);
+    const pairedEstimate = paired.reduce((s, r) => s + r.estimatedFuel, 0);
+    const pairedMeasured = paired.reduce((s, r) => s + r.measuredFuel, 0);
+    return {
+        runs: rows.length,
+        hours: round(rows.reduce((s, r) => s + r.durationS, 0) / 3600),
+        estimatedFuel: round(rows.reduce((s, r) => s + (r.estimatedFuel || 0), 0)),
+        measuredFuel: measuredRows.length ? round(measuredRows.reduce((s, r) => s + r.measuredFuel, 0)) : null,
+        comparedRuns: paired.length,
+        deviationPct: paired.length ? deviationPct(pairedMeasured, pairedEstimate) : null
+    };
+}
+
+/**
+ * Estimate vs measurement for the closed runs that started in [from, to]
+ * (default the last DEFAULT_RANGE_DAYS days): per run (newest first), per DG
+ * per day, and per DG.
+ */
+async function compareFuel({ dg, from, to } = {}) {
+    if (dg) checkDg(dg);
+    const { start, end } = parseRange(from, to, DEFAULT_RANGE_DAYS);
+    const query = { status: 'closed', startedAt: { $gte: start, $lte: end } };
+    if (dg) query.dg = dg;
+    const runs = await RunSession.find(query).sort({ startedAt: -1 }).limit(MAX_RESULTS).lean();
+    const sessions = runs.map(sessionRow);
+
+    const byDay = new Map();
+    for (const row of sessions) {
+        const key = `${new Date(row.startedAt).toISOString().split('T')[0]}|${row.dg}`;
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(row);
+    }
+    const days = [...byDay.entries()].map(([key, rows]) => {
+        const [date, dgKey] = key.split('|');
+        return { date, dg: dgKey, ...aggregate(rows) };
+    });
+
+    const totals = {};
+    for (const dgKey of [...new Set(sessions.map(r => r.dg))].sort()) {
+        totals[dgKey] = aggregate(sessions.filter(r => r.dg === dgKey));
+    }
+    return { from: start, to: end, sessions, days, totals };
+}
+
+// Usable runs of a DG as fit points: load % -> measured L/h, weighted by hours
+async function fitPoints(dg, start, end) {
+    const runs = await RunSession.find({ dg, status: 'closed', startedAt: { $gte: start, $lte: end } })
+        .sort({ startedAt: 1 }).lean();
+    return runs.filter(run => excludedReason(run) === null).map(run => ({
+        id: run._id,
+        load: run.avgLoadPct,
+        hours: run.durationS / 3600,
+        litres: run.fuelConsumed,
+        rate: run.fuelConsumed / (run.durationS / 3600)
+    }));
+}
+
+/** RMS of measured vs curve L/h (hour-weighted) and the fuel bias % over the points */
+function curveError(points, fuelCurve) {
+    const profile = { fuelCurve };
+    let squares = 0, hours = 0, estimated = 0, measured = 0;
+    for (const p of points) {
+        const rate = generatorProfiles.fuelRateAt(profile, p.load);
+        squares += p.hours * (p.rate - rate) ** 2;
+        hours += p.hours;
+        estimated += rate * p.hours;
+        measured += p.litres;
+    }
+    return {
+        rmsLph: hours > 0 ? round(Math.sqrt(squares / hours)) : 0,
+        biasPct: deviationPct(measured, estimated) ?? 0
+    };
+}
+
+// Weighted least squares L/h = intercept + slope * load; the base curve scaled when that fails
+function fitCurveTo(points, baseCurve) {
+    const hours = points.reduce((s, p) => s + p.hours, 0);
+    const loads = points.map(p => p.load);
+    if (Math.max(...loads) - Math.min(...loads) >= MIN_LOAD_SPAN_PCT) {
+        const meanX = points.reduce((s, p) => s + p.hours * p.load, 0) / hours;
+        const meanY = points.reduce((s, p) => s + p.hours * p.rate, 0) / hours;
+        let sxx = 0, sxy = 0;
+        for (const p of points) {
+            sxx += p.hours * (p.load - meanX) ** 2;
+            sxy += p.hours * (p.load - meanX) * (p.rate - meanY);
+        }
+        const slope = sxy / sxx;
+        const intercept = meanY - slope * meanX;
+        // A falling or negative curve is scatter, not the engine
+        if (slope >= 0 && intercept >= 0) {
+            return {
+                method: 'linear',
+                intercept: round(intercept, 4),
+                slope: round(slope, 5),
+                fuelCurve: CURVE_LOADS.map(load => [load, round(intercept + slope * load)])
+            };
+        }
+    }
+    const base = { fuelCurve: baseCurve };
+    const estimated = points.reduce((s, p) => s + generatorProfiles.fuelRateAt(base, p.load) * p.hours, 0);
+    const scale = estimated > 0 ? points.reduce((s, p) => s + p.litres, 0) / estimated : 1;
+    return {
+        method: 'scale',
+        scale: round(scale, 4),
+        fuelCurve: baseCurve.map(([load, rate]) => [load, round(rate * scale)])
+    };
+}
+
+// The fit and its errors without saving anything; null with fewer than MIN_SESSIONS runs
+async function buildFit(dg, start, end) {
+    const points = await fitPoints(dg, start, end);
+    if (points.length < MIN_SESSIONS) return { points, fit: null };
+    const baseCurve = generatorProfiles.getProfile(dg).fuelCurve;
+    const fit = fitCurveTo(points, baseCurve);
+    const after = curveError(points, fit.fuelCurve);
+    const before = curveError(points, baseCurve);
+    return {
+        points,
+        fit: {
+            ...fit,
+            dg,
+            baseCurve,
+            runSessions: points.map(p => p.id),
+            hours: round(points.reduce((s, p) => s + p.hours, 0)),
+            minLoadPct: round(Math.min(...points.map(p => p.load)), 1),
+            maxLoadPct: round(Math.max(...points.map(p => p.load)), 1),
+            residuals: { ...after, beforeRmsLph: before.rmsLph, beforeBiasPct: before.biasPct }
+        }
+    };
+}
+
+async function nextVersion(dg) {
+    const last = await FuelCurve.findOne({ dg }).sort({ version: -1 }).select('version').lean();
+    return (last ? last.version : 0) + 1;
+}
+
+// One open proposal per DG - an undecided older one is replaced
+async function saveProposal(fit, origin) {
+    await FuelCurve.updateMany({ dg: fit.dg, status: 'proposed' }, { $set: { status: 'replaced' } });
+    return FuelCurve.create({ ...fit, origin, version: await nextVersion(fit.dg) });
+}
+
+/**
+ * Fits a curve from the DG's usable runs in [from, to] (default the last
+ * FIT_RANGE_DAYS days) and saves it as 'proposed'.
+ */
+async function fitCurve(dg, { from, to } = {}) {
+    checkDg(dg);
+    const { start, end } = parseRange(from, to, FIT_RANGE_DAYS);
+    const { points, fit } = await buildFit(dg, start, end);
+    if (!fit) throw badRequest(`${dg} has ${points.length} usable run(s) in this period - at least ${MIN_SESSIONS} are needed`);
+    const curve = await saveProposal(fit, 'manual');
+    console.log(`⛽ ${dg} fuel curve v${curve.version} proposed (${fit.method}, ${points.length} runs)`);
+    return curve;
+}
+
+/** Nightly: a new proposal for every DG whose runs show a clearly better curve */
+async function proposeCurves(now = new Date()) {
+    if (mongoose.connection.readyState !== 1) return [];
+    const proposed = [];
+    for (const dg of registerMap.getGeneratorKeys()) {
+        try {
+            const { points, fit } = await buildFit(dg, new Date(now.getTime() - FIT_RANGE_DAYS * DAY_MS), now);
+            if (!fit) continue;
+            if (fit.residuals.rmsLph > fit.residuals.beforeRmsLph * (1 - MIN_IMPROVEMENT_PCT / 100)) continue;
+            const pending = await FuelCurve.findOne({ dg, status: 'proposed' }).select('runSessions').lean();
+            if (pending && pending.runSessions.length >= points.length) continue;
+
+            const curve = await saveProposal(fit, 'auto');
+            console.log(`⛽ ${dg} fuel curve v${curve.version} proposed from ${points.length} runs: ${fit.residuals.beforeRmsLph} → ${fit.residuals.rmsLph} L/h RMS`);
+            proposed.push(curve);
+        } catch (err) {
+            console.error(`❌ Fuel curve learning failed (${dg}):`, err.message);
+        }
+    }
+    return proposed;
+}
+
+/** Applies the approved learned curve of every DG (call once Mongo is up) */
+async function loadActiveCurves() {
+    if (mongoose.connection.readyState !== 1) return;
+    const active = await FuelCurve.find({ status: 'approved' }).lean();
+    for (const curve of active) generatorProfiles.setLearnedCurve(curve.dg, curve);
+    if (active.length) {
+        console.log(`⛽ Learned fuel curves applied: ${active.map(c => `${c.dg} v${c.version}`).join(', ')}`);
+    }
+}
+
+async function findVersion(dg, version) {
+    checkDg(dg);
+    version = Number(version);
+    if (!Number.isInteger(version)) throw badRequest('version must be an integer');
+    return FuelCurve.findOne({ dg, version });
+}
+
+/** Makes a proposed curve the one in force; the previous learned one is superseded */
+async function approveCurve(dg, version, approvedBy = '') {
+    const doc = await findVersion(dg, version);
+    if (!doc) return null;
+    if (doc.status !== 'proposed') throw badRequest(`Version ${doc.version} is ${doc.status}, only proposed curves can be approved`);
+
+    // Approve first: a failed save leaves the current version in place rather than none
+    const now = new Date();
+    doc.status = 'approved';
+    doc.approvedAt = now;
+    doc.approvedBy = approvedBy;
+    await doc.save();
+    await FuelCurve.updateMany({ dg, status: 'approved', _id: { $ne: doc._id } }, { $set: { status: 'superseded', supersededAt: now } });
+
+    generatorProfiles.setLearnedCurve(dg, doc.toObject());
+    console.log(`⛽ ${dg} fuel curve v${doc.version} approved${approvedBy ? ` by ${approvedBy}` : ''}`);
+    return doc;
+}
+
+async function rejectCurve(dg, version) {
+    const doc = await findVersion(dg, version);
+    if (!doc) return null;
+    if (doc.status !== 'proposed') throw badRequest(`Version ${doc.version} is ${doc.status}, only proposed curves can be rejected`);
+    doc.status = 'rejected';
+    await doc.save();
+    return doc;
+}
+
+/** Everything the fuel model page shows for one DG */
+async function getCurveState(dg) {
+    checkDg(dg);
+    const now = new Date();
+    const [history, runs] = await Promise.all([
+        FuelCurve.find({ dg }).sort({ version: -1 }).limit(HISTORY_LIMIT).lean(),
+        RunSession.find({ dg, status: 'closed', startedAt: { $gte: new Date(now.getTime() - FIT_RANGE_DAYS * DAY_MS) } })
+            .sort({ startedAt: -1 }).limit(MAX_RESULTS).lean()
+    ]);
+    const learned = generatorProfiles.getLearnedCurve(dg);
+
+    return {
+        dg,
+        active: {
+            source: learned ? 'learned' : 'profile',
+            version: learned ? learned.version : null,
+            fuelCurve: generatorProfiles.getProfile(dg).fuelCurve
+        },
+        profileCurve: generatorProfiles.getFileProfile(dg).fuelCurve,
+        proposed: history.find(c => c.status === 'proposed') || null,
+        history,
+        // Measured L/h per run for the scatter, usable or not
+        runs: runs.filter(run => typeof run.fuelConsumed === 'number' && run.durationS > 0).map(run => ({
+            ...sessionRow(run),
+            measuredRate: round(run.fuelConsumed / (run.durationS / 3600))
+        })),
+        settings: {
+            minRunMin: MIN_RUN_S / 60,
+            minTankQualityPct: MIN_TANK_QUALITY_PCT,
+            minSessions: MIN_SESSIONS,
+            minLoadSpanPct: MIN_LOAD_SPAN_PCT,
+            fitRangeDays: FIT_RANGE_DAYS
+        }
+    };
+}
+
+module.exports = {
+    compareFuel,
+    fitCurve,
+    proposeCurves,
+    loadActiveCurves,
+    approveCurve,
+    rejectCurve,
+    getCurveState
+};
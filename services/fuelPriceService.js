@@ -0,0 +1,152 @@
+/**
+ * Fuel Price Service
+ * Diesel price history (models/FuelPrice.js) so cost figures use the price
+ * that was valid when the fuel was burnt, not today's price.
+ *
+ * - The table is small, so it is cached in memory (sorted by effectiveFrom)
+ *   and refreshed after every edit and every CACHE_TTL_MS.
+ * - getPriceAt() is synchronous and works off the cache; call refresh()
+ *   first in request handlers that price historical data.
+ * - Before the first entry (or with Mongo unavailable) the dieselPrice from
+ *   config/generatorProfiles.json is used.
+ */
+
+const mongoose = require('mongoose');
+const FuelPrice = require('../models/FuelPrice');
+const { getDieselPrice } = require('./generatorProfiles');
+const { badRequest } = require('./helpers');
+
+// --- CONFIGURATION ---
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// --- STATE ---
+let prices = [];      // [{ price, effectiveFrom: Date, supplier }], ascending
+let loadedAt = 0;
+let pending = null;
+
+async function refresh(force = false) {
+    // Without Mongo the query would only buffer and time out - retried once it is up
+    if (mongoose.connection.readyState !== 1) return prices;
+    if (!force && Date.now() - loadedAt < CACHE_TTL_MS) return prices;
+    if (pending && !force) return pending;
+
+    loadedAt = Date.now(); // A failed refresh also waits a full TTL before retrying
+    pending = FuelPrice.find().sort({ effectiveFrom: 1 }).lean()
+        .then(docs => {
+            prices = docs.map(d => ({ price: d.price, effectiveFrom: new Date(d.effectiveFrom), supplier: d.supplier }));
+            return prices;
+        })
+        .catch(err => {
+            console.error('❌ Fuel price refresh failed, using cached prices:', err.message);
+            return prices;
+        })
+        .finally(() => { pending = null; });
+    return pending;
+}
+
+/**
+ * Price (₹/L) valid at a timestamp: the latest entry whose effectiveFrom is
+ * not after it, else the configured default.
+ */
+function getPriceAt(date = new Date()) {
+    const t = new Date(date).getTime();
+    let lo = 0, hi = prices.length - 1, found = null;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (prices[mid].effectiveFrom.getTime() <= t) { found = prices[mid]; lo = mid + 1; }
+        else hi = mid - 1;
+    }
+    return found ? found.price : getDieselPrice();
+}
+
+function getCurrentPrice() {
+    // Keeps the live loop's cache warm without making it wait on Mongo
+    refresh();
+    return getPriceAt(new Date());
+}
+
+/**
+ * Prices a consumption result: each consuming row gets the price at its
+ * timestamp, and the (mass-balance) total is costed at the consumption-
+ * weighted average of those prices.
+ */
+function priceConsumption(processedData, totalConsumption) {
+    let litres = 0, rupees = 0;
+    for (const row of processedData) {
+        row.dieselPrice = getPriceAt(row.timestamp);
+        row.cost = Math.round((row.consumption || 0) * row.dieselPrice * 100) / 100;
+        litres += row.consumption || 0;
+        rupees += row.cost;
+    }
+    const lastRow = processedData[processedData.length - 1];
+    const avgPrice = litres > 0 ? rupees / litres : getPriceAt(lastRow ? lastRow.timestamp : new Date());
+    return {
+        avgPrice: Math.round(avgPrice * 100) / 100,
+        totalCost: Math.round(totalConsumption * avgPrice)
+    };
+}
+
+function validate({ price, effectiveFrom }) {
+    if (typeof price !== 'number' || !isFinite(price) || price <= 0) {
+        throw badRequest('price must be a positive number (Rupees/Liter)');
+    }
+    if (!effectiveFrom || isNaN(new Date(effectiveFrom).getTime())) {
+        throw badRequest('effectiveFrom must be a valid date');
+    }
+}
+
+async function saveUnique(save) {
+    try { return await save(); }
+    catch (err) {
+        if (err.code === 11000) throw badRequest('A price already exists for that effective date');
+        throw err;
+    }
+}
+
+async function listPrices() {
+    return FuelPrice.find().sort({ effectiveFrom: -1 }).lean();
+}
+
+async function addPrice({ price, effectiveFrom, supplier = '', note = '' }) {
+    price = Number(price);
+    validate({ price, effectiveFrom });
+    const doc = await saveUnique(() => FuelPrice.create({ price, effectiveFrom: new Date(effectiveFrom), supplier, note }));
+    await refresh(true);
+    return doc;
+}
+
+async function updatePrice(id, changes) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const doc = await FuelPrice.findById(id);
+    if (!doc) return null;
+    const next = {
+        price: changes.price !== undefined ? Number(changes.price) : doc.price,
+        effectiveFrom: changes.effectiveFrom !== undefined ? changes.effectiveFrom : doc.effectiveFrom
+    };
+    validate(next);
+    doc.price = next.price;
+    doc.effectiveFrom = new Date(next.effectiveFrom);
+    if (changes.supplier !== undefined) doc.supplier = changes.supplier;
+    if (changes.note !== undefined) doc.note = changes.note;
+    await saveUnique(() => doc.save());
+    await refresh(true);
+    return doc;
+}
+
+async function deletePrice(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const doc = await FuelPrice.findByIdAndDelete(id);
+    await refresh(true);
+    return doc;
+}
+
+module.exports = {
+    refresh,
+    getPriceAt,
+    getCurrentPrice,
+    priceConsumption,
+    listPrices,
+    addPrice,
+    updatePrice,
+    deletePrice
+};
@@ -0,0 +1,243 @@
+/**
+ * Generator Profiles
+ * Rating and fuel-consumption curve for each DG, loaded from
+ * config/generatorProfiles.json. Everything that turns amps into load %,
+ * litres/hour or ₹/hour (live analytics, /api/electrical, the Excel export,
+ * the dashboard) goes through here instead of assuming a 125 kVA set.
+ *
+ * - fuelCurve is a list of [loadPct, litresPerHour] points; rates between
+ *   points are interpolated linearly and clamped at both ends.
+ * - A DG missing from "generators" uses "defaults".
+ * - reloadProfiles() keeps the previous profiles if the new file is invalid.
+ * - dieselPrice is only the fallback; dated prices live in fuelPriceService.
+ * - engineLimits and electricalLimits are the alarm thresholds used by
+ *   engineHealth.js.
+ * - An approved learned fuel curve (fuelCurveService.js) replaces the file's
+ *   curve for its DG until it is superseded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// --- CONFIGURATION ---
+const PROFILES_PATH = process.env.GENERATOR_PROFILES_PATH || path.join(__dirname, '../config/generatorProfiles.json');
+const FALLBACK_DEFAULTS = {
+    ratedKva: 125,
+    ratedAmps: 175,
+    nominalVoltage: 415,
+    runningAmps: 5,
+    fuelCurve: [[0, 4.5], [100, 18]],
+    engineLimits: {
+        minOilPressure: 1.5,     // bar, while running
+        maxCoolantTemp: 95,      // °C
+        maxWindingTemp: 130,     // °C (class F insulation with margin)
+        minBatteryVoltage: 11.5  // V, while stopped (12 V system)
+    },
+    electricalLimits: {
+        maxVoltageUnbalance: 2,  // % (line-to-line)
+        maxCurrentUnbalance: 10  // %, only judged above 20% load
+    }
+};
+
+// --- STATE ---
+let activeProfiles = null;
+const learnedCurves = {};  // dgKey -> approved models/FuelCurve.js version
+
+function checkPositive(value, where) {
+    if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+        throw new Error(`${where}: must be a positive number (got ${JSON.stringify(value)})`);
+    }
+    return value;
+}
+
+function parseFuelCurve(curve, where) {
+    if (!Array.isArray(curve) || curve.length < 2) {
+        throw new Error(`${where}: needs at least two [loadPct, litresPerHour] points`);
+    }
+    let previousLoad = -1;
+    return curve.map((point, i) => {
+        const at = `${where}[${i}]`;
+        if (!Array.isArray(point) || point.length !== 2) throw new Error(`${at}: must be [loadPct, litresPerHour]`);
+        const [loadPct, litresPerHour] = point;
+        if (typeof loadPct !== 'number' || loadPct < 0 || loadPct > 110) throw new Error(`${at}: loadPct must be 0-110`);
+        if (loadPct <= previousLoad) throw new Error(`${at}: loadPct must be in ascending order`);
+        if (typeof litresPerHour !== 'number' || !isFinite(litresPerHour) || litresPerHour < 0) {
+            throw new Error(`${at}: litresPerHour must be a positive number`);
+        }
+        previousLoad = loadPct;
+        return [loadPct, litresPerHour];
+    });
+}
+
+function parseLimits(limits, fallback, where) {
+    if (!limits || typeof limits !== 'object') throw new Error(`${where}: must be an object`);
+    const parsed = {};
+    for (const key of Object.keys(fallback)) {
+        parsed[key] = checkPositive(limits[key], `${where}.${key}`);
+    }
+    return parsed;
+}
+
+// Full-load line current of a three-phase set
+function ampsFromKva(kva, voltage) {
+    return Math.round((kva * 1000) / (Math.sqrt(3) * voltage));
+}
+
+function parseProfile(dgKey, entry, defaults) {
+    const where = dgKey === 'defaults' ? 'defaults' : `generators.${dgKey}`;
+    if (!entry || typeof entry !== 'object') throw new Error(`${where}: must be an object`);
+
+    const merged = { ...defaults, ...entry };
+    const ratedKva = checkPositive(merged.ratedKva, `${where}.ratedKva`);
+    const nominalVoltage = checkPositive(merged.nominalVoltage, `${where}.nominalVoltage`);
+    // An explicit ratedKva without ratedAmps means "derive the amps", not "inherit the default amps"
+    const ratedAmps = entry.ratedAmps ?? (entry.ratedKva !== undefined ? ampsFromKva(ratedKva, nominalVoltage) : merged.ratedAmps);
+
+    return {
+        name: entry.name || dgKey.toUpperCase().replace('DG', 'DG-'),
+        ratedKva,
+        ratedAmps: checkPositive(ratedAmps, `${where}.ratedAmps`),
+        nominalVoltage,
+        runningAmps: checkPositive(merged.runningAmps, `${where}.runningAmps`),
+        fuelCurve: parseFuelCurve(merged.fuelCurve, `${where}.fuelCurve`),
+        // Per-DG limits override individual default limits
+        engineLimits: parseLimits({ ...defaults.engineLimits, ...entry.engineLimits }, FALLBACK_DEFAULTS.engineLimits, `${where}.engineLimits`),
+        electricalLimits: parseLimits({ ...defaults.electricalLimits, ...entry.electricalLimits }, FALLBACK_DEFAULTS.electricalLimits, `${where}.electricalLimits`)
+    };
+}
+
+/**
+ * Validates raw (parsed JSON) profiles and returns the normalised form.
+ * Throws an Error describing the first problem found.
+ */
+function buildProfiles(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Generator profiles must be a JSON object');
+
+    const { name, ...defaults } = parseProfile('defaults', raw.defaults || {}, FALLBACK_DEFAULTS);
+    const generators = {};
+    for (const [dgKey, entry] of Object.entries(raw.generators || {})) {
+        generators[dgKey] = parseProfile(dgKey, entry, defaults);
+    }
+
+    return {
+        version: raw.version || 1,
+        dieselPrice: checkPositive(raw.dieselPrice ?? 97, 'dieselPrice'),
+        defaults,
+        generators
+    };
+}
+
+function loadProfiles(filePath = PROFILES_PATH) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    let raw;
+    try { raw = JSON.parse(text); }
+    catch (err) { throw new Error(`Generator profiles are not valid JSON: ${err.message}`); }
+
+    const profiles = buildProfiles(raw);
+    profiles.source = filePath;
+    profiles.loadedAt = new Date().toISOString();
+    activeProfiles = profiles;
+    return profiles;
+}
+
+/**
+ * Re-reads the profiles file. On failure the previous profiles stay active
+ * and the error is re-thrown so the caller can report it.
+ */
+function reloadProfiles(filePath = PROFILES_PATH) {
+    const previous = activeProfiles;
+    try {
+        const profiles = loadProfiles(filePath);
+        console.log(`⚙️ Generator profiles reloaded (${Object.keys(profiles.generators).length} DGs)`);
+        return profiles;
+    } catch (err) {
+        activeProfiles = previous;
+        console.error('❌ Generator profile reload failed, keeping previous profiles:', err.message);
+        throw err;
+    }
+}
+
+function getProfiles() {
+    if (!activeProfiles) loadProfiles();
+    return activeProfiles;
+}
+
+/** The DG's profile from the file - without a learned fuel curve */
+function getFileProfile(dgKey) {
+    const profiles = getProfiles();
+    return profiles.generators[dgKey] || { ...profiles.defaults, name: dgKey.toUpperCase().replace('DG', 'DG-') };
+}
+
+function getProfile(dgKey) {
+    const profile = getFileProfile(dgKey);
+    const learned = learnedCurves[dgKey];
+    return learned ? { ...profile, fuelCurve: learned.fuelCurve, fuelCurveVersion: learned.version } : profile;
+}
+
+/** Puts a learned curve in force for a DG (null = back to the file's curve) */
+function setLearnedCurve(dgKey, curve) {
+    if (curve) learnedCurves[dgKey] = { ...curve, fuelCurve: parseFuelCurve(curve.fuelCurve, `learned ${dgKey} v${curve.version}`) };
+    else delete learnedCurves[dgKey];
+}
+
+function getLearnedCurve(dgKey) {
+    return learnedCurves[dgKey] || null;
+}
+
+function getDieselPrice() {
+    return getProfiles().dieselPrice;
+}
+
+/**
+ * Litres/hour at a load (0-100 %), interpolated from the profile's curve.
+ */
+function fuelRateAt(profile, loadPct) {
+    const curve = profile.fuelCurve;
+    if (loadPct <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+        const [x1, y1] = curve[i];
+        if (loadPct <= x1) {
+            const [x0, y0] = curve[i - 1];
+            return y0 + ((y1 - y0) * (loadPct - x0)) / (x1 - x0);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+/**
+ * Load %, fuel rate (L/hr) and cost (₹/hr) for one DG from its phase currents.
+ * A DG below its runningAmps threshold is treated as stopped (all zeros).
+ * dieselPrice (₹/L) defaults to the configured price; callers pricing
+ * historical data pass the price from fuelPriceService.getPriceAt().
+ */
+function calculateAnalytics(dgKey, currentR, currentY, currentB, dieselPrice = getDieselPrice()) {
+    const profile = getProfile(dgKey);
+    const avgAmps = ((currentR || 0) + (currentY || 0) + (currentB || 0)) / 3;
+
+    if (avgAmps < profile.runningAmps) {
+        return { fuelRate: 0, estCost: 0, loadPct: 0 };
+    }
+
+    const loadPct = Math.min(100, (avgAmps / profile.ratedAmps) * 100);
+    const fuelRate = fuelRateAt(profile, loadPct);
+
+    return {
+        fuelRate: parseFloat(fuelRate.toFixed(2)),
+        estCost: Math.round(fuelRate * dieselPrice),
+        loadPct: Math.round(loadPct)
+    };
+}
+
+module.exports = {
+    buildProfiles,
+    loadProfiles,
+    reloadProfiles,
+    getProfiles,
+    getProfile,
+    getFileProfile,
+    setLearnedCurve,
+    getLearnedCurve,
+    getDieselPrice,
+    fuelRateAt,
+    calculateAnalytics
+};
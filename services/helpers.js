@@ -0,0 +1,32 @@
+/**
+ * Small helpers shared by the services and their routes:
+ * - badRequest(): errors carrying statusCode 400 are the caller's fault
+ *   (bad input); routes answer them with res.status(err.statusCode || 500).
+ * - parseDay(): a query bound as a Date; a bare YYYY-MM-DD is taken as the
+ *   start (or end) of that day in the server's local time.
+ * - round() / round2(): fixed decimals for stored and reported figures.
+ */
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.statusCode = 400;
+    return err;
+}
+
+function parseDay(value, endOfDay, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        if (endOfDay) date.setHours(23, 59, 59, 999);
+        else date.setHours(0, 0, 0, 0);
+    }
+    return date;
+}
+
+const round = (n, d = 2) => Math.round(n * 10 ** d) / 10 ** d;
+
+function round2(value) {
+    return round(value, 2);
+}
+
+module.exports = { badRequest, parseDay, round, round2 };
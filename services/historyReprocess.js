@@ -0,0 +1,282 @@
+/**
+ * History Reprocess
+ * Re-runs stored raw readings through consumptionEngine.js so old results
+ * follow the current thresholds and algorithm, instead of the ad-hoc clean-up
+ * scripts. For each day in the range it recomputes:
+ *
+ * - DieselConsumption: each record's per-tank consumption and running flag,
+ *   and total.consumption.
+ * - DailySummary: consumption, refills, levels and the per-DG split
+ *   (schedulerService.buildDailySummary - the same code as the nightly run),
+ *   totalled from the replayed points, so it agrees with the records. A day
+ *   with records but no summary gets one.
+ *
+ * RefillEvents (refillDeliveries.js) are not rebuilt: they carry the
+ * delivered quantities and reconciliation entered against them. A refill the
+ * new settings see differently only shows in the day's `refilled` diff.
+ *
+ * - Inputs are the stored levels (with their overrides) and the stored
+ *   ElectricalReadings; nothing else. Days run in date order through one
+ *   tracker per tank, like live tracking, and the day before `from` primes
+ *   the trackers so a drop across midnight is still counted.
+ * - dryRun computes everything and reports the differences without writing.
+ * - Written records and summaries carry engine: { version, configVersion,
+ *   reprocessedAt } - the algorithm and config/consumptionEngine.json version
+ *   behind their numbers (live ones carry the same without reprocessedAt).
+ * - One job at a time. Jobs are kept in memory (the last MAX_JOBS); run one
+ *   from the command line with scripts/reprocess.js.
+ *
+ * Job: { id, status, from, to, dryRun, engine, startedAt, finishedAt, error,
+ *        progress: { daysDone, daysTotal, currentDate, percent },
+ *        diff: { totals, days } }
+ *   status: running | done | failed
+ *   days: one entry per day with records - { date, records, changedRecords,
+ *         consumption: { tankKey: { before, after } }, refilled: { before, after },
+ *         summary: { existed, changes } } - consumption is the records' sum,
+ *         refilled the summary's total
+ */
+
+const mongoose = require('mongoose');
+const { DieselConsumption, DailySummary, ElectricalReading } = require('../models/schemas');
+const consumptionEngine = require('./consumptionEngine');
+const topology = require('./topology');
+const { buildDailySummary } = require('./schedulerService');
+const { badRequest, round2 } = require('./helpers');
+
+// --- CONFIGURATION ---
+const MAX_RANGE_DAYS = 366;
+const MAX_JOBS = 20;
+const DAY_MS = 86400000;
+const SUMMARY_FIELDS = ['startLevel', 'endLevel', 'totalConsumption', 'refilled'];
+
+// --- STATE ---
+const jobs = new Map();   // id -> job, oldest first
+let activeJob = null;
+
+function differs(a, b) {
+    return Math.abs((a || 0) - (b || 0)) > 0.005;
+}
+
+function conflict(message) {
+    const err = new Error(message);
+    err.statusCode = 409;
+    return err;
+}
+
+// Record dates are UTC calendar days (toISOString), so step in UTC
+function parseDate(value, name) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || isNaN(new Date(value).getTime())) {
+        throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+    }
+    return new Date(value).getTime();
+}
+
+function dayList(from, to) {
+    const days = [];
+    for (let t = parseDate(from, 'from'); t <= parseDate(to, 'to'); t += DAY_MS) {
+        days.push(new Date(t).toISOString().split('T')[0]);
+    }
+    return days;
+}
+
+async function loadDay(date) {
+    const records = await DieselConsumption.find({ date }).sort({ timestamp: 1 }).lean();
+    const electrical = records.length ? await ElectricalReading.find({ date }).sort({ timestamp: 1 }).lean() : [];
+    return { records, electrical };
+}
+
+// Steps a day's records through the trackers: the new per-record fields, and each tank's points
+function replayDay(records, electrical, trackers) {
+    const tankKeys = topology.getSensedTanks();
+    const updates = records.map(() => ({}));
+    const points = {};
+    for (const tankKey of tankKeys) {
+        if (!trackers[tankKey]) trackers[tankKey] = consumptionEngine.createTracker();
+        const dgKeys = topology.getSuppliedDgs(tankKey);
+        const readings = consumptionEngine.readingsFromRecords(records, electrical.filter(e => dgKeys.includes(e.dg)), tankKey, dgKeys);
+        points[tankKey] = readings.map((reading, i) => {
+            const point = consumptionEngine.step(trackers[tankKey], reading);
+            updates[i][`${tankKey}.consumption`] = point.consumption;
+            updates[i][`${tankKey}.isRunning`] = point.running;
+            return point;
+        });
+    }
+    for (const update of updates) {
+        update['total.consumption'] = round2(tankKeys.reduce((s, tankKey) => s + update[`${tankKey}.consumption`], 0));
+    }
+    return { updates, points };
+}
+
+function isChanged(record, update) {
+    return Object.entries(update).some(([field, value]) => {
+        const [tankKey, key] = field.split('.');
+        const before = record[tankKey]?.[key];
+        return typeof value === 'boolean' ? !!before !== value : differs(before, value);
+    });
+}
+
+function summaryChanges(before, after) {
+    const changes = {};
+    for (const tankKey of [...topology.getSensedTanks(), 'total']) {
+        for (const field of SUMMARY_FIELDS) {
+            const was = before?.[tankKey]?.[field];
+            if (!before || differs(was, after[tankKey][field])) changes[`${tankKey}.${field}`] = { before: was ?? null, after: after[tankKey][field] };
+        }
+    }
+    const dgKeys = new Set([...Object.keys(before?.consumptionByDg || {}), ...Object.keys(after.consumptionByDg)]);
+    for (const dgKey of dgKeys) {
+        const was = before?.consumptionByDg?.[dgKey];
+        if (!before || differs(was, after.consumptionByDg[dgKey])) changes[`consumptionByDg.${dgKey}`] = { before: was ?? null, after: after.consumptionByDg[dgKey] ?? 0 };
+    }
+    return changes;
+}
+
+async function reprocessDay(job, date, trackers) {
+    const { records, electrical } = await loadDay(date);
+    if (!records.length) return null;
+
+    const { updates, points } = replayDay(records, electrical, trackers);
+    const consumption = {};
+    for (const tankKey of [...topology.getSensedTanks(), 'total']) {
+        consumption[tankKey] = {
+            before: round2(records.reduce((s, r) => s + (r[tankKey]?.consumption || 0), 0)),
+            after: round2(updates.reduce((s, u) => s + u[`${tankKey}.consumption`], 0))
+        };
+    }
+    const changed = records.filter((record, i) => isChanged(record, updates[i]));
+
+    const summary = buildDailySummary(date, records, electrical, points);
+    const existing = await DailySummary.findOne({ date }).lean();
+    const changes = summaryChanges(existing, summary);
+
+    if (!job.dryRun) {
+        const engine = { ...job.engine, reprocessedAt: new Date() };
+        await DieselConsumption.bulkWrite(records.map((record, i) => ({
+            updateOne: { filter: { _id: record._id }, update: { $set: { ...updates[i], engine } } }
+        })));
+        // Field by field, so anything the summary does not compute (runningHours) is kept
+        const fields = { consumptionByDg: summary.consumptionByDg, engine };
+        for (const tankKey of [...topology.getSensedTanks(), 'total']) {
+            for (const [field, value] of Object.entries(summary[tankKey])) fields[`${tankKey}.${field}`] = value;
+        }
+        await DailySummary.updateOne({ date }, { $set: fields }, { upsert: true });
+    }
+
+    return {
+        date,
+        records: records.length,
+        changedRecords: changed.length,
+        consumption,
+        refilled: { before: existing?.total?.refilled ?? null, after: summary.total.refilled },
+        summary: { existed: !!existing, changes }
+    };
+}
+
+function addToTotals(totals, day) {
+    totals.records += day.records;
+    totals.changedRecords += day.changedRecords;
+    if (Object.keys(day.summary.changes).length) totals.changedSummaries++;
+    totals.consumptionBefore = round2(totals.consumptionBefore + day.consumption.total.before);
+    totals.consumptionAfter = round2(totals.consumptionAfter + day.consumption.total.after);
+    totals.refilledBefore = round2(totals.refilledBefore + (day.refilled.before || 0));
+    totals.refilledAfter = round2(totals.refilledAfter + day.refilled.after);
+}
+
+/**
+ * A new (not yet started) job for [from, to] (YYYY-MM-DD, inclusive).
+ * Throws a 400 error for a bad range.
+ */
+function createJob({ from, to, dryRun = false } = {}) {
+    if (!from || !to) throw badRequest('from and to are required (YYYY-MM-DD)');
+    if (parseDate(from, 'from') > parseDate(to, 'to')) throw badRequest('from must be before to');
+    const days = dayList(from, to);
+    if (days.length > MAX_RANGE_DAYS) throw badRequest(`At most ${MAX_RANGE_DAYS} days per job`);
+
+    return {
+        id: Date.now().toString(36),
+        status: 'running',
+        from,
+        to,
+        dryRun: dryRun === true || dryRun === 'true',
+        engine: consumptionEngine.versionStamp(),
+        startedAt: new Date(),
+        finishedAt: null,
+        error: null,
+        progress: { daysDone: 0, daysTotal: days.length, currentDate: null, percent: 0 },
+        diff: {
+            totals: { days: 0, records: 0, changedRecords: 0, changedSummaries: 0, consumptionBefore: 0, consumptionAfter: 0, refilledBefore: 0, refilledAfter: 0 },
+            days: []
+        }
+    };
+}
+
+/**
+ * Runs a job to the end, updating job.progress / job.diff as it goes;
+ * onProgress(job) is called after every day. Resolves with the job (status
+ * 'failed' and job.error on an error).
+ */
+async function runJob(job, onProgress = () => {}) {
+    try {
+        if (mongoose.connection.readyState !== 1) throw new Error('MongoDB is not connected');
+        const days = dayList(job.from, job.to);
+        const trackers = {};   // Per sensed tank, created by replayDay
+
+        const dayBefore = new Date(parseDate(job.from, 'from') - DAY_MS).toISOString().split('T')[0];
+        const primer = await loadDay(dayBefore);
+        replayDay(primer.records, primer.electrical, trackers);
+
+        for (const date of days) {
+            job.progress.currentDate = date;
+            const day = await reprocessDay(job, date, trackers);
+            if (day) {
+                job.diff.days.push(day);
+                job.diff.totals.days++;
+                addToTotals(job.diff.totals, day);
+            }
+            job.progress.daysDone++;
+            job.progress.percent = Math.round(job.progress.daysDone / job.progress.daysTotal * 100);
+            onProgress(job);
+        }
+        job.status = 'done';
+        const { totals } = job.diff;
+        console.log(`🔁 Reprocess ${job.id} ${job.dryRun ? '(dry run) ' : ''}${job.from} → ${job.to}: ${totals.changedRecords}/${totals.records} records and ${totals.changedSummaries} summaries changed`);
+    } catch (err) {
+        job.status = 'failed';
+        job.error = err.message;
+        console.error(`❌ Reprocess ${job.id} failed:`, err.message);
+    }
+    job.progress.currentDate = null;
+    job.finishedAt = new Date();
+    return job;
+}
+
+/** Starts a job in the background and returns it; 409 while another runs */
+function startJob(options) {
+    if (activeJob) throw conflict(`Reprocess job ${activeJob.id} is still running`);
+    const job = createJob(options);
+    jobs.set(job.id, job);
+    while (jobs.size > MAX_JOBS) jobs.delete(jobs.keys().next().value);
+    activeJob = job;
+    runJob(job).finally(() => { activeJob = null; });
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/** Recent jobs, newest first, without the per-day diff */
+function listJobs() {
+    return [...jobs.values()].reverse().map(({ diff, ...job }) => ({ ...job, totals: diff.totals }));
+}
+
+module.exports = {
+    createJob,
+    runJob,
+    startJob,
+    getJob,
+    listJobs,
+    dayList,
+    replayDay,
+    summaryChanges
+};
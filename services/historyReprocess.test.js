@@ -0,0 +1,98 @@
+/**
+ * historyReprocess.js - the day list, replaying records through trackers
+ * carried across days, and the summary diff. One tank (the dg1 sensor)
+ * feeding DG-1; no electrical readings, so running comes from the records.
+ */
+
+const topology = require('./topology');
+const { buildDailySummary } = require('./schedulerService');
+const historyReprocess = require('./historyReprocess');
+
+const T0 = Date.parse('2026-01-01T23:50:00Z');
+const STEP_MS = 5 * 60000;
+
+// [level, running] pairs five minutes apart from T0 + offset steps -> DieselConsumption records
+function records(levels, offset = 0) {
+    return levels.map(([level, isRunning], i) => ({ timestamp: new Date(T0 + (offset + i) * STEP_MS), dg1: { level, isRunning } }));
+}
+
+beforeAll(() => {
+    jest.spyOn(topology, 'getSensedTanks').mockReturnValue(['dg1']);
+    jest.spyOn(topology, 'getSuppliedDgs').mockImplementation(tank => (tank === 'dg1' ? ['dg1'] : []));
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('dayList', () => {
+    test('every UTC day from `from` to `to`, both included', () => {
+        expect(historyReprocess.dayList('2026-02-27', '2026-03-02')).toEqual(['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02']);
+        expect(historyReprocess.dayList('2026-03-02', '2026-03-02')).toEqual(['2026-03-02']);
+    });
+
+    test('rejects anything but YYYY-MM-DD with a 400', () => {
+        expect(() => historyReprocess.dayList('2026-3-2', '2026-03-04')).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => historyReprocess.dayList('2026-03-02', 'tomorrow')).toThrow(/to must be a date/);
+    });
+});
+
+describe('replayDay', () => {
+    const dayBefore = records([[500, true], [500, true]]);
+    const day = records([[495, true], [490, true], [490, false]], 2);
+
+    test('a drop across midnight is counted on the day it lands, through the carried tracker', () => {
+        const trackers = {};
+        historyReprocess.replayDay(dayBefore, [], trackers);
+        const { updates, points } = historyReprocess.replayDay(day, [], trackers);
+        expect(updates).toEqual([
+            { 'dg1.consumption': 5, 'dg1.isRunning': true, 'total.consumption': 5 },
+            { 'dg1.consumption': 5, 'dg1.isRunning': true, 'total.consumption': 5 },
+            { 'dg1.consumption': 0, 'dg1.isRunning': false, 'total.consumption': 0 }
+        ]);
+        expect(points.dg1.map(p => p.status)).toEqual(['consumption', 'consumption', 'stable']);
+    });
+
+    test('without the day before the first record only sets the reference', () => {
+        const { updates } = historyReprocess.replayDay(day, [], {});
+        expect(updates.map(u => u['total.consumption'])).toEqual([0, 5, 0]);
+    });
+
+    test('the summary built from the replayed points agrees with the records', () => {
+        const trackers = {};
+        historyReprocess.replayDay(dayBefore, [], trackers);
+        const { points } = historyReprocess.replayDay(day, [], trackers);
+        const summary = buildDailySummary('2026-01-02', day, [], points);
+        expect(summary.dg1).toEqual({ startLevel: 495, endLevel: 490, totalConsumption: 10, refilled: 0 });
+        expect(summary.total.totalConsumption).toBe(10);
+        expect(summary.consumptionByDg).toEqual({ dg1: 10 });
+    });
+});
+
+describe('summaryChanges', () => {
+    const after = {
+        dg1: { startLevel: 495, endLevel: 490, totalConsumption: 10, refilled: 0 },
+        total: { startLevel: 495, endLevel: 490, totalConsumption: 10, refilled: 0 },
+        consumptionByDg: { dg1: 10 }
+    };
+
+    test('a new summary lists every field against null', () => {
+        const changes = historyReprocess.summaryChanges(null, after);
+        expect(Object.keys(changes)).toHaveLength(9);
+        expect(changes['dg1.totalConsumption']).toEqual({ before: null, after: 10 });
+        expect(changes['consumptionByDg.dg1']).toEqual({ before: null, after: 10 });
+    });
+
+    test('only fields that moved by more than rounding are listed', () => {
+        const before = {
+            dg1: { ...after.dg1, totalConsumption: 5, endLevel: 490.004 },
+            total: { ...after.total, totalConsumption: 5 },
+            consumptionByDg: { dg1: 5, dg2: 1 }
+        };
+        expect(historyReprocess.summaryChanges(before, after)).toEqual({
+            'dg1.totalConsumption': { before: 5, after: 10 },
+            'total.totalConsumption': { before: 5, after: 10 },
+            'consumptionByDg.dg1': { before: 5, after: 10 },
+            'consumptionByDg.dg2': { before: 1, after: 0 }
+        });
+        expect(historyReprocess.summaryChanges(after, after)).toEqual({});
+    });
+});
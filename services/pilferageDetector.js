@@ -0,0 +1,198 @@
+/**
+ * Pilferage Detector
+ * Watches the tanks while every DG is stopped. Nothing should burn fuel then,
+ * so a sustained fall in a level is possible theft or a leak - the
+ * consumption reports only count it as drainedWhileOff.
+ *
+ * - Runs on the live 'reading' events (eventBus.js). Any DG running resets
+ *   everything; watching starts SETTLE_MS after the last one stopped.
+ * - Per tank the reference is the highest level seen since (rises follow:
+ *   refills, expansion). A fall counts once it is more than DROP_LITRES plus
+ *   DRIFT_LPH for every hour since the level was last at the reference
+ *   (temperature contraction), and it must stay that low for SUSTAIN_MS, so
+ *   slosh and spikes never raise one.
+ * - A confirmed drop is stored (models/SuspiciousDrop.js) and published as a
+ *   high-severity 'suspiciousDrop' event (email alert in eventSubscribers.js).
+ *   Further falls extend it until the level holds for IDLE_MS, rises, or a
+ *   DG starts.
+ * - Overridden or invalid levels are not measurements and are skipped.
+ * - A pump-over into a day tank (topology.js transfers) while every DG is
+ *   stopped looks the same as theft and is reported too.
+ */
+
+const mongoose = require('mongoose');
+const SuspiciousDrop = require('../models/SuspiciousDrop');
+const consumptionEngine = require('./consumptionEngine');
+const registerMap = require('./registerMap');
+const eventBus = require('./eventBus');
+const { badRequest, parseDay, round2 } = require('./helpers');
+
+// --- CONFIGURATION ---
+const DROP_LITRES = parseFloat(process.env.PILFERAGE_DROP_LITRES) || 10;
+const DRIFT_LPH = parseFloat(process.env.PILFERAGE_DRIFT_LPH) || 0.5;
+const SUSTAIN_MS = (parseFloat(process.env.PILFERAGE_SUSTAIN_MIN) || 10) * 60 * 1000;
+const SETTLE_MS = 5 * 60 * 1000;   // Level settles / fuel returns after a stop
+const IDLE_MS = 30 * 60 * 1000;    // No further fall for this long ends a drop
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RESULTS = 500;
+
+// --- STATE ---
+let allStoppedSince = null;
+const tanks = {};         // dgKey -> { reference, highAt, lowSince, drop }
+
+function saveDrop(drop) {
+    if (mongoose.connection.readyState !== 1) return Promise.resolve();
+    const { id, saving, ...fields } = drop;
+    drop.saving = (saving || Promise.resolve())
+        .then(() => SuspiciousDrop.updateOne({ _id: id }, { $set: fields }, { upsert: true }))
+        .catch(err => console.error(`❌ Suspicious drop save failed (${drop.dg}):`, err.message));
+    return drop.saving;
+}
+
+function closeDrop(dgKey) {
+    const drop = tanks[dgKey]?.drop;
+    if (!drop) return;
+    drop.status = 'closed';
+    saveDrop(drop);
+    console.log(`🔒 ${dgKey.toUpperCase()} suspicious drop closed: ${drop.litres} L (${drop.levelBefore} → ${drop.levelAfter} L)`);
+}
+
+function reset(dgKey) {
+    closeDrop(dgKey);
+    delete tanks[dgKey];
+}
+
+function openDrop(dgKey, tank, level, now, toleranceLitres) {
+    const drop = tank.drop = {
+        id: new mongoose.Types.ObjectId(),
+        dg: dgKey,
+        severity: 'high',
+        status: 'open',
+        startedAt: new Date(tank.highAt),
+        detectedAt: new Date(now),
+        lastDropAt: new Date(now),
+        levelBefore: round2(tank.reference),
+        levelAfter: round2(level),
+        litres: round2(tank.reference - level),
+        toleranceLitres: round2(toleranceLitres)
+    };
+    console.warn(`🚨 SUSPICIOUS DROP ${dgKey.toUpperCase()}: ${drop.litres} L with all DGs stopped (${drop.levelBefore} → ${drop.levelAfter} L since ${drop.startedAt.toISOString()})`);
+    saveDrop(drop);
+    eventBus.publish(eventBus.EVENTS.SUSPICIOUS_DROP, {
+        id: String(drop.id),
+        dg: dgKey,
+        severity: drop.severity,
+        litres: drop.litres,
+        levelBefore: drop.levelBefore,
+        levelAfter: drop.levelAfter,
+        startedAt: drop.startedAt,
+        detectedAt: drop.detectedAt
+    });
+}
+
+function stepTank(dgKey, level, now, noise) {
+    const tank = tanks[dgKey];
+    if (!tank) {
+        tanks[dgKey] = { reference: level, highAt: now, lowSince: null, drop: null };
+        return;
+    }
+
+    if (tank.drop) {
+        const drop = tank.drop;
+        if (level < drop.levelAfter - noise) {
+            drop.levelAfter = round2(level);
+            drop.litres = round2(drop.levelBefore - level);
+            drop.lastDropAt = new Date(now);
+            saveDrop(drop);
+        } else if (level > drop.levelAfter + noise || now - drop.lastDropAt.getTime() > IDLE_MS) {
+            // Level rose again (refill) or has held - watch from here
+            reset(dgKey);
+            tanks[dgKey] = { reference: level, highAt: now, lowSince: null, drop: null };
+        }
+        return;
+    }
+
+    if (level >= tank.reference - noise) {
+        if (level > tank.reference) tank.reference = level;
+        tank.highAt = now;
+        tank.lowSince = null;
+        return;
+    }
+
+    const tolerance = DROP_LITRES + DRIFT_LPH * (now - tank.highAt) / 3600000;
+    if (tank.reference - level <= tolerance) {
+        tank.lowSince = null;
+        return;
+    }
+    if (tank.lowSince === null) tank.lowSince = now;
+    if (now - tank.lowSince >= SUSTAIN_MS) openDrop(dgKey, tank, level, now, tolerance);
+}
+
+/** eventBus 'reading' subscriber */
+function processReading({ timestamp, data }) {
+    const now = new Date(timestamp).getTime();
+    const systemData = data.systemData;
+    const config = consumptionEngine.getEngineConfig();
+
+    const anyRunning = Object.values(systemData.electrical || {})
+        .some(values => values && consumptionEngine.isRunning(values, config));
+    if (anyRunning) {
+        allStoppedSince = null;
+        Object.keys(tanks).forEach(reset);
+        return;
+    }
+    if (allStoppedSince === null) allStoppedSince = now;
+    if (now - allStoppedSince < SETTLE_MS) return;
+
+    for (const [dgKey, level] of Object.entries(data.sensorLevels || {})) {
+        if (systemData.tanks?.[dgKey]?.override) {
+            reset(dgKey);
+            continue;
+        }
+        if (typeof level !== 'number' || !isFinite(level) || level <= config.minValidLevel) continue;
+        stepTank(dgKey, level, now, config.noiseThreshold);
+    }
+}
+
+/** Drops left open by the previous process can't be extended any more */
+async function closeStaleDrops() {
+    if (mongoose.connection.readyState !== 1) return;
+    const result = await SuspiciousDrop.updateMany({ status: 'open' }, { $set: { status: 'closed' } });
+    if (result.modifiedCount) console.log(`🔒 ${result.modifiedCount} suspicious drop(s) from before the restart closed`);
+}
+
+/**
+ * Suspicious drops that started in [from, to] (default the last
+ * DEFAULT_RANGE_DAYS days - the weekly list), newest first.
+ */
+async function listDrops({ dg, from, to } = {}) {
+    if (dg && !registerMap.getGeneratorKeys().includes(dg)) throw badRequest(`${dg} is not a generator in the register map`);
+    const end = to ? parseDay(to, true, 'to') : new Date();
+    const start = from ? parseDay(from, false, 'from') : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 86400000);
+    if (start > end) throw badRequest('from must be before to');
+
+    const query = { startedAt: { $gte: start, $lte: end } };
+    if (dg) query.dg = dg;
+    const drops = await SuspiciousDrop.find(query).sort({ startedAt: -1 }).limit(MAX_RESULTS).lean();
+
+    return {
+        from: start,
+        to: end,
+        drops,
+        totals: {
+            count: drops.length,
+            litres: round2(drops.reduce((s, d) => s + d.litres, 0))
+        },
+        settings: {
+            dropLitres: DROP_LITRES,
+            driftLitresPerHour: DRIFT_LPH,
+            sustainMin: SUSTAIN_MS / 60000
+        }
+    };
+}
+
+module.exports = {
+    processReading,
+    closeStaleDrops,
+    listDrops
+};
@@ -0,0 +1,99 @@
+/**
+ * pilferageDetector.js - stepping the tank levels while every DG is stopped,
+ * on the default thresholds (DROP_LITRES 10, DRIFT_LPH 0.5, SUSTAIN_MIN 10),
+ * against an in-memory SuspiciousDrop collection.
+ */
+
+jest.mock('../models/SuspiciousDrop', () => {
+    const docs = new Map();
+    return {
+        docs,
+        updateOne: jest.fn(async ({ _id }, { $set }) => {
+            docs.set(String(_id), { _id, ...docs.get(String(_id)), ...$set });
+            return {};
+        })
+    };
+});
+
+const mongoose = require('mongoose');
+const SuspiciousDrop = require('../models/SuspiciousDrop');
+const eventBus = require('./eventBus');
+const pilferageDetector = require('./pilferageDetector');
+
+const T0 = Date.parse('2026-01-01T20:00:00Z');
+const MIN = 60000;
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// One poll at T0 + minute: DG-1 at `kW` (stopped at 0), the dg1 tank at `level`
+function reading(minute, level, kW = 0) {
+    const dg1 = kW > 0 ? { activePower: kW, voltageR: 230 } : { activePower: 0, voltageR: 0 };
+    pilferageDetector.processReading({
+        timestamp: new Date(T0 + minute * MIN),
+        data: { systemData: { electrical: { dg1 }, tanks: {} }, sensorLevels: { dg1: level } }
+    });
+}
+
+// [minute, level] pairs, every DG stopped
+function levels(steps) {
+    steps.forEach(([minute, level]) => reading(minute, level));
+}
+
+let publish;
+
+beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+    publish = jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    delete mongoose.connection.readyState;
+    jest.restoreAllMocks();
+});
+
+// Every test starts with a DG running, which resets the detector
+beforeEach(() => {
+    SuspiciousDrop.docs.clear();
+    publish.mockClear();
+    reading(-1, 0, 60);
+});
+
+test('a sustained fall beyond DROP_LITRES raises one drop, which grows until a DG starts', async () => {
+    levels([[0, 500], [5, 500], [6, 488], [10, 488]]);
+    expect(publish).not.toHaveBeenCalled();
+
+    levels([[16, 488]]);
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect(publish).toHaveBeenCalledWith(eventBus.EVENTS.SUSPICIOUS_DROP, expect.objectContaining({
+        dg: 'dg1', litres: 12, levelBefore: 500, levelAfter: 488, startedAt: new Date(T0 + 5 * MIN), detectedAt: new Date(T0 + 16 * MIN)
+    }));
+
+    levels([[20, 485], [25, 485]]);
+    reading(30, 485, 60);
+    await settle();
+    expect(publish).toHaveBeenCalledTimes(1);
+    expect([...SuspiciousDrop.docs.values()]).toEqual([expect.objectContaining({ status: 'closed', litres: 15, levelAfter: 485, lastDropAt: new Date(T0 + 20 * MIN) })]);
+});
+
+test('nothing is watched until SETTLE_MS after the last DG stopped', () => {
+    levels([[0, 500], [1, 480], [4, 480], [5, 480], [16, 480]]);
+    expect(publish).not.toHaveBeenCalled();
+});
+
+test('a spike that comes back before SUSTAIN_MS is ignored', () => {
+    levels([[0, 500], [5, 500], [6, 480], [10, 480], [11, 499.5], [20, 480], [25, 499]]);
+    expect(publish).not.toHaveBeenCalled();
+});
+
+test('the tolerance grows by DRIFT_LPH for every hour since the level was at the reference', () => {
+    // 11.5 L under the reference, 5 h after it was last there: 12.5 L allowed
+    levels([[0, 500], [5, 500], [6, 497], [305, 488.5], [320, 488.5]]);
+    expect(publish).not.toHaveBeenCalled();
+
+    // The same fall straight after a reading at the reference
+    reading(321, 0, 60);
+    levels([[322, 500], [327, 500], [328, 488.5], [338, 488.5]]);
+    expect(publish).toHaveBeenCalledTimes(1);
+});
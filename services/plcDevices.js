@@ -0,0 +1,234 @@
+/**
+ * PLC Device Manager
+ * Keeps one runtime entry per device in the register map (a DG controller,
+ * a tank-level transmitter, ...), each with its own connection health,
+ * consecutive error counter and reconnect schedule.
+ *
+ * Devices that share a physical link (same serial port, or same TCP
+ * host:port with different slave IDs) share one transport; the slave ID is
+ * selected before every request. Reads are sequential, so this is safe on
+ * an RS-485 bus.
+ */
+
+const registerMap = require('./registerMap');
+const { createTransport, resolveDeviceOptions } = require('./plcTransport');
+
+// --- CONFIGURATION ---
+const READ_DELAY = 100;
+const RETRY_ATTEMPTS = 2;
+const MAX_ERRORS = 20;             // Consecutive failed cycles before a device is taken offline
+const RECONNECT_DELAY_MS = 10000;  // Wait after a failed connect attempt
+const OFFLINE_RETRY_MS = 5000;     // Wait after a device is taken offline
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+// --- STATE ---
+const connections = new Map(); // linkKey -> { transport, description, connecting }
+const devices = new Map();     // deviceId -> runtime entry
+
+function linkKey(options) {
+    switch (options.type) {
+        case 'tcp':
+        case 'rtu-over-tcp': return `${options.type}://${options.host}:${options.tcpPort}`;
+        case 'rtu': return `rtu://${options.port}`;
+        default: return `${options.type}://${options.scenario || options.file || 'default'}`;
+    }
+}
+
+function newDeviceEntry(device) {
+    const options = resolveDeviceOptions(device);
+    return {
+        id: device.id,
+        name: device.name,
+        options,
+        link: linkKey(options),
+        status: 'connecting',
+        errorCount: 0,
+        lastSuccess: null,
+        lastError: null,
+        nextRetryAt: 0,
+        connects: 0,
+        cycle: { ok: 0, failed: 0 }
+    };
+}
+
+/**
+ * Brings the runtime device list in line with the register map. New devices
+ * are added, removed ones are dropped; changed connection settings take
+ * effect when the device next reconnects.
+ */
+function syncDevices() {
+    const configured = registerMap.getDevices();
+    for (const [id, device] of Object.entries(configured)) {
+        const existing = devices.get(id);
+        if (!existing) {
+            devices.set(id, newDeviceEntry(device));
+        } else if (existing.status !== 'connected') {
+            const fresh = newDeviceEntry(device);
+            Object.assign(existing, { name: fresh.name, options: fresh.options, link: fresh.link });
+        }
+    }
+    for (const id of [...devices.keys()]) {
+        if (!configured[id]) devices.delete(id);
+    }
+    for (const key of [...connections.keys()]) {
+        if (![...devices.values()].some(d => d.link === key)) closeConnection(key);
+    }
+    return [...devices.values()];
+}
+
+function closeConnection(key) {
+    const conn = connections.get(key);
+    if (conn) { try { conn.transport.close(); } catch (_) {} }
+    connections.delete(key);
+}
+
+function isLinkOpen(key) {
+    const conn = connections.get(key);
+    return !!(conn && conn.open && conn.transport.isOpen !== false);
+}
+
+async function openLink(dev) {
+    const existing = connections.get(dev.link);
+    if (existing?.connecting) return existing.connecting;
+    if (existing && isLinkOpen(dev.link)) return;
+    if (existing) closeConnection(dev.link);
+
+    const transport = createTransport(dev.options);
+    const conn = { transport, open: false, connecting: null };
+    connections.set(dev.link, conn);
+    console.log(`Attempting to connect to ${dev.name} via ${transport.description}...`);
+    conn.connecting = transport.connect()
+        .then(() => {
+            transport.setTimeout(dev.options.timeout);
+            conn.open = true;
+        })
+        .finally(() => { conn.connecting = null; });
+    return conn.connecting;
+}
+
+/**
+ * Makes sure the device's link is open, honouring its reconnect schedule.
+ * Returns true when the device can be polled this cycle.
+ */
+async function ensureConnected(dev) {
+    // A dropped link is left to endCycle()/MAX_ERRORS, same as a dead PLC
+    if (dev.status === 'connected') return isLinkOpen(dev.link);
+    if (Date.now() < dev.nextRetryAt) return false;
+
+    try {
+        await openLink(dev);
+        dev.status = 'connected';
+        dev.errorCount = 0;
+        dev.connects++;
+        console.log(`✓ ${dev.name} connected (slave ${dev.options.slaveId})`);
+        return true;
+    } catch (err) {
+        dev.status = 'offline';
+        dev.lastError = err.message;
+        dev.nextRetryAt = Date.now() + RECONNECT_DELAY_MS;
+        closeConnection(dev.link);
+        return false;
+    }
+}
+
+/**
+ * readHoldingRegisters() on behalf of one device (selects its slave ID,
+ * retries, and records the outcome for the device's health).
+ */
+async function read(dev, addr, length) {
+    if (dev.status !== 'connected') throw new Error(`${dev.name} offline`);
+    const conn = connections.get(dev.link);
+    if (!conn || !conn.open) throw new Error(`${dev.name} link closed`);
+
+    for (let i = 0; i < RETRY_ATTEMPTS; i++) {
+        try {
+            conn.transport.setID(dev.options.slaveId);
+            const result = await conn.transport.readHoldingRegisters(addr, length);
+            dev.cycle.ok++;
+            dev.lastSuccess = new Date().toISOString();
+            return result;
+        } catch (err) {
+            if (i === RETRY_ATTEMPTS - 1) {
+                dev.cycle.failed++;
+                dev.lastError = err.message;
+                throw err;
+            }
+            await wait(READ_DELAY);
+        }
+    }
+}
+
+function startCycle(dev) {
+    dev.cycle = { ok: 0, failed: 0 };
+}
+
+/**
+ * Called once per device at the end of a poll cycle. A cycle where nothing
+ * could be read (or the link dropped) counts as one error; MAX_ERRORS in a
+ * row takes the device offline and schedules its own reconnect.
+ */
+function endCycle(dev) {
+    if (dev.status !== 'connected') return;
+
+    const failed = (dev.cycle.ok === 0 && dev.cycle.failed > 0) || !isLinkOpen(dev.link);
+    if (!failed) {
+        dev.errorCount = 0;
+        return;
+    }
+
+    dev.errorCount++;
+    if (dev.errorCount >= MAX_ERRORS) {
+        console.error(`❌ ${dev.name}: ${MAX_ERRORS} consecutive errors (${dev.lastError || 'link lost'}) - reconnecting`);
+        dev.status = 'offline';
+        dev.nextRetryAt = Date.now() + OFFLINE_RETRY_MS;
+        // Only drop the link if no other device on it is still healthy
+        const sharedHealthy = [...devices.values()].some(d => d !== dev && d.link === dev.link && d.status === 'connected');
+        if (!sharedHealthy) closeConnection(dev.link);
+    }
+}
+
+/** Runtime entry of a register-map device, or null for an id the map does not define */
+function getDevice(deviceId) {
+    return devices.get(deviceId) || null;
+}
+
+function anyConnected() {
+    return [...devices.values()].some(d => d.status === 'connected');
+}
+
+function getDeviceHealth() {
+    const health = {};
+    for (const dev of devices.values()) {
+        health[dev.id] = {
+            name: dev.name,
+            transport: dev.options.type,
+            link: dev.link,
+            slaveId: dev.options.slaveId,
+            status: dev.status,
+            errorCount: dev.errorCount,
+            lastSuccess: dev.lastSuccess,
+            lastError: dev.lastError,
+            nextRetryAt: dev.status === 'connected' ? null : new Date(dev.nextRetryAt).toISOString(),
+            connects: dev.connects
+        };
+    }
+    return health;
+}
+
+function closeAll() {
+    for (const key of [...connections.keys()]) closeConnection(key);
+    for (const dev of devices.values()) dev.status = 'offline';
+}
+
+module.exports = {
+    syncDevices,
+    ensureConnected,
+    read,
+    startCycle,
+    endCycle,
+    getDevice,
+    anyConnected,
+    getDeviceHealth,
+    closeAll
+};
@@ -0,0 +1,109 @@
+/**
+ * PLC Replay Driver
+ * Plays back a register capture recorded with PLC_RECORD_FILE as if it were
+ * the live PLC, optionally faster than real time.
+ *
+ * Capture format: one JSON object per line
+ *   { "t": <epoch ms>, "addr": 4696, "data": [61, 0, ...] }   successful read
+ *   { "t": <epoch ms>, "addr": 4100, "length": 5, "error": "Timed out" }
+ *
+ * At replay time T every register holds the last value captured at or
+ * before T. Registers whose last capture was an error fail the same way,
+ * so dropouts reproduce exactly.
+ */
+
+const fs = require('fs');
+
+// --- CONFIGURATION ---
+const DEFAULT_SPEED = parseFloat(process.env.PLC_REPLAY_SPEED) || 10;
+
+function parseCapture(text) {
+    return text
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((line, i) => {
+            try { return JSON.parse(line); }
+            catch (err) { throw new Error(`Capture line ${i + 1} is not valid JSON`); }
+        })
+        .sort((a, b) => a.t - b.t);
+}
+
+class PlcReplay {
+    constructor(options = {}) {
+        const file = options.file || process.env.PLC_REPLAY_FILE;
+        if (!options.records && !file) throw new Error('PLC_REPLAY_FILE is required for the replay transport');
+
+        this.records = options.records || parseCapture(fs.readFileSync(file, 'utf8'));
+        if (this.records.length === 0) throw new Error('Replay capture is empty');
+
+        this.speed = options.speed || DEFAULT_SPEED;
+        this.loop = options.loop ?? process.env.PLC_REPLAY_LOOP === 'true';
+        this.now = options.now || Date.now;
+        this.firstT = this.records[0].t;
+        this.duration = this.records[this.records.length - 1].t - this.firstT;
+        this.isOpen = false;
+        this.reset();
+    }
+
+    reset() {
+        this.registers = new Map(); // addr -> value | Error
+        this.cursor = 0;
+        this.startedAt = this.now();
+        this.finished = false;
+    }
+
+    // --- modbus-serial compatible surface ---
+    async connect() {
+        this.isOpen = true;
+        this.reset();
+        console.log(`⏯️ Replaying ${this.records.length} captured reads (${Math.round(this.duration / 1000)}s at x${this.speed})`);
+    }
+    setID() {}
+    setTimeout() {}
+    close() { this.isOpen = false; }
+
+    async readHoldingRegisters(addr, length) {
+        if (!this.isOpen) throw new Error('Port Not Open');
+        this.advance();
+
+        const data = [];
+        for (let a = addr; a < addr + length; a++) {
+            const value = this.registers.get(a);
+            if (value instanceof Error) throw value;
+            if (value === undefined) throw new Error(`Register ${a} not in capture`);
+            data.push(value);
+        }
+        return { data, buffer: Buffer.alloc(length * 2) };
+    }
+
+    // Current position in the capture timeline (epoch ms of the original run)
+    replayTime() {
+        return this.firstT + (this.now() - this.startedAt) * this.speed;
+    }
+
+    advance() {
+        const target = this.replayTime();
+        while (this.cursor < this.records.length && this.records[this.cursor].t <= target) {
+            const rec = this.records[this.cursor++];
+            if (rec.error) {
+                const err = new Error(rec.error);
+                for (let i = 0; i < (rec.length || 1); i++) this.registers.set(rec.addr + i, err);
+            } else {
+                rec.data.forEach((value, i) => this.registers.set(rec.addr + i, value));
+            }
+        }
+        if (this.cursor >= this.records.length && !this.finished) {
+            this.finished = true;
+            if (this.loop) {
+                console.log('⏯️ Replay reached the end - looping');
+                this.reset();
+                this.advance();
+            } else {
+                console.log('⏯️ Replay reached the end - holding last values');
+            }
+        }
+    }
+}
+
+module.exports = { PlcReplay, parseCapture };
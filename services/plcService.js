@@ -5,43 +5,52 @@
  * 2. Fallback Logic (Tries multiple registers).
  * 3. SAFETY LOGIC (Dead sensor reset + Sticky values).
  * 4. TEST SUPPORT.
- * 5. NEW: Fuel Accumulator Logic (Ratchet & Bucket).
- * 6. NEW: Start/Stop Consumption Logging (DG1).
- * 7. NEW: Calculated Cost & Fuel Rate (Server Side).
+ * 5. NEW: Fuel Accumulator Logic (Ratchet & Bucket) - detection shared with the reports, see consumptionEngine.js.
+ * 6. NEW: Start/Stop Consumption Logging (DG1) - now an eventSubscribers.js subscriber.
+ * 7. NEW: Calculated Cost & Fuel Rate (Server Side, per-DG profile - see generatorProfiles.js).
+ * 8. NEW: Register map loaded from config/registerMap.json (hot reloadable).
+ * 9. NEW: Block (multi-register) reads with single-read fallback.
+ * 10. NEW: Pluggable transport (RTU / RTU-over-TCP / Modbus TCP / simulator / replay),
+ *     selected per device in the register map.
+ * 11. NEW: Multiple PLCs / slave IDs polled in one loop (see plcDevices.js).
+ * 12. NEW: 32-bit / float registers with word & byte order (see registerCodec.js).
+ * 13. NEW: Engine health (oil pressure, coolant, battery, RPM, alarms) - see engineHealth.js.
+ * 14. NEW: Cumulative kWh per DG (meter register or integrated kW) - see energyTotaliser.js.
+ * 15. NEW: kVA, kVAr, line voltages, unbalance, neutral current - see powerCalculations.js.
+ * 16. NEW: Raw tank sensor -> litres via strapping tables, plus % full - see tankProfiles.js.
+ * 17. NEW: Last raw tank value exposed for dip calibration; approved calibrations apply in toLitres() - see calibrationService.js.
+ * 18. NEW: Managed sensor overrides (manual value / out of service, with expiry) replace hardcodedLevel - see sensorOverrides.js.
+ * 19. NEW: Publishes reading / dgStarted / dgStopped / refillDetected / sensorFault / engineFault /
+ *     plcConnected / plcDisconnected on eventBus.js; alerts and persistence subscribe instead of being called here.
+ * 20. NEW: Tank levels read after the generators; a tank counts as running while any DG it feeds runs - see topology.js.
+ * 21. NEW: Runtime hours and dates until warning / critical level per tank - see autonomyForecast.js.
  * * UPDATED: Recursive Loop for Stability (No Crashes).
  */
 
-const ModbusRTU = require('modbus-serial');
-const { sendDieselAlert, sendStartupAlert } = require('./emailService');
+const plcDevices = require('./plcDevices');
 const fuelAccumulator = require('./fuelAccumulator'); 
-const { processDg1Data } = require('./dgMonitor'); 
-const Log = require('../models/Log'); 
+const consumptionEngine = require('./consumptionEngine');
+const topology = require('./topology');
+const eventBus = require('./eventBus');
+const { EVENTS } = eventBus;
+const registerMap = require('./registerMap');
+const { planBlocks, sliceBlock } = require('./blockPlanner');
+const { decode, isMissing, registerCount } = require('./registerCodec');
+const { calculateAnalytics } = require('./generatorProfiles');
+const { getCurrentPrice } = require('./fuelPriceService');
+const { evaluateEngineHealth } = require('./engineHealth');
+const energyTotaliser = require('./energyTotaliser');
+const { derivePowerQuantities } = require('./powerCalculations');
+const tankProfiles = require('./tankProfiles');
+const sensorOverrides = require('./sensorOverrides');
+const autonomyForecast = require('./autonomyForecast');
 
 // --- CONFIGURATION ---
-const port = process.env.PLC_PORT || '/dev/ttyUSB0';
-const plcSlaveID = parseInt(process.env.PLC_SLAVE_ID) || 1;
-const READ_DELAY = 100; 
-const RETRY_ATTEMPTS = 2; 
-const MAX_ERRORS = 20;
 const DG_RUNNING_THRESHOLD = 5; 
-const CRITICAL_LEVEL = parseInt(process.env.CRITICAL_DIESEL_LEVEL) || 50;
 const STALE_THRESHOLD_MS = 5 * 60 * 1000; 
 const LOOP_DELAY = 2000; 
+const BLOCK_READS_ENABLED = process.env.PLC_BLOCK_READS !== 'false';
 
-// ✅ ANALYTICS CONSTANTS
-const DIESEL_PRICE = 97.00; 
-const MAX_AMPS_125KVA = 175;
-
-const plcSettings = {
-  baudRate: parseInt(process.env.PLC_BAUD_RATE) || 9600,
-  parity: process.env.PLC_PARITY || 'none',
-  dataBits: parseInt(process.env.PLC_DATA_BITS) || 8,
-  stopBits: parseInt(process.env.PLC_STOP_BITS) || 1
-};
-
-const client = new ModbusRTU();
-let isPlcConnected = false;
-let errorCount = 0;
 let isLoopRunning = false; 
 
 // --- STATE MANAGEMENT ---
@@ -51,9 +60,19 @@ let systemData = {
   electrical: { dg1: {}, dg2: {}, dg3: {}, dg4: {} },
   dataQuality: {
     dg1_stale: false, dg2_stale: false, dg3_stale: false, lastSuccessfulRead: null
-  }
+  },
+  pollStats: { cycleMs: 0, blockReads: 0, blockFailures: 0, singleReads: 0 },
+  engineAlarms: {},
+  tanks: {},      // tankKey -> { capacity, percentFull, raw, calibrationVersion, override }
+  overrides: [],  // Active sensor overrides (sensorOverrides.getActiveOverrides())
+  forecast: {}    // tankKey -> runtime / dates until warning & critical (autonomyForecast.js)
 };
 
+// Last valid raw sensor value per tank (dip calibration compares against it)
+let lastRawLevel = {};
+// Tanks under a level override last poll - their accumulator restarts when it ends
+const overriddenTanks = new Set();
+
 // Initialize Sticky Values
 let lastGoodRegister = { dg1: {}, dg2: {}, dg3: {}, dg4: {} };
 let lastGoodValues = {
@@ -63,134 +82,176 @@ let lastGoodValues = {
     dg4: getZeroElectricalValues()
 };
 
-// --- DIESEL REGISTERS ---
-const dgRegisters = {
-  dg1: { primary: 4104, fallback: [], name: 'DG-1 Diesel (D8)', hardcodedLevel: 150 },
-  dg2: { primary: 4100, fallback: [], name: 'DG-2 Diesel (D4)' },
-  dg3: { primary: 4102, fallback: [], name: 'DG-3 Diesel (D6)' }
-};
-
-const C = (addr, scaling = 0.1) => ({ addr, scaling });
-
-const electricalCandidates = {
-  dg1: {
-    voltageR: [C(4728)], voltageY: [C(4730)], voltageB: [C(4732)],
-    currentR: [C(4704)], currentY: [C(4706)], currentB: [C(4708)],
-    activePower: [C(4696, 0.01)], frequency: [C(4752, 0.01)],
-    powerFactor: [C(4760, 0.01)], runningHours: [C(4518, 1)],
-  },
-  dg2: {
-    voltageR: [C(4734)], voltageY: [C(4736)], voltageB: [C(4738)],
-    currentR: [C(4710)], currentY: [C(4712)], currentB: [C(4714)],
-    activePower: [C(4716, 0.01)], frequency: [C(4754, 0.01)],
-    powerFactor: [C(4762, 0.01)], runningHours: [C(4516, 1)],
-  },
-  dg3: {
-    voltageR: [C(4740)], voltageY: [C(4742)], voltageB: [C(4744)],
-    currentR: [C(4716)], currentY: [C(4718)], currentB: [C(4720)],
-    activePower: [C(4700, 0.01)], frequency: [C(4756, 0.01)],
-    powerFactor: [C(4764, 0.01)], runningHours: [C(4512, 1)],
-  },
-  dg4: {
-    voltageR: [C(4746)], voltageY: [C(4748)], voltageB: [C(4750)],
-    currentR: [C(4722)], currentY: [C(4724)], currentB: [C(4726)],
-    activePower: [C(4702, 0.01)], frequency: [C(4758, 0.01)],
-    powerFactor: [C(4766, 0.01)], runningHours: [C(4514, 1)],
-  }
-};
-
 const toSignedInt16 = (v) => (v > 32767 ? v - 65536 : v);
 const wait = (ms) => new Promise(r => setTimeout(r, ms));
 
-// ✅ NEW: ANALYTICS CALCULATOR
-function calculateAnalytics(currentR, currentY, currentB) {
-    const avgAmps = (currentR + currentY + currentB) / 3 || 0;
-    
-    if (avgAmps < 5) {
-        return { fuelRate: 0, estCost: 0, loadPct: 0 };
-    }
-
-    let loadPct = avgAmps / MAX_AMPS_125KVA;
-    if (loadPct > 1) loadPct = 1;
-
-    const fuelRate = 4.5 + ((18 - 4.5) * loadPct);
-    const estCost = fuelRate * DIESEL_PRICE;
-
-    return {
-        fuelRate: parseFloat(fuelRate.toFixed(2)),
-        estCost: Math.round(estCost),
-        loadPct: Math.round(loadPct * 100)
-    };
-}
-
 function isValidDieselReading(value) {
   const s = toSignedInt16(value);
   if (value === 65535 || value === 65534 || s === -1) return false;
   return s >= 1 && s <= 2000; 
 }
 
-function isValidElectricalReading(value) {
-  if (value === 65535 || value === 65534) return false;
-  return true;
+// Decoded tank level for a register definition, or undefined if the words are not a valid reading
+function decodeDiesel(words, registerConfig) {
+  if (!words || isMissing(words, registerConfig)) return undefined;
+  const value = decode(words, registerConfig);
+  if (!Number.isFinite(value) || value < 1 || value > 2000) return undefined;
+  return value;
 }
 
-async function readWithRetry(fn, retries = RETRY_ATTEMPTS) {
-  for (let i = 0; i < retries; i++) {
-    try { return await fn(); } 
-    catch (e) { if (i === retries - 1) throw e; await wait(READ_DELAY); }
-  }
+// Scaled electrical value for a candidate, or undefined if the words are not a valid reading
+function decodeElectrical(words, candidate) {
+  if (!words || isMissing(words, candidate)) return undefined;
+  const value = decode(words, candidate);
+  if (!Number.isFinite(value)) return undefined;
+  return Math.round(value * (candidate.scaling ?? 0.1) * 10000) / 10000;
 }
 
-async function readSingleRegister(registerConfig, dataKey) {
-  // ✅ SENSOR OVERRIDE: If hardcodedLevel is set, always return that value
-  if (registerConfig.hardcodedLevel !== undefined) {
+// Returns litres: sensor values go through the tank's strapping table,
+// the stale fallback is litres already.
+async function readSingleRegister(registerConfig, dataKey, prefetchedWords) {
+  // Primary already read as part of a block
+  const prefetchedValue = decodeDiesel(prefetchedWords, registerConfig);
+  if (prefetchedValue !== undefined) {
     systemData.dataQuality[dataKey + '_stale'] = false;
     systemData.dataQuality.lastSuccessfulRead = new Date().toISOString();
-    return registerConfig.hardcodedLevel;
+    lastRawLevel[dataKey] = prefetchedValue;
+    return tankProfiles.toLitres(dataKey, prefetchedValue);
   }
 
-  const address = registerConfig.primary;
-  try {
-    const data = await readWithRetry(() => client.readHoldingRegisters(address, 1));
-    const rawValue = data?.data?.[0];
-    if (rawValue === undefined || !isValidDieselReading(rawValue)) throw new Error(`Invalid Reading`);
-    const value = Math.max(0, toSignedInt16(rawValue));
-    systemData.dataQuality[dataKey + '_stale'] = false;
-    systemData.dataQuality.lastSuccessfulRead = new Date().toISOString();
-    return value;
-  } catch (err) {
-    systemData.dataQuality[dataKey + '_stale'] = true;
-    const lastReadTime = systemData.dataQuality.lastSuccessfulRead ? new Date(systemData.dataQuality.lastSuccessfulRead).getTime() : 0;
-    if (Date.now() - lastReadTime > STALE_THRESHOLD_MS) return 0;
-    return fuelAccumulator.getDisplayLevel(dataKey) || 0;
+  // Primary first, then any fallback addresses from the register map;
+  // a tank without a known device is never read from another one - it goes stale
+  const device = plcDevices.getDevice(registerConfig.device);
+  const addresses = device ? [registerConfig.primary, ...(registerConfig.fallback || [])] : [];
+  const count = registerCount(registerConfig.type);
+  for (const address of addresses) {
+    try {
+      systemData.pollStats.singleReads++;
+      const data = await plcDevices.read(device, address, count);
+      const value = decodeDiesel(data?.data, registerConfig);
+      if (value === undefined) continue;
+      systemData.dataQuality[dataKey + '_stale'] = false;
+      systemData.dataQuality.lastSuccessfulRead = new Date().toISOString();
+      lastRawLevel[dataKey] = value;
+      return tankProfiles.toLitres(dataKey, value);
+    } catch (err) {}
   }
+
+  systemData.dataQuality[dataKey + '_stale'] = true;
+  lastRawLevel[dataKey] = null;
+  const lastReadTime = systemData.dataQuality.lastSuccessfulRead ? new Date(systemData.dataQuality.lastSuccessfulRead).getTime() : 0;
+  if (Date.now() - lastReadTime > STALE_THRESHOLD_MS) return 0;
+  return fuelAccumulator.getDisplayLevel(dataKey) || 0;
+}
+
+// Candidate order for a param: the register that worked last time first
+// (as long as it is still in the map), then the map order.
+function candidateOrder(dgKey, param) {
+  const candidates = registerMap.getElectricalCandidates(dgKey)[param] || [];
+  const last = lastGoodRegister[dgKey]?.[param];
+  const lastCandidate = last && candidates.find(c => c.addr === last.addr);
+  if (!lastCandidate) return candidates;
+  return [lastCandidate, ...candidates.filter(c => c !== lastCandidate)];
+}
+
+function rememberGoodValue(dgKey, param, candidate, scaled) {
+  if (!lastGoodRegister[dgKey]) lastGoodRegister[dgKey] = {};
+  if (!lastGoodValues[dgKey]) lastGoodValues[dgKey] = {};
+  lastGoodRegister[dgKey][param] = { addr: candidate.addr, scaling: candidate.scaling, type: candidate.type };
+  lastGoodValues[dgKey][param] = scaled;
 }
 
 async function readParam(dgKey, param) {
-  const candidates = electricalCandidates[dgKey][param];
-  if (!candidates || candidates.length === 0) return 0;
-  const tried = new Set();
-  const order = [];
-  const last = lastGoodRegister[dgKey][param];
-  if (last) { order.push(last); tried.add(last.addr); }
-  for (const c of candidates) { if (!tried.has(c.addr)) order.push(c); }
+  const order = candidateOrder(dgKey, param);
+  if (order.length === 0) return 0;
+  const device = plcDevices.getDevice(registerMap.getGeneratorDevice(dgKey));
+  if (!device) return lastGoodValues[dgKey]?.[param] || 0;
 
   for (let i = 0; i < order.length; i++) {
-    const { addr, scaling } = order[i];
+    const { addr, type } = order[i];
     try {
-      const data = await readWithRetry(() => client.readHoldingRegisters(addr, 1));
-      const raw = data?.data?.[0];
-      if (raw === undefined || !isValidElectricalReading(raw)) continue;
-      const scaled = Math.round(raw * (scaling ?? 0.1) * 10000) / 10000;
-      lastGoodRegister[dgKey][param] = { addr, scaling };
-      if (!lastGoodValues[dgKey]) lastGoodValues[dgKey] = {};
-      lastGoodValues[dgKey][param] = scaled;
+      systemData.pollStats.singleReads++;
+      const data = await plcDevices.read(device, addr, registerCount(type));
+      const scaled = decodeElectrical(data?.data, order[i]);
+      if (scaled === undefined) continue;
+      rememberGoodValue(dgKey, param, order[i], scaled);
       return scaled;
     } catch (err) {}
   }
   return lastGoodValues[dgKey]?.[param] || 0;
 }
 
+/**
+ * Reads every preferred electrical register and every tank primary register
+ * using as few block requests as possible. Anything a block could not
+ * deliver (failed request or invalid value) is left out, so the caller falls
+ * back to the single-register path for it.
+ */
+async function prefetchBlocks(dgList, dieselRegisters) {
+  const prefetched = { electrical: {}, diesel: {} };
+  if (!BLOCK_READS_ENABLED) return prefetched;
+
+  // Blocks never span devices - group requests per device first
+  const requestsByDevice = {};
+  const addRequest = (deviceId, req) => {
+    (requestsByDevice[deviceId] = requestsByDevice[deviceId] || []).push(req);
+  };
+  for (const dgKey of dgList) {
+    prefetched.electrical[dgKey] = {};
+    for (const param of Object.keys(registerMap.getElectricalCandidates(dgKey))) {
+      const candidate = candidateOrder(dgKey, param)[0];
+      if (candidate) addRequest(registerMap.getGeneratorDevice(dgKey), { kind: 'electrical', dgKey, param, candidate, addr: candidate.addr, length: registerCount(candidate.type) });
+    }
+  }
+  for (const [tankKey, reg] of Object.entries(dieselRegisters)) {
+    if (!sensorOverrides.getOverride(tankKey)) addRequest(reg.device, { kind: 'diesel', dgKey: tankKey, addr: reg.primary, length: registerCount(reg.type) });
+  }
+
+  for (const [deviceId, requests] of Object.entries(requestsByDevice)) {
+    const device = plcDevices.getDevice(deviceId);
+    if (!device || device.status !== 'connected') continue;
+
+    for (const block of planBlocks(requests)) {
+      try {
+        systemData.pollStats.blockReads++;
+        const data = await plcDevices.read(device, block.start, block.length);
+        const words = data?.data || [];
+
+        for (const item of block.items) {
+          const itemWords = sliceBlock(block, words, item);
+          if (itemWords.length < item.length) continue;
+          if (item.kind === 'diesel') {
+            prefetched.diesel[item.dgKey] = itemWords;
+            continue;
+          }
+          const scaled = decodeElectrical(itemWords, item.candidate);
+          if (scaled !== undefined) {
+            rememberGoodValue(item.dgKey, item.param, item.candidate, scaled);
+            prefetched.electrical[item.dgKey][item.param] = scaled;
+          }
+        }
+      } catch (err) {
+        systemData.pollStats.blockFailures++;
+      }
+      await wait(20);
+    }
+  }
+  return prefetched;
+}
+
+// Manual value or null (out of service) for overridden params; the list goes
+// into the values as `overrides` so stored readings are flagged too.
+function applyParamOverrides(dgKey, values) {
+  const applied = [];
+  for (const param of Object.keys(registerMap.getElectricalCandidates(dgKey))) {
+    const override = sensorOverrides.getOverride(dgKey, param);
+    if (!override) continue;
+    values[param] = override.mode === 'manual' ? override.value : null;
+    applied.push({ param, mode: override.mode });
+  }
+  values.overrides = applied;
+}
+
 function getZeroElectricalValues() {
   return {
     voltageR: 0, voltageY: 0, voltageB: 0,
@@ -199,25 +260,20 @@ function getZeroElectricalValues() {
   };
 }
 
-async function readAllElectrical(dgKey) {
-  const result = {
-    activePower: 0,
-    voltageR: 0, voltageY: 0, voltageB: 0,
-    currentR: 0, currentY: 0, currentB: 0,
-    frequency: 0, powerFactor: 0, runningHours: 0
-  };
+async function readAllElectrical(dgKey, prefetched = {}) {
+  const result = getZeroElectricalValues();
 
   try {
-    result.activePower = await readParam(dgKey, 'activePower');
-    result.voltageR = await readParam(dgKey, 'voltageR'); await wait(20);
-    result.voltageY = await readParam(dgKey, 'voltageY'); await wait(20);
-    result.voltageB = await readParam(dgKey, 'voltageB');
-    result.currentR = await readParam(dgKey, 'currentR'); await wait(20);
-    result.currentY = await readParam(dgKey, 'currentY'); await wait(20);
-    result.currentB = await readParam(dgKey, 'currentB');
-    result.frequency = await readParam(dgKey, 'frequency');
-    result.powerFactor = await readParam(dgKey, 'powerFactor');
-    result.runningHours = await readParam(dgKey, 'runningHours');
+    // Every parameter the register map defines for this DG (extra params are read too)
+    for (const param of Object.keys(registerMap.getElectricalCandidates(dgKey))) {
+      if (prefetched[param] !== undefined) {
+        result[param] = prefetched[param];
+        continue;
+      }
+      // Block missed this one - fall back to single reads over all candidates
+      result[param] = await readParam(dgKey, param);
+      await wait(20);
+    }
     lastGoodValues[dgKey] = { ...result };
     return result;
   } catch (error) {
@@ -225,121 +281,183 @@ async function readAllElectrical(dgKey) {
   }
 }
 
-function checkStartup(dgKey, newValues, oldElectricalData, allNewValues) {
-  const activePower = newValues.activePower || 0;
-  const isRunning = activePower > DG_RUNNING_THRESHOLD;
+function checkRunTransition(dgKey, newValues, oldElectricalData, allNewValues) {
+  const isRunning = (newValues.activePower || 0) > DG_RUNNING_THRESHOLD;
   const wasRunningBefore = (oldElectricalData[dgKey]?.activePower || 0) > DG_RUNNING_THRESHOLD;
-  if (isRunning && !wasRunningBefore) {
-    if (process.uptime() < 20) return;
-    const dgName = dgKey.toUpperCase().replace('DG', 'DG-');
-    if (dgKey === 'dg1' || dgKey === 'dg2' || dgKey === 'dg4') {
-      sendStartupAlert(dgName, allNewValues);
+  if (isRunning === wasRunningBefore) return;
+
+  const name = registerMap.getGeneratorName(dgKey);
+  if (isRunning) eventBus.publish(EVENTS.DG_STARTED, { dg: dgKey, name, values: newValues, allValues: allNewValues });
+  else eventBus.publish(EVENTS.DG_STOPPED, { dg: dgKey, name, values: newValues });
+}
+
+// Publishes faults that were not active last poll; engineHealth.js confirms them first
+function checkEngineHealth(dgKey, values, isRunning) {
+  const faults = evaluateEngineHealth(dgKey, values, isRunning);
+  const previous = new Set((systemData.engineAlarms[dgKey] || []).map(f => f.code));
+  systemData.engineAlarms[dgKey] = faults;
+
+  const newFaults = faults.filter(f => !previous.has(f.code));
+  if (newFaults.length > 0) {
+    const name = registerMap.getGeneratorName(dgKey);
+    console.warn(`🚨 ${name} engine fault: ${newFaults.map(f => f.message).join('; ')}`);
+    eventBus.publish(EVENTS.ENGINE_FAULT, { dg: dgKey, name, faults, newFaults });
+  }
+}
+
+// Tank sensor going stale / coming back
+function checkSensorTransition(dgKey, wasStale) {
+  const isStale = !!systemData.dataQuality[dgKey + '_stale'];
+  if (isStale === wasStale) return;
+  const name = registerMap.getDieselRegisters()[dgKey]?.name || dgKey.toUpperCase();
+  eventBus.publish(EVENTS.SENSOR_FAULT, {
+    dg: dgKey,
+    sensor: 'level',
+    active: isStale,
+    message: isStale ? `${name}: no valid reading from the level sensor` : `${name}: level sensor reading again`
+  });
+}
+
+// Device status before the cycle -> plcConnected / plcDisconnected
+function publishDeviceChanges(devices, statusBefore) {
+  for (const device of devices) {
+    const before = statusBefore.get(device.id);
+    if (before !== 'connected' && device.status === 'connected') {
+      eventBus.publish(EVENTS.PLC_CONNECTED, { device: device.id, name: device.name });
+    } else if (before === 'connected' && device.status !== 'connected') {
+      eventBus.publish(EVENTS.PLC_DISCONNECTED, { device: device.id, name: device.name, error: device.lastError });
     }
   }
 }
 
 // --- MAIN LOOP ---
+// One loop polls every device; each device keeps its own health and
+// reconnect schedule, so one dead controller does not stop the others.
 async function readAllSystemData() {
-  if (!isPlcConnected) return;
+  if (!isLoopRunning) return;
+
+  const devices = plcDevices.syncDevices();
+  const statusBefore = new Map(devices.map(d => [d.id, d.status]));
+  for (const device of devices) {
+    await plcDevices.ensureConnected(device);
+    plcDevices.startCycle(device);
+  }
+
+  if (!plcDevices.anyConnected()) {
+    publishDeviceChanges(devices, statusBefore);
+    setTimeout(readAllSystemData, LOOP_DELAY);
+    return;
+  }
 
   try {
+    const cycleStart = Date.now();
+    systemData.pollStats = { cycleMs: 0, blockReads: 0, blockFailures: 0, singleReads: 0 };
     const allNewValues = {};
-    const dgList = ['dg1', 'dg2', 'dg3', 'dg4'];
+    const sensorLevels = {};   // Litres as read this cycle, before the accumulator's ratchet
+    const dgList = registerMap.getGeneratorKeys();
+    const dieselRegisters = registerMap.getDieselRegisters();
+    const prefetched = await prefetchBlocks(dgList, dieselRegisters);
 
     for (const dgKey of dgList) {
         // 1. Read Raw Electrical Data
-        const electricalData = await readAllElectrical(dgKey);
+        const electricalData = await readAllElectrical(dgKey, prefetched.electrical[dgKey]);
+        applyParamOverrides(dgKey, electricalData);
+        Object.assign(electricalData, derivePowerQuantities(electricalData));
 
         // ✅ 2. CALCULATE ANALYTICS (Cost, Fuel, Load%)
-        const analytics = calculateAnalytics(electricalData.currentR, electricalData.currentY, electricalData.currentB);
+        const analytics = calculateAnalytics(dgKey, electricalData.currentR, electricalData.currentY, electricalData.currentB, getCurrentPrice());
         
         // Merge analytics into the electrical object
         // This ensures that when schedulerService saves this object, 
         // it saves the cost/fuel too!
         Object.assign(electricalData, analytics); 
 
+        // Cumulative kWh (stored as energyMeter; null until the saved total is loaded)
+        electricalData.energyMeter = energyTotaliser.integrate(dgKey, electricalData);
+
         allNewValues[dgKey] = electricalData;
 
-        // 3. Logic for Diesel Level & Running Status
-        const isRunning = (electricalData.voltageR > 100);
-        if (dgRegisters[dgKey]) {
-            const rawLevel = await readSingleRegister(dgRegisters[dgKey], dgKey);
-            await fuelAccumulator.processReading(dgKey, rawLevel, isRunning);
-            systemData[dgKey] = fuelAccumulator.getDisplayLevel(dgKey);
-
-            if (dgKey === 'dg1') {
-                const estimatedRpm = electricalData.frequency * 30; 
-                const runResult = processDg1Data(estimatedRpm, rawLevel);
-                if (runResult) {
-                    const newLog = new Log({
-                        timestamp: new Date(),
-                        event: "DG_STOPPED",
-                        startLevel: runResult.startLevel,
-                        endLevel: runResult.endLevel,
-                        consumption: runResult.consumption,
-                        duration: 0 
-                    });
-                    newLog.save();
-                }
-            }
+        // 3. Running Status & Engine Health
+        const isRunning = consumptionEngine.isRunning(electricalData);
+        checkEngineHealth(dgKey, electricalData, isRunning);
+    }
+
+    // 4. Tank levels - after every DG is read, since a tank can feed several (topology.js)
+    for (const tankKey of Object.keys(dieselRegisters)) {
+        const { running } = consumptionEngine.feedState(topology.getSuppliedDgs(tankKey), allNewValues);
+        const levelOverride = sensorOverrides.getOverride(tankKey);
+        if (levelOverride) {
+            // Manual value, or the last level held while the sensor is out of service
+            systemData[tankKey] = levelOverride.mode === 'manual' ? levelOverride.value : fuelAccumulator.getDisplayLevel(tankKey);
+            systemData.dataQuality[tankKey + '_stale'] = levelOverride.mode === 'outOfService';
+            lastRawLevel[tankKey] = null;
+            overriddenTanks.add(tankKey);
+        } else {
+            // The level may have moved while overridden - start from the real reading, not a drop/refill
+            if (overriddenTanks.delete(tankKey)) fuelAccumulator.resetLevel(tankKey);
+            const wasStale = !!systemData.dataQuality[tankKey + '_stale'];
+            const rawLevel = await readSingleRegister(dieselRegisters[tankKey], tankKey, prefetched.diesel[tankKey]);
+            checkSensorTransition(tankKey, wasStale);
+            const { refill } = await fuelAccumulator.processReading(tankKey, rawLevel, running);
+            systemData[tankKey] = fuelAccumulator.getDisplayLevel(tankKey);
+            sensorLevels[tankKey] = rawLevel;
+            if (refill > 0) eventBus.publish(EVENTS.REFILL_DETECTED, { dg: tankKey, litres: refill, level: systemData[tankKey] });
         }
+        systemData.dataQuality[tankKey + '_override'] = levelOverride ? levelOverride.mode : null;
+        const tank = tankProfiles.getTank(tankKey);
+        systemData.tanks[tankKey] = {
+            capacity: tank ? tank.capacity : null,
+            percentFull: tank ? tankProfiles.percentFull(tankKey, systemData[tankKey]) : null,
+            raw: lastRawLevel[tankKey] ?? null,
+            calibrationVersion: tankProfiles.getCalibration(tankKey)?.version || 0,
+            override: levelOverride ? levelOverride.mode : null
+        };
     }
 
-    systemData.total = (systemData.dg1 || 0) + (systemData.dg2 || 0) + (systemData.dg3 || 0);
+    systemData.total = Math.round(topology.getSensedTanks().reduce((sum, tankKey) => sum + (systemData[tankKey] || 0), 0) * 10) / 10;
     const oldElectricalData = { ...systemData.electrical };
     systemData.electrical = allNewValues;
+    systemData.overrides = sensorOverrides.getActiveOverrides();
+    systemData.forecast = autonomyForecast.forecast(systemData);
     systemData.lastUpdate = new Date().toISOString();
+    systemData.pollStats.cycleMs = Date.now() - cycleStart;
 
     for (const dgKey of dgList) {
-      checkStartup(dgKey, allNewValues[dgKey], oldElectricalData, allNewValues);
+      checkRunTransition(dgKey, allNewValues[dgKey], oldElectricalData, allNewValues);
     }
-    checkDieselLevels(systemData);
-    errorCount = 0;
+    eventBus.publish(EVENTS.READING, { systemData: getSystemData(), sensorLevels });
 
   } catch (err) {
-    errorCount++;
-    if (errorCount >= MAX_ERRORS) {
-      isPlcConnected = false;
-      client.close();
-      setTimeout(connectToPLC, 5000);
-      return;
-    }
+    console.error('❌ PLC cycle error:', err.message);
   }
 
-  if (isPlcConnected) {
+  for (const device of devices) plcDevices.endCycle(device);
+  publishDeviceChanges(devices, statusBefore);
+
+  if (isLoopRunning) {
       setTimeout(readAllSystemData, LOOP_DELAY);
   }
 }
 
-function checkDieselLevels(data) {
-  const criticalDGs = [];
-  if (data.dg1 <= CRITICAL_LEVEL) criticalDGs.push('DG-1');
-  if (data.dg2 <= CRITICAL_LEVEL) criticalDGs.push('DG-2');
-  if (criticalDGs.length > 0) sendDieselAlert(data, criticalDGs);
-}
-
 function connectToPLC() {
   if (isLoopRunning) return; 
-  console.log(`Attempting to connect to PLC on ${port}...`);
-  client.connectRTU(port, plcSettings)
-    .then(() => {
-      client.setID(plcSlaveID);
-      client.setTimeout(4000); 
-      isPlcConnected = true;
-      isLoopRunning = true;
-      errorCount = 0;
-      console.log('✓ PLC connected successfully');
-      readAllSystemData();
-    })
-    .catch((err) => {
-      isLoopRunning = false;
-      setTimeout(connectToPLC, 10000);
-    });
+  isLoopRunning = true;
+  readAllSystemData();
+}
+
+/**
+ * Reloads config/registerMap.json without touching the Modbus connections.
+ * Sticky "last good register" hints are dropped so moved signals are re-probed.
+ */
+function reloadRegisterMap() {
+  const map = registerMap.reloadRegisterMap();
+  lastGoodRegister = {};
+  return map;
 }
 
-function closePLC() { try { client.close(); } catch (_) {} }
+function closePLC() { isLoopRunning = false; plcDevices.closeAll(); }
 function getSystemData() { return { ...systemData }; }
-function isConnected() { return isPlcConnected; }
+function isConnected() { return plcDevices.anyConnected(); }
 
 module.exports = {
   connectToPLC,
@@ -347,6 +465,8 @@ module.exports = {
   readAllSystemData,
   getSystemData,
   isConnected,
+  getDeviceHealth: plcDevices.getDeviceHealth,
   isValidDieselReading,
+  reloadRegisterMap,
   _test_systemData: systemData
 };
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * A scripted run on the PLC simulator, polled through the whole acquisition
+ * chain (plcDevices -> plcService -> fuelAccumulator -> eventBus) on a fake
+ * clock: DG-1 runs two hours at 60 % load, stops, then its tank takes a delivery.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SCENARIO = [
+    { at: 60, action: 'start', dg: 'dg1', load: 60 },
+    { at: 7260, action: 'stop', dg: 'dg1' },
+    { at: 7500, action: 'refill', tank: 'dg1', litres: 200, over: 300 }
+];
+const SCENARIO_FILE = path.join(os.tmpdir(), `plc-sim-scenario-${process.pid}.json`);
+
+// Before any require: the transport and the simulator read these at load time
+process.env.PLC_TRANSPORT = 'simulator';
+process.env.PLC_SIM_SPEED = '60';
+process.env.PLC_SIM_SCENARIO = SCENARIO_FILE;
+
+jest.mock('../models/schemas', () => ({
+    DieselConsumption: { updateOne: jest.fn().mockResolvedValue({}) },
+    DailySummary: {},
+    ElectricalReading: {}
+}));
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const SIM_SECONDS = 8100;
+
+let DieselConsumption, plcService, eventBus, fuelRateAt, getProfile;
+
+beforeAll(() => {
+    fs.writeFileSync(SCENARIO_FILE, JSON.stringify(SCENARIO));
+    jest.useFakeTimers({ now: T0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ DieselConsumption } = require('../models/schemas'));
+    plcService = require('./plcService');
+    eventBus = require('./eventBus');
+    ({ fuelRateAt, getProfile } = require('./generatorProfiles'));
+});
+
+afterAll(() => {
+    plcService.closePLC();
+    jest.useRealTimers();
+    console.log.mockRestore();
+    fs.unlinkSync(SCENARIO_FILE);
+});
+
+test('a simulated run yields the burnt litres as consumption and the delivery as refill events', async () => {
+    const refills = [];
+    const unsubscribe = eventBus.subscribe(eventBus.EVENTS.REFILL_DETECTED, (event) => refills.push(event.data));
+
+    plcService.connectToPLC();
+    await jest.advanceTimersByTimeAsync(SIM_SECONDS * 1000 / 60);
+    plcService.closePLC();
+    unsubscribe();
+
+    const consumed = (tankKey) => DieselConsumption.updateOne.mock.calls
+        .reduce((sum, [, update]) => sum + (update.$inc[`${tankKey}.consumption`] || 0), 0);
+    const burnt = fuelRateAt(getProfile('dg1'), 60) * 2;
+
+    expect(plcService.isConnected()).toBe(false);
+    expect(consumed('dg1')).toBeGreaterThan(burnt - 2);
+    expect(consumed('dg1')).toBeLessThan(burnt + 2);
+    expect(consumed('dg2')).toBe(0);
+    expect(consumed('dg3')).toBe(0);
+
+    expect(refills.length).toBeGreaterThan(0);
+    expect(refills.every(r => r.dg === 'dg1')).toBe(true);
+    expect(refills.reduce((sum, r) => sum + r.litres, 0)).toBeCloseTo(200, -1);
+    expect(plcService.getSystemData().dg1).toBeCloseTo(180 - burnt + 200, -1);
+});
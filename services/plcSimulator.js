@@ -0,0 +1,273 @@
+/**
+ * PLC Simulator
+ * A fake Modbus slave that answers readHoldingRegisters() from a small
+ * physical model of the site (DGs burning fuel out of their tanks), so the
+ * whole acquisition chain can run on a laptop without the RS-485 PLC.
+ *
+ * - Registers are laid out from the active register map, so the simulator
+ *   always matches whatever config/registerMap.json says.
+ * - Scripted scenarios (DG start, load ramp, refill, sensor spike, 65535
+ *   dropouts, ghost zero / ghost refill, pilferage) are replayed on a simulated clock.
+ * - PLC_SIM_SPEED compresses time: 60 = one simulated minute per second.
+ * - Sensor noise uses a seeded PRNG, so a run is reproducible.
+ */
+
+const fs = require('fs');
+const registerMap = require('./registerMap');
+const { encode, registerCount } = require('./registerCodec');
+const { getProfile, fuelRateAt } = require('./generatorProfiles');
+const { toRaw } = require('./tankProfiles');
+
+// --- CONFIGURATION ---
+const DEFAULT_SPEED = parseFloat(process.env.PLC_SIM_SPEED) || 1;
+const DEFAULT_SEED = parseInt(process.env.PLC_SIM_SEED) || 42;
+const DEFAULT_TANK_LEVEL = 180;   // Liters
+const LINE_VOLTAGE = 415;
+const PHASE_VOLTAGE = 230;
+const NOISE_LITERS = 0.4;         // Float slosh on the level sensor
+
+// --- BUILT-IN SCENARIOS (times are simulated seconds) ---
+const SCENARIOS = {
+    idle: [],
+    dgStart: [
+        { at: 10, action: 'start', dg: 'dg1', load: 40 }
+    ],
+    loadRamp: [
+        { at: 5, action: 'start', dg: 'dg2', load: 10 },
+        { at: 30, action: 'ramp', dg: 'dg2', load: 90, over: 1800 },
+        { at: 3600, action: 'stop', dg: 'dg2' }
+    ],
+    refill: [
+        { at: 20, action: 'refill', tank: 'dg3', litres: 200, over: 300 }
+    ],
+    // Fuel siphoned from a tank with every DG stopped
+    pilferage: [
+        { at: 600, action: 'drain', tank: 'dg1', litres: 40, over: 300 }
+    ],
+    sensorSpike: [
+        { at: 5, action: 'start', dg: 'dg2', load: 50 },
+        { at: 120, action: 'spike', tank: 'dg2', delta: -35, duration: 20 },
+        { at: 400, action: 'spike', tank: 'dg2', delta: 30, duration: 20 }
+    ],
+    dropouts: [
+        { at: 15, action: 'dropout', tank: 'dg3', duration: 30 },
+        { at: 60, action: 'dropout', dg: 'dg1', duration: 20 },
+        { at: 120, action: 'dropout', all: true, duration: 15 }
+    ],
+    // Level reads a bogus 1 L for a while, then comes back - the "ghost zero"
+    ghostZero: [
+        { at: 5, action: 'start', dg: 'dg2', load: 60 },
+        { at: 300, action: 'spike', tank: 'dg2', value: 1, duration: 90 }
+    ],
+    // Generator running while the float jumps up briefly - the "ghost refill"
+    ghostRefill: [
+        { at: 5, action: 'start', dg: 'dg1', load: 60 },
+        { at: 600, action: 'spike', tank: 'dg1', delta: 40, duration: 60 }
+    ]
+};
+
+// Small deterministic PRNG (mulberry32)
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function loadScenario(scenario) {
+    if (Array.isArray(scenario)) return scenario;
+    if (!scenario) return SCENARIOS.idle;
+    if (SCENARIOS[scenario]) return SCENARIOS[scenario];
+    if (fs.existsSync(scenario)) return JSON.parse(fs.readFileSync(scenario, 'utf8'));
+    throw new Error(`Unknown simulator scenario "${scenario}" (built-in: ${Object.keys(SCENARIOS).join(', ')})`);
+}
+
+class PlcSimulator {
+    constructor(options = {}) {
+        this.speed = options.speed || DEFAULT_SPEED;
+        this.random = createRandom(options.seed || DEFAULT_SEED);
+        this.steps = [...loadScenario(options.scenario || process.env.PLC_SIM_SCENARIO)].sort((a, b) => a.at - b.at);
+        this.now = options.now || Date.now;
+        this.startedAt = null;
+        this.simTime = 0;       // seconds
+        this.nextStep = 0;
+        this.unitId = 1;
+        this.isOpen = false;
+
+        const levels = options.tankLevels || {};
+        this.tanks = {};
+        for (const tankKey of Object.keys(registerMap.getDieselRegisters())) {
+            this.tanks[tankKey] = { key: tankKey, litres: levels[tankKey] ?? DEFAULT_TANK_LEVEL, refill: null, drain: null, spike: null, dropoutUntil: 0 };
+        }
+        this.dgs = {};
+        for (const dgKey of registerMap.getGeneratorKeys()) {
+            this.dgs[dgKey] = { key: dgKey, running: false, load: 0, ramp: null, runningHours: 0, dropoutUntil: 0 };
+        }
+        this.allDropoutUntil = 0;
+    }
+
+    // --- modbus-serial compatible surface ---
+    async connect() {
+        this.isOpen = true;
+        this.startedAt = this.now();
+        console.log(`🧪 PLC simulator started (speed x${this.speed}, ${this.steps.length} scenario steps)`);
+    }
+    setID(id) { this.unitId = id; }
+    setTimeout() {}
+    close() { this.isOpen = false; }
+
+    async readHoldingRegisters(addr, length) {
+        if (!this.isOpen) throw new Error('Port Not Open');
+        this.advance();
+
+        const registers = this.buildRegisterImage();
+        const data = [];
+        for (let a = addr; a < addr + length; a++) {
+            data.push(registers.has(a) ? registers.get(a) : 0);
+        }
+        if (this.simTime < this.allDropoutUntil) throw new Error('Timed out');
+        return { data, buffer: Buffer.alloc(length * 2) };
+    }
+
+    // --- model ---
+    advance() {
+        const target = ((this.now() - this.startedAt) / 1000) * this.speed;
+        // Integrate in <= 10 s slices so ramps and refills stay smooth
+        while (this.simTime < target) {
+            const dt = Math.min(10, target - this.simTime);
+            this.applySteps(this.simTime);
+            this.integrate(dt);
+            this.simTime += dt;
+        }
+        this.applySteps(this.simTime);
+    }
+
+    applySteps(t) {
+        while (this.nextStep < this.steps.length && this.steps[this.nextStep].at <= t) {
+            this.applyStep(this.steps[this.nextStep++], t);
+        }
+    }
+
+    applyStep(step, t) {
+        const dg = this.dgs[step.dg];
+        const tank = this.tanks[step.tank];
+        switch (step.action) {
+            case 'start': if (dg) { dg.running = true; dg.load = step.load ?? 30; } break;
+            case 'stop': if (dg) { dg.running = false; dg.load = 0; dg.ramp = null; } break;
+            case 'load': if (dg) dg.load = step.load; break;
+            case 'ramp': if (dg) dg.ramp = { from: dg.load, to: step.load, start: t, over: step.over || 60 }; break;
+            case 'refill': if (tank) tank.refill = { remaining: step.litres, rate: step.litres / (step.over || 60) }; break;
+            case 'drain': if (tank) tank.drain = { remaining: step.litres, rate: step.litres / (step.over || 60) }; break;
+            case 'spike': if (tank) tank.spike = { delta: step.delta, value: step.value, until: t + (step.duration || 10) }; break;
+            case 'dropout':
+                if (step.all) this.allDropoutUntil = t + (step.duration || 10);
+                if (tank) tank.dropoutUntil = t + (step.duration || 10);
+                if (dg) dg.dropoutUntil = t + (step.duration || 10);
+                break;
+            default: console.warn(`🧪 Unknown simulator action "${step.action}"`);
+        }
+        console.log(`🧪 [t=${Math.round(t)}s] ${step.action} ${step.dg || step.tank || (step.all ? 'ALL' : '')}`);
+    }
+
+    integrate(dt) {
+        const t = this.simTime;
+        for (const [dgKey, dg] of Object.entries(this.dgs)) {
+            if (dg.ramp) {
+                const progress = Math.min(1, (t - dg.ramp.start) / dg.ramp.over);
+                dg.load = dg.ramp.from + (dg.ramp.to - dg.ramp.from) * progress;
+                if (progress >= 1) dg.ramp = null;
+            }
+            if (!dg.running) continue;
+            dg.runningHours += dt / 3600;
+            // Burn along the same profile curve the dashboard uses
+            const litresPerHour = fuelRateAt(getProfile(dgKey), dg.load);
+            const tank = this.tanks[dgKey];
+            if (tank) tank.litres = Math.max(0, tank.litres - litresPerHour * dt / 3600);
+        }
+        for (const tank of Object.values(this.tanks)) {
+            if (tank.refill) {
+                const added = Math.min(tank.refill.remaining, tank.refill.rate * dt);
+                tank.litres += added;
+                tank.refill.remaining -= added;
+                if (tank.refill.remaining <= 0) tank.refill = null;
+            }
+            if (tank.drain) {
+                const removed = Math.min(tank.drain.remaining, tank.drain.rate * dt, tank.litres);
+                tank.litres -= removed;
+                tank.drain.remaining -= removed;
+                if (tank.drain.remaining <= 0 || tank.litres <= 0) tank.drain = null;
+            }
+            if (tank.spike && t >= tank.spike.until) tank.spike = null;
+        }
+    }
+
+    tankReading(tank) {
+        if (this.simTime < tank.dropoutUntil) return 65535;
+        if (tank.spike && tank.spike.value !== undefined) return tank.spike.value;
+        const noise = (this.random() - 0.5) * 2 * NOISE_LITERS;
+        const litres = tank.litres + noise + (tank.spike?.delta || 0);
+        // The model is in litres; the sensor reports through the tank's strapping table
+        return Math.max(0, Math.round(toRaw(tank.key, Math.max(0, litres))));
+    }
+
+    electricalValues(dg) {
+        if (!dg.running) {
+            return { voltageR: 0, voltageY: 0, voltageB: 0, currentR: 0, currentY: 0, currentB: 0,
+                     activePower: 0, frequency: 0, powerFactor: 0, runningHours: Math.floor(dg.runningHours),
+                     rpm: 0, oilPressure: 0, coolantTemp: 30, batteryVoltage: 12.6, windingTemp: 30, fuelRackAlarm: 0 };
+        }
+        const jitter = () => 1 + (this.random() - 0.5) * 0.02;
+        const amps = getProfile(dg.key).ratedAmps * dg.load / 100;
+        const pf = 0.85;
+        return {
+            voltageR: PHASE_VOLTAGE * jitter(), voltageY: PHASE_VOLTAGE * jitter(), voltageB: PHASE_VOLTAGE * jitter(),
+            currentR: amps * jitter(), currentY: amps * jitter(), currentB: amps * jitter(),
+            activePower: Math.sqrt(3) * LINE_VOLTAGE * amps * pf / 1000,
+            frequency: 50 * jitter(),
+            powerFactor: pf,
+            runningHours: Math.floor(dg.runningHours),
+            rpm: 1500 * jitter(),
+            oilPressure: 4.2 * jitter(),
+            coolantTemp: 75 + dg.load * 0.1,
+            batteryVoltage: 13.8,
+            windingTemp: 50 + dg.load * 0.6,
+            fuelRackAlarm: 0
+        };
+    }
+
+    // Maps the model onto register addresses using the active register map
+    buildRegisterImage() {
+        const image = new Map();
+        const put = (addr, words) => words.forEach((w, i) => image.set(addr + i, w));
+        const missing = (def) => new Array(registerCount(def.type)).fill(65535);
+
+        for (const [tankKey, reg] of Object.entries(registerMap.getDieselRegisters())) {
+            const tank = this.tanks[tankKey];
+            if (!tank) continue;
+            const reading = this.tankReading(tank);
+            put(reg.primary, reading >= 65535 ? missing(reg) : encode(reading, reg));
+        }
+        for (const [dgKey, dg] of Object.entries(this.dgs)) {
+            const values = this.electricalValues(dg);
+            const dropped = this.simTime < dg.dropoutUntil;
+            for (const [param, candidates] of Object.entries(registerMap.getElectricalCandidates(dgKey))) {
+                const candidate = candidates[0];
+                const value = Math.max(0, values[param] || 0);
+                if (candidate.bit !== undefined) {
+                    // Flags share a status word with other bits
+                    const word = (image.get(candidate.addr) || 0) | encode(dropped ? 0 : value, candidate)[0];
+                    image.set(candidate.addr, word);
+                    continue;
+                }
+                put(candidate.addr, dropped ? missing(candidate) : encode(value / candidate.scaling, candidate));
+            }
+        }
+        return image;
+    }
+}
+
+module.exports = { PlcSimulator, SCENARIOS };
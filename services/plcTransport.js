@@ -0,0 +1,130 @@
+/**
+ * PLC Transport Factory
+ * plcService talks to "a transport" instead of a hardwired ModbusRTU client,
+ * so the same acquisition loop can run against:
+ *   - rtu          : the real PLC on RS-485 (default)
+ *   - rtu-over-tcp : RTU frames tunnelled through a serial-to-Ethernet gateway
+ *   - tcp          : Modbus TCP (PLC or Modbus TCP gateway)
+ *   - simulator    : services/plcSimulator.js (scripted scenarios)
+ *   - replay       : services/plcReplay.js (recorded register capture)
+ *
+ * Every transport exposes the subset of the modbus-serial API we use:
+ * connect(), setID(), setTimeout(), readHoldingRegisters(), close().
+ *
+ * Set PLC_RECORD_FILE to capture every read (any transport) for replay later.
+ */
+
+const fs = require('fs');
+const ModbusRTU = require('modbus-serial');
+const { PlcSimulator } = require('./plcSimulator');
+const { PlcReplay } = require('./plcReplay');
+
+// --- CONFIGURATION ---
+const TRANSPORT_TYPES = ['rtu', 'rtu-over-tcp', 'tcp', 'simulator', 'replay'];
+const DEFAULT_TCP_PORT = 502;
+
+/**
+ * Thin wrapper around a modbus-serial client. Only connect() differs between
+ * serial RTU, RTU-over-TCP and Modbus TCP.
+ */
+class ModbusClientTransport {
+    constructor({ type, port, settings, host, tcpPort }) {
+        this.type = type;
+        this.port = port;
+        this.settings = settings;
+        this.host = host;
+        this.tcpPort = tcpPort || DEFAULT_TCP_PORT;
+        this.client = new ModbusRTU();
+    }
+    connect() {
+        if (this.type === 'tcp') return this.client.connectTCP(this.host, { port: this.tcpPort });
+        if (this.type === 'rtu-over-tcp') return this.client.connectTcpRTUBuffered(this.host, { port: this.tcpPort });
+        return this.client.connectRTU(this.port, this.settings);
+    }
+    setID(id) { this.client.setID(id); }
+    setTimeout(ms) { this.client.setTimeout(ms); }
+    readHoldingRegisters(addr, length) { return this.client.readHoldingRegisters(addr, length); }
+    close() { this.client.close(); }
+    get isOpen() { return this.client.isOpen; }
+}
+
+/**
+ * Wraps a transport and appends every read (or failure) to a JSON-lines
+ * capture file in the format plcReplay understands.
+ */
+function withRecorder(transport, file) {
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    const read = transport.readHoldingRegisters.bind(transport);
+    const close = transport.close.bind(transport);
+
+    transport.readHoldingRegisters = async (addr, length) => {
+        try {
+            const result = await read(addr, length);
+            stream.write(JSON.stringify({ t: Date.now(), addr, data: Array.from(result.data) }) + '\n');
+            return result;
+        } catch (err) {
+            stream.write(JSON.stringify({ t: Date.now(), addr, length, error: err.message }) + '\n');
+            throw err;
+        }
+    };
+    transport.close = () => { close(); stream.end(); };
+    console.log(`⏺️ Recording PLC reads to ${file}`);
+    return transport;
+}
+
+function describeTransport(options) {
+    switch (options.type) {
+        case 'simulator': return `simulator (${options.scenario || process.env.PLC_SIM_SCENARIO || 'idle'})`;
+        case 'replay': return `replay (${options.file || process.env.PLC_REPLAY_FILE})`;
+        case 'tcp': return `Modbus TCP ${options.host}:${options.tcpPort || DEFAULT_TCP_PORT}`;
+        case 'rtu-over-tcp': return `RTU-over-TCP ${options.host}:${options.tcpPort || DEFAULT_TCP_PORT}`;
+        default: return `RTU ${options.port}`;
+    }
+}
+
+/**
+ * Turns a register-map device entry into transport options. Anything the
+ * device does not set falls back to the PLC_* environment variables, and
+ * PLC_TRANSPORT (if set) wins so a developer can point any site config at
+ * the simulator.
+ */
+function resolveDeviceOptions(device = {}) {
+    return {
+        type: process.env.PLC_TRANSPORT || device.transport || 'rtu',
+        port: device.port || process.env.PLC_PORT || '/dev/ttyUSB0',
+        host: device.host || process.env.PLC_HOST,
+        tcpPort: device.tcpPort || parseInt(process.env.PLC_TCP_PORT) || DEFAULT_TCP_PORT,
+        slaveId: device.slaveId ?? (parseInt(process.env.PLC_SLAVE_ID) || 1),
+        timeout: device.timeout || 4000,
+        settings: {
+            baudRate: device.baudRate || parseInt(process.env.PLC_BAUD_RATE) || 9600,
+            parity: device.parity || process.env.PLC_PARITY || 'none',
+            dataBits: device.dataBits || parseInt(process.env.PLC_DATA_BITS) || 8,
+            stopBits: device.stopBits || parseInt(process.env.PLC_STOP_BITS) || 1
+        },
+        scenario: device.scenario,
+        file: device.file,
+        recordFile: device.recordFile || process.env.PLC_RECORD_FILE
+    };
+}
+
+/**
+ * @param {object} options - { type, port, settings, host, tcpPort, scenario, file, speed, recordFile }
+ */
+function createTransport(options = {}) {
+    const type = options.type || 'rtu';
+    if (!TRANSPORT_TYPES.includes(type)) {
+        throw new Error(`Unknown PLC transport "${type}" (use ${TRANSPORT_TYPES.join(', ')})`);
+    }
+
+    let transport;
+    if (type === 'simulator') transport = new PlcSimulator(options);
+    else if (type === 'replay') transport = new PlcReplay(options);
+    else transport = new ModbusClientTransport({ ...options, type });
+
+    transport.description = describeTransport({ ...options, type });
+    if (options.recordFile) withRecorder(transport, options.recordFile);
+    return transport;
+}
+
+module.exports = { createTransport, resolveDeviceOptions, withRecorder, TRANSPORT_TYPES };
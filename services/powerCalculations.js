@@ -0,0 +1,71 @@
+/**
+ * Power Calculations
+ * Quantities derived from the per-phase readings, computed once per poll in
+ * the acquisition path (plcService) and stored with each ElectricalReading.
+ *
+ * - voltageR/Y/B are phase-to-neutral; line-to-line voltages assume the
+ *   phases are 120° apart (the PLC does not give us angles).
+ * - kVA is the sum of the per-phase V×I; kVAr is the magnitude left over
+ *   after kW (sign / lead-lag is not known). A mapped reactivePower register
+ *   is kept as read.
+ * - Unbalance is max deviation from the average, in % (NEMA MG-1 style, on
+ *   line-to-line voltages). It is 0 when the DG is stopped; a lost phase
+ *   shows up as a large unbalance.
+ * - Neutral current is estimated for balanced power factors:
+ *   |Ir + Iy∠-120° + Ib∠120°|.
+ */
+
+const { round } = require('./helpers');
+
+// --- CONFIGURATION ---
+const DERIVED_PARAMS = [
+    'apparentPower', 'reactivePower',
+    'voltageRY', 'voltageYB', 'voltageBR',
+    'voltageUnbalance', 'currentUnbalance', 'neutralCurrent'
+];
+const MIN_VOLTAGE = 50;   // Average line voltage below this = DG stopped, no unbalance
+const MIN_CURRENT = 1;    // A
+
+function lineVoltage(a, b) {
+    return Math.sqrt(a * a + b * b + a * b);
+}
+
+// Max deviation from the average, as % of the average
+function unbalancePct(values, minimum) {
+    const avg = values.reduce((s, v) => s + v, 0) / values.length;
+    if (avg < minimum) return 0;
+    const maxDeviation = Math.max(...values.map(v => Math.abs(v - avg)));
+    return round(maxDeviation / avg * 100);
+}
+
+/**
+ * @param {object} values - one DG's electrical values (voltageR.., currentR.., activePower)
+ * @returns {object} the DERIVED_PARAMS for that reading
+ */
+function derivePowerQuantities(values) {
+    const v = [values.voltageR, values.voltageY, values.voltageB].map(x => Math.max(0, x || 0));
+    const i = [values.currentR, values.currentY, values.currentB].map(x => Math.max(0, x || 0));
+
+    const apparentPower = (v[0] * i[0] + v[1] * i[1] + v[2] * i[2]) / 1000;
+    const activePower = Math.min(Math.max(0, values.activePower || 0), apparentPower);
+    const reactivePower = typeof values.reactivePower === 'number' && values.reactivePower !== 0
+        ? values.reactivePower
+        : Math.sqrt(apparentPower * apparentPower - activePower * activePower);
+
+    const lineVoltages = [lineVoltage(v[0], v[1]), lineVoltage(v[1], v[2]), lineVoltage(v[2], v[0])];
+
+    const neutralSquared = i[0] * i[0] + i[1] * i[1] + i[2] * i[2] - i[0] * i[1] - i[1] * i[2] - i[2] * i[0];
+
+    return {
+        apparentPower: round(apparentPower),
+        reactivePower: round(reactivePower),
+        voltageRY: round(lineVoltages[0], 1),
+        voltageYB: round(lineVoltages[1], 1),
+        voltageBR: round(lineVoltages[2], 1),
+        voltageUnbalance: unbalancePct(lineVoltages, MIN_VOLTAGE),
+        currentUnbalance: unbalancePct(i, MIN_CURRENT),
+        neutralCurrent: round(Math.sqrt(Math.max(0, neutralSquared)), 1)
+    };
+}
+
+module.exports = { DERIVED_PARAMS, derivePowerQuantities };
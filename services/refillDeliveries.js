@@ -0,0 +1,170 @@
+/**
+ * Refill Deliveries
+ * Stores every refill consumptionEngine detects (models/RefillEvent.js) and
+ * reconciles it against the delivery note the operator enters.
+ *
+ * - 'refillDetected' events (eventBus.js) for the same DG less than
+ *   MERGE_WINDOW_MS apart are one delivery - a slow pour is reported in
+ *   several pieces. The lookup is in Mongo, so this holds across a restart.
+ * - Delivery note: supplier, invoiced litres, price, vehicle and note number.
+ * - Reconciliation: invoiced - detected litres. Within the tolerance
+ *   (the larger of TOLERANCE_LITRES and TOLERANCE_PCT of the invoice) is
+ *   'ok', otherwise 'short' or 'over'; 'pending' until a note is attached.
+ *   It is redone when a later detection adds to the event.
+ */
+
+const mongoose = require('mongoose');
+const RefillEvent = require('../models/RefillEvent');
+const registerMap = require('./registerMap');
+const { badRequest, parseDay, round2 } = require('./helpers');
+
+// --- CONFIGURATION ---
+const MERGE_WINDOW_MS = 30 * 60 * 1000;
+const TOLERANCE_LITRES = parseFloat(process.env.REFILL_TOLERANCE_LITRES) || 5;
+const TOLERANCE_PCT = parseFloat(process.env.REFILL_TOLERANCE_PCT) || 2;
+const STATUSES = ['pending', 'ok', 'short', 'over'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RESULTS = 500;
+
+// --- STATE ---
+const saving = {};        // dgKey -> promise of the last write (detections are merged in order)
+
+/** Reconciliation of detected litres against a delivery note (null = none yet) */
+function reconcile(detectedLitres, delivery) {
+    if (!delivery) return { status: 'pending', differenceLitres: null, differencePct: null, toleranceLitres: null };
+    const invoiced = delivery.invoicedLitres;
+    const toleranceLitres = round2(Math.max(TOLERANCE_LITRES, invoiced * TOLERANCE_PCT / 100));
+    const differenceLitres = round2(invoiced - detectedLitres);
+    let status = 'ok';
+    if (differenceLitres > toleranceLitres) status = 'short';
+    else if (-differenceLitres > toleranceLitres) status = 'over';
+    return {
+        status,
+        differenceLitres,
+        differencePct: invoiced > 0 ? round2(differenceLitres / invoiced * 100) : null,
+        toleranceLitres
+    };
+}
+
+function logShort(event) {
+    if (event.reconciliation.status !== 'short') return;
+    console.warn(`⚠️ SHORT DELIVERY ${event.dg.toUpperCase()}: invoiced ${event.delivery.invoicedLitres} L, detected ${event.litres} L (${event.reconciliation.differenceLitres} L short)`);
+}
+
+async function mergeDetection(dg, litres, level, at) {
+    const existing = await RefillEvent.findOne({ dg, lastDetectedAt: { $gte: new Date(at.getTime() - MERGE_WINDOW_MS) } })
+        .sort({ detectedAt: -1 });
+
+    if (!existing) {
+        const event = await RefillEvent.create({
+            dg,
+            detectedAt: at,
+            lastDetectedAt: at,
+            litres: round2(litres),
+            levelBefore: typeof level === 'number' ? round2(level - litres) : null,
+            levelAfter: typeof level === 'number' ? level : null
+        });
+        console.log(`⛽ ${dg.toUpperCase()} refill recorded: +${event.litres} L`);
+        return event;
+    }
+
+    existing.litres = round2(existing.litres + litres);
+    existing.lastDetectedAt = at;
+    if (typeof level === 'number') existing.levelAfter = level;
+    if (existing.delivery) {
+        existing.reconciliation = reconcile(existing.litres, existing.delivery);
+        logShort(existing);
+    }
+    return existing.save();
+}
+
+/** eventBus 'refillDetected' subscriber */
+function processRefill({ timestamp, data }) {
+    if (mongoose.connection.readyState !== 1 || !(data.litres > 0)) return;
+    const at = new Date(timestamp);
+    saving[data.dg] = (saving[data.dg] || Promise.resolve())
+        .then(() => mergeDetection(data.dg, data.litres, data.level, at))
+        .catch(err => console.error(`❌ Refill event save failed (${data.dg}):`, err.message));
+    return saving[data.dg];
+}
+
+/**
+ * Refills detected in [from, to] (default the last DEFAULT_RANGE_DAYS days),
+ * newest first, optionally for one DG / reconciliation status.
+ */
+async function listRefills({ dg, from, to, status } = {}) {
+    if (dg && !registerMap.getGeneratorKeys().includes(dg)) throw badRequest(`${dg} is not a generator in the register map`);
+    if (status && !STATUSES.includes(status)) throw badRequest(`status must be one of ${STATUSES.join(', ')}`);
+    const end = to ? parseDay(to, true, 'to') : new Date();
+    const start = from ? parseDay(from, false, 'from') : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 86400000);
+    if (start > end) throw badRequest('from must be before to');
+
+    const query = { detectedAt: { $gte: start, $lte: end } };
+    if (dg) query.dg = dg;
+    if (status) query['reconciliation.status'] = status;
+    const refills = await RefillEvent.find(query).sort({ detectedAt: -1 }).limit(MAX_RESULTS).lean();
+
+    const invoiced = refills.filter(r => r.delivery);
+    return {
+        from: start,
+        to: end,
+        refills,
+        totals: {
+            count: refills.length,
+            detectedLitres: round2(refills.reduce((s, r) => s + r.litres, 0)),
+            invoicedLitres: round2(invoiced.reduce((s, r) => s + r.delivery.invoicedLitres, 0)),
+            pending: refills.length - invoiced.length,
+            short: refills.filter(r => r.reconciliation?.status === 'short').length,
+            shortLitres: round2(refills
+                .filter(r => r.reconciliation?.status === 'short')
+                .reduce((s, r) => s + r.reconciliation.differenceLitres, 0))
+        },
+        tolerance: { litres: TOLERANCE_LITRES, pct: TOLERANCE_PCT }
+    };
+}
+
+function optionalText(value, name) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string') throw badRequest(`${name} must be text`);
+    return value.trim();
+}
+
+/**
+ * Attaches (or replaces) the delivery note of a refill and reconciles it.
+ * @returns the updated event, or null if there is no such event
+ */
+async function attachDelivery(id, { supplier, invoicedLitres, pricePerLitre, vehicleNumber, noteNumber, enteredBy } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    invoicedLitres = Number(invoicedLitres);
+    if (!isFinite(invoicedLitres) || invoicedLitres <= 0) throw badRequest('invoicedLitres must be a number of litres above 0');
+    let price = null;
+    if (pricePerLitre !== undefined && pricePerLitre !== null && pricePerLitre !== '') {
+        price = Number(pricePerLitre);
+        if (!isFinite(price) || price < 0) throw badRequest('pricePerLitre must be a number (0 or more)');
+    }
+
+    const delivery = {
+        supplier: optionalText(supplier, 'supplier'),
+        invoicedLitres,
+        pricePerLitre: price,
+        vehicleNumber: optionalText(vehicleNumber, 'vehicleNumber').toUpperCase(),
+        noteNumber: optionalText(noteNumber, 'noteNumber'),
+        enteredBy: optionalText(enteredBy, 'enteredBy'),
+        enteredAt: new Date()
+    };
+
+    const event = await RefillEvent.findById(id);
+    if (!event) return null;
+    event.delivery = delivery;
+    event.reconciliation = reconcile(event.litres, delivery);
+    await event.save();
+    logShort(event);
+    return event;
+}
+
+module.exports = {
+    processRefill,
+    listRefills,
+    attachDelivery,
+    reconcile
+};
@@ -0,0 +1,81 @@
+/**
+ * refillDeliveries.js - reconciling detected litres against the delivery
+ * note on the default tolerance (5 L or 2% of the invoice), and merging the
+ * pieces of a slow pour, against an in-memory RefillEvent collection.
+ */
+
+jest.mock('../models/RefillEvent', () => {
+    const docs = [];
+    const withSave = (doc) => Object.assign(doc, { save: async () => doc });
+    return {
+        docs,
+        findOne: jest.fn(({ dg, lastDetectedAt }) => ({
+            sort: async () => docs.filter(d => d.dg === dg && d.lastDetectedAt >= lastDetectedAt.$gte).pop() || null
+        })),
+        create: jest.fn(async fields => {
+            const doc = withSave({ ...fields });
+            docs.push(doc);
+            return doc;
+        })
+    };
+});
+
+const mongoose = require('mongoose');
+const RefillEvent = require('../models/RefillEvent');
+const refillDeliveries = require('./refillDeliveries');
+
+const T0 = Date.parse('2026-01-01T10:00:00Z');
+const MIN = 60000;
+
+describe('reconcile', () => {
+    test('pending until a delivery note is attached', () => {
+        expect(refillDeliveries.reconcile(500, null)).toEqual({ status: 'pending', differenceLitres: null, differencePct: null, toleranceLitres: null });
+    });
+
+    test('within the larger of 5 L and 2% of the invoice is ok', () => {
+        expect(refillDeliveries.reconcile(995, { invoicedLitres: 1000 })).toEqual({ status: 'ok', differenceLitres: 5, differencePct: 0.5, toleranceLitres: 20 });
+        expect(refillDeliveries.reconcile(980, { invoicedLitres: 1000 }).status).toBe('ok');
+        expect(refillDeliveries.reconcile(95, { invoicedLitres: 100 })).toMatchObject({ status: 'ok', toleranceLitres: 5 });
+    });
+
+    test('less fuel than invoiced beyond the tolerance is short, more is over', () => {
+        expect(refillDeliveries.reconcile(979, { invoicedLitres: 1000 })).toEqual({ status: 'short', differenceLitres: 21, differencePct: 2.1, toleranceLitres: 20 });
+        expect(refillDeliveries.reconcile(94, { invoicedLitres: 100 })).toMatchObject({ status: 'short', differenceLitres: 6 });
+        expect(refillDeliveries.reconcile(1021, { invoicedLitres: 1000 })).toMatchObject({ status: 'over', differenceLitres: -21 });
+    });
+});
+
+describe('processRefill', () => {
+    beforeAll(() => {
+        Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        delete mongoose.connection.readyState;
+        jest.restoreAllMocks();
+    });
+
+    const detect = (minute, litres, level) => refillDeliveries.processRefill({ timestamp: new Date(T0 + minute * MIN), data: { dg: 'dg1', litres, level } });
+
+    test('pieces of one pour are merged and reconciled again; a delivery still short is flagged', async () => {
+        await detect(0, 300, 400);
+        const [event] = RefillEvent.docs;
+        event.delivery = { invoicedLitres: 500 };
+
+        await detect(20, 100, 500);
+        expect(RefillEvent.docs).toHaveLength(1);
+        expect(event).toMatchObject({ litres: 400, levelBefore: 100, levelAfter: 500, reconciliation: { status: 'short', differenceLitres: 100 } });
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('SHORT DELIVERY DG1'));
+
+        console.warn.mockClear();
+        await detect(30, 95, 595);
+        expect(event.reconciliation).toMatchObject({ status: 'ok', differenceLitres: 5 });
+        expect(console.warn).not.toHaveBeenCalled();
+
+        // Outside MERGE_WINDOW_MS it is another delivery
+        await detect(61, 50, 645);
+        expect(RefillEvent.docs).toHaveLength(2);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Register Codec
+ * Decodes (and, for the simulator, encodes) values that span one or two
+ * Modbus holding registers.
+ *
+ * Controllers disagree on how 32-bit values are laid out on the wire:
+ *   wordOrder  'big'    - high word first (ABCD, the Modbus default)
+ *              'little' - low word first  (CDAB, "word swap")
+ *   byteOrder  'big'    - bytes as sent (default)
+ *              'little' - bytes swapped inside each register (BADC / DCBA)
+ *
+ * Energy totalisers and running-hour counters are usually uint32/float32;
+ * reading them as a single uint16 wraps at 65535.
+ *
+ * A 16-bit definition may also name a `bit` (0-15) to read one flag out of a
+ * status/alarm word; the decoded value is then 0 or 1.
+ */
+
+// --- CONFIGURATION ---
+const REGISTER_COUNT = { uint16: 1, int16: 1, uint32: 2, int32: 2, float32: 2 };
+const DATA_TYPES = Object.keys(REGISTER_COUNT);
+const ORDERS = ['big', 'little'];
+
+function registerCount(type = 'uint16') {
+    return REGISTER_COUNT[type] || 1;
+}
+
+const swapBytes = (w) => ((w & 0xff) << 8) | ((w >> 8) & 0xff);
+
+// Wire order -> big-endian bytes (and back: both steps are their own inverse)
+function reorder(words, { wordOrder = 'big', byteOrder = 'big' } = {}) {
+    let ordered = byteOrder === 'little' ? words.map(swapBytes) : [...words];
+    if (wordOrder === 'little') ordered.reverse();
+    return ordered;
+}
+
+/**
+ * @param {number[]} words - registers starting at the definition's address
+ * @param {object} def - { type, wordOrder, byteOrder }
+ * @returns {number|undefined} undefined when not enough registers were supplied
+ */
+function decode(words, def = {}) {
+    const type = def.type || 'uint16';
+    const count = registerCount(type);
+    if (!words || words.length < count) return undefined;
+    const used = words.slice(0, count);
+    if (used.some(w => typeof w !== 'number')) return undefined;
+
+    const buf = Buffer.alloc(count * 2);
+    reorder(used, def).forEach((w, i) => buf.writeUInt16BE(w & 0xffff, i * 2));
+    if (def.bit !== undefined) return (buf.readUInt16BE(0) >> def.bit) & 1;
+    switch (type) {
+        case 'int16': return buf.readInt16BE(0);
+        case 'uint32': return buf.readUInt32BE(0);
+        case 'int32': return buf.readInt32BE(0);
+        case 'float32': return buf.readFloatBE(0);
+        default: return buf.readUInt16BE(0);
+    }
+}
+
+/**
+ * Inverse of decode(): turns an engineering value (already divided by its
+ * scaling) into wire-order registers. Integer types are rounded and clamped.
+ */
+function encode(value, def = {}) {
+    const type = def.type || 'uint16';
+    const count = registerCount(type);
+    if (def.bit !== undefined) return reorder([value ? (1 << def.bit) : 0], def);
+    const buf = Buffer.alloc(count * 2);
+    const int = (min, max) => Math.max(min, Math.min(max, Math.round(value)));
+    switch (type) {
+        case 'int16': buf.writeInt16BE(int(-32768, 32767)); break;
+        case 'uint32': buf.writeUInt32BE(int(0, 0xffffffff)); break;
+        case 'int32': buf.writeInt32BE(int(-0x80000000, 0x7fffffff)); break;
+        case 'float32': buf.writeFloatBE(value); break;
+        default: buf.writeUInt16BE(int(0, 65535));
+    }
+    const words = [];
+    for (let i = 0; i < count; i++) words.push(buf.readUInt16BE(i * 2));
+    return reorder(words, def);
+}
+
+/**
+ * The PLC's "no data" markers: 65535/65534 on a 16-bit register, all
+ * registers 0xFFFF on a 32-bit value.
+ */
+function isMissing(words, def = {}) {
+    const count = registerCount(def.type);
+    const used = (words || []).slice(0, count);
+    if (used.length < count) return true;
+    if (count === 1) return used[0] === 65535 || used[0] === 65534;
+    return used.every(w => w === 0xffff);
+}
+
+module.exports = { DATA_TYPES, ORDERS, registerCount, decode, encode, isMissing };
@@ -0,0 +1,248 @@
+/**
+ * Register Map Service
+ * Loads the PLC register map (devices, diesel tanks + electrical parameters)
+ * from config/registerMap.json instead of hardcoding it in plcService.
+ *
+ * - Every entry is validated before it is accepted.
+ * - reloadRegisterMap() swaps the map at runtime. If the new file is invalid
+ *   the previous map stays active, so a typo never stops the poller.
+ * - The Modbus connection is not touched; the loop picks up the new map on
+ *   its next cycle. Device (transport) changes apply on the next reconnect.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_TYPES, ORDERS } = require('./registerCodec');
+
+// --- CONFIGURATION ---
+const MAP_PATH = process.env.REGISTER_MAP_PATH || path.join(__dirname, '../config/registerMap.json');
+const TRANSPORTS = ['rtu', 'rtu-over-tcp', 'tcp', 'simulator', 'replay'];
+const DEFAULT_DEVICE = 'plc1';
+const DEFAULT_SCALING = 0.1;
+
+// Candidate register: address + scaling (+ data type, 32-bit word/byte order, alarm bit)
+const C = (addr, scaling = DEFAULT_SCALING, type = 'uint16', { wordOrder = 'big', byteOrder = 'big' } = {}, bit) => {
+    const candidate = { addr, scaling, type, wordOrder, byteOrder };
+    if (bit !== undefined) candidate.bit = bit;
+    return candidate;
+};
+
+// --- STATE ---
+let activeMap = null;
+
+function checkAddress(addr, where) {
+    if (!Number.isInteger(addr) || addr < 0 || addr > 65535) {
+        throw new Error(`${where}: address must be an integer 0-65535 (got ${JSON.stringify(addr)})`);
+    }
+    return addr;
+}
+
+function checkType(type, where) {
+    if (!DATA_TYPES.includes(type)) {
+        throw new Error(`${where}: unsupported data type "${type}" (use ${DATA_TYPES.join(', ')})`);
+    }
+    return type;
+}
+
+function checkOrders(entry, where) {
+    const orders = {};
+    for (const key of ['wordOrder', 'byteOrder']) {
+        const value = entry[key] || 'big';
+        if (!ORDERS.includes(value)) {
+            throw new Error(`${where}.${key}: must be ${ORDERS.join(' or ')} (got ${JSON.stringify(entry[key])})`);
+        }
+        orders[key] = value;
+    }
+    return orders;
+}
+
+function checkBit(entry, where) {
+    if (entry.bit === undefined) return undefined;
+    if (!Number.isInteger(entry.bit) || entry.bit < 0 || entry.bit > 15) {
+        throw new Error(`${where}.bit: must be an integer 0-15`);
+    }
+    if ((entry.type || 'uint16') !== 'uint16') throw new Error(`${where}.bit: only valid on uint16 registers`);
+    return entry.bit;
+}
+
+// Accepts the shorthand `4728` or the full `{ addr, scaling, type, wordOrder, byteOrder, bit }` form
+function parseCandidate(entry, where) {
+    if (typeof entry === 'number') return C(checkAddress(entry, where));
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${where}: candidate must be an address or { addr, scaling, type, wordOrder, byteOrder, bit }`);
+    }
+    const bit = checkBit(entry, where);
+    // Flags are 0/1, so a bit candidate is unscaled unless stated otherwise
+    const scaling = entry.scaling ?? (bit !== undefined ? 1 : DEFAULT_SCALING);
+    if (typeof scaling !== 'number' || !isFinite(scaling) || scaling === 0) {
+        throw new Error(`${where}: scaling must be a non-zero number`);
+    }
+    return C(checkAddress(entry.addr, where), scaling, checkType(entry.type || 'uint16', where), checkOrders(entry, where), bit);
+}
+
+// Connection settings for one PLC. Omitted values fall back to the PLC_* env vars.
+function parseDevice(deviceId, entry) {
+    const where = `devices.${deviceId}`;
+    if (!entry || typeof entry !== 'object') throw new Error(`${where}: must be an object`);
+
+    const transport = entry.transport || 'rtu';
+    if (!TRANSPORTS.includes(transport)) {
+        throw new Error(`${where}.transport: unsupported transport "${transport}" (use ${TRANSPORTS.join(', ')})`);
+    }
+    if ((transport === 'tcp' || transport === 'rtu-over-tcp') && !entry.host) {
+        throw new Error(`${where}.host: required for ${transport} transport`);
+    }
+    if (entry.tcpPort !== undefined && (!Number.isInteger(entry.tcpPort) || entry.tcpPort < 1 || entry.tcpPort > 65535)) {
+        throw new Error(`${where}.tcpPort: must be an integer 1-65535`);
+    }
+    if (entry.slaveId !== undefined && (!Number.isInteger(entry.slaveId) || entry.slaveId < 0 || entry.slaveId > 247)) {
+        throw new Error(`${where}.slaveId: must be an integer 0-247`);
+    }
+    return { ...entry, id: deviceId, name: entry.name || deviceId, transport };
+}
+
+function parseDieselEntry(dgKey, entry) {
+    const where = `diesel.${dgKey}`;
+    if (!entry || typeof entry !== 'object') throw new Error(`${where}: must be an object`);
+
+    const fallback = entry.fallback || [];
+    if (!Array.isArray(fallback)) throw new Error(`${where}.fallback: must be an array`);
+
+    const parsed = {
+        name: entry.name || dgKey.toUpperCase(),
+        primary: checkAddress(entry.primary, `${where}.primary`),
+        fallback: fallback.map((addr, i) => checkAddress(addr, `${where}.fallback[${i}]`)),
+        type: checkType(entry.type || 'int16', where),
+        ...checkOrders(entry, where)
+    };
+    if (entry.hardcodedLevel !== undefined) {
+        // Legacy: never read as the level (it never expired and was not flagged
+        // anywhere) - sensorOverrides.migrateHardcodedLevels() turns it into an override
+        if (typeof entry.hardcodedLevel !== 'number' || entry.hardcodedLevel < 0) {
+            throw new Error(`${where}.hardcodedLevel: must be a positive number`);
+        }
+        parsed.hardcodedLevel = entry.hardcodedLevel;
+    }
+    return parsed;
+}
+
+function parseElectricalEntry(dgKey, entry) {
+    const where = `electrical.${dgKey}`;
+    if (!entry || typeof entry !== 'object' || !entry.params || typeof entry.params !== 'object') {
+        throw new Error(`${where}: must be an object with a "params" map`);
+    }
+
+    const params = {};
+    for (const [param, candidates] of Object.entries(entry.params)) {
+        if (!Array.isArray(candidates) || candidates.length === 0) {
+            throw new Error(`${where}.params.${param}: must be a non-empty array of candidates`);
+        }
+        params[param] = candidates.map((c, i) => parseCandidate(c, `${where}.params.${param}[${i}]`));
+    }
+    return { name: entry.name || dgKey.toUpperCase().replace('DG', 'DG-'), params };
+}
+
+/**
+ * Validates a raw (parsed JSON) register map and returns the normalised form.
+ * Throws an Error describing the first problem found.
+ */
+function buildRegisterMap(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Register map must be a JSON object');
+    if (!raw.diesel || typeof raw.diesel !== 'object') throw new Error('Register map is missing "diesel"');
+    if (!raw.electrical || typeof raw.electrical !== 'object') throw new Error('Register map is missing "electrical"');
+
+    // Maps written before "devices" existed get a single env-configured PLC
+    const devices = {};
+    for (const [deviceId, entry] of Object.entries(raw.devices || { [DEFAULT_DEVICE]: {} })) {
+        devices[deviceId] = parseDevice(deviceId, entry);
+    }
+    if (Object.keys(devices).length === 0) throw new Error('Register map must define at least one device');
+
+    // Every tank / DG is polled through a device; default is the first one
+    const defaultDevice = Object.keys(devices)[0];
+    const assignDevice = (parsed, entry, where) => {
+        const device = entry.device || defaultDevice;
+        if (!devices[device]) throw new Error(`${where}.device: unknown device "${device}"`);
+        parsed.device = device;
+        return parsed;
+    };
+
+    const diesel = {};
+    for (const [dgKey, entry] of Object.entries(raw.diesel)) {
+        diesel[dgKey] = assignDevice(parseDieselEntry(dgKey, entry), entry, `diesel.${dgKey}`);
+    }
+
+    const electrical = {};
+    for (const [dgKey, entry] of Object.entries(raw.electrical)) {
+        electrical[dgKey] = assignDevice(parseElectricalEntry(dgKey, entry), entry, `electrical.${dgKey}`);
+    }
+
+    return { version: raw.version || 1, devices, diesel, electrical };
+}
+
+function loadRegisterMap(filePath = MAP_PATH) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    let raw;
+    try { raw = JSON.parse(text); }
+    catch (err) { throw new Error(`Register map is not valid JSON: ${err.message}`); }
+
+    const map = buildRegisterMap(raw);
+    map.source = filePath;
+    map.loadedAt = new Date().toISOString();
+    activeMap = map;
+    return map;
+}
+
+/**
+ * Re-reads the map file. On failure the previous map stays active and the
+ * error is re-thrown so the caller can report it.
+ */
+function reloadRegisterMap(filePath = MAP_PATH) {
+    const previous = activeMap;
+    try {
+        const map = loadRegisterMap(filePath);
+        console.log(`🗺️ Register map reloaded (v${map.version}, ${Object.keys(map.electrical).length} DGs, ${Object.keys(map.diesel).length} tanks)`);
+        return map;
+    } catch (err) {
+        activeMap = previous;
+        console.error('❌ Register map reload failed, keeping previous map:', err.message);
+        throw err;
+    }
+}
+
+function getRegisterMap() {
+    if (!activeMap) loadRegisterMap();
+    return activeMap;
+}
+
+function getDevices() { return getRegisterMap().devices; }
+function getDieselRegisters() { return getRegisterMap().diesel; }
+function getElectricalCandidates(dgKey) { return getRegisterMap().electrical[dgKey]?.params || {}; }
+function getGeneratorDevice(dgKey) { return getRegisterMap().electrical[dgKey]?.device; }
+function getGeneratorKeys() { return Object.keys(getRegisterMap().electrical); }
+/** { tankKey: litres } of the legacy hardcodedLevel entries still in the map */
+function getHardcodedLevels() {
+    const levels = {};
+    for (const [tankKey, entry] of Object.entries(getDieselRegisters())) {
+        if (entry.hardcodedLevel !== undefined) levels[tankKey] = entry.hardcodedLevel;
+    }
+    return levels;
+}
+function getGeneratorName(dgKey) {
+    return getRegisterMap().electrical[dgKey]?.name || dgKey.toUpperCase().replace('DG', 'DG-');
+}
+
+module.exports = {
+    C,
+    buildRegisterMap,
+    loadRegisterMap,
+    reloadRegisterMap,
+    getRegisterMap,
+    getDevices,
+    getDieselRegisters,
+    getElectricalCandidates,
+    getGeneratorKeys,
+    getGeneratorDevice,
+    getGeneratorName,
+    getHardcodedLevels
+};
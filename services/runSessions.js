@@ -0,0 +1,334 @@
+/**
+ * Run Sessions
+ * One models/RunSession.js record per generator run, for every DG in the
+ * register map, built from the live 'reading' events (eventBus.js).
+ *
+ * - A run opens when consumptionEngine.isRunning() turns true and closes on
+ *   the first reading where it is false.
+ * - Fuel: the level of the tank supplying the DG (topology.js) goes through a
+ *   consumptionEngine tracker, so a run's consumption matches the reports;
+ *   with several DGs running off one tank each run gets its share by kW.
+ *   Refills during the run are kept apart. Overridden levels are skipped.
+ *   Null for a DG without a sensed tank.
+ * - Estimate: the live load-based fuelRate (generatorProfiles.js) averaged
+ *   over the run, next to the tank figure, with the tank readings that were
+ *   trustworthy (sensorHealth.js) - fuelCurveService.js compares and learns
+ *   from them.
+ * - Energy: difference of the energy totaliser (energyTotaliser.js), else
+ *   integrated kW. Load: peak and time-weighted average kW and % of rating;
+ *   gaps longer than MAX_GAP_MS (PLC offline) are not averaged in.
+ * - Open runs are saved every PERSIST_INTERVAL_MS. After a restart they are
+ *   resumed if the DG is still running, else closed at the last time the DG
+ *   was seen running.
+ */
+
+const mongoose = require('mongoose');
+const RunSession = require('../models/RunSession');
+const consumptionEngine = require('./consumptionEngine');
+const registerMap = require('./registerMap');
+const topology = require('./topology');
+const sensorHealth = require('./sensorHealth');
+const { badRequest, parseDay, round2 } = require('./helpers');
+
+// --- CONFIGURATION ---
+const PERSIST_INTERVAL_MS = 60 * 1000;
+const MAX_GAP_MS = 60 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RESULTS = 500;
+
+// --- STATE ---
+const runs = {};          // dgKey -> open run (see newRun)
+const tankTrackers = {};  // sensed tank -> engine tracker, while a DG it supplies has an open run
+let lastPersist = 0;
+
+function newRun(dgKey, startedAt) {
+    return {
+        id: new mongoose.Types.ObjectId(),
+        dg: dgKey,
+        startedAt: new Date(startedAt),
+        lastSeenAt: new Date(startedAt),
+        startLevel: null,
+        endLevel: null,
+        fuelConsumed: null,
+        refilled: 0,
+        tankReadings: 0,
+        trustedTankReadings: 0,
+        tankShared: false,
+        kWhStart: null,
+        kWhEnd: null,
+        peakKW: 0,
+        peakLoadPct: 0,
+        kwSeconds: 0,
+        loadPctSeconds: 0,
+        fuelRateSeconds: 0,
+        integratedS: 0,
+        lastAt: null,
+        lastKW: null,
+        lastLoadPct: null,
+        lastFuelRate: null,
+        resumed: false,
+        pendingResume: false,
+        saving: null
+    };
+}
+
+/** The stored/reported form of a run */
+function toRecord(run, status, endedAt) {
+    const end = endedAt || run.lastSeenAt;
+    const durationS = Math.max(0, Math.round((end - run.startedAt) / 1000));
+    const energyKWh = run.kWhStart !== null && run.kWhEnd !== null
+        ? run.kWhEnd - run.kWhStart
+        : run.kwSeconds / 3600;
+    const estimatedFuelRate = run.integratedS > 0 ? run.fuelRateSeconds / run.integratedS : null;
+    const estimatedFuel = estimatedFuelRate === null ? null : estimatedFuelRate * durationS / 3600;
+    return {
+        _id: run.id,
+        dg: run.dg,
+        status,
+        startedAt: run.startedAt,
+        endedAt: status === 'closed' ? end : undefined,
+        lastSeenAt: run.lastSeenAt,
+        durationS,
+        startLevel: run.startLevel,
+        endLevel: run.endLevel,
+        fuelConsumed: run.fuelConsumed === null ? null : round2(run.fuelConsumed),
+        refilled: round2(run.refilled),
+        fuelRate: run.fuelConsumed !== null && durationS > 0 ? round2(run.fuelConsumed / (durationS / 3600)) : null,
+        estimatedFuel: estimatedFuel === null ? null : round2(estimatedFuel),
+        estimatedFuelRate: estimatedFuelRate === null ? null : round2(estimatedFuelRate),
+        fuelDeviationPct: run.fuelConsumed !== null && estimatedFuel > 0 ? round2((run.fuelConsumed - estimatedFuel) / estimatedFuel * 100) : null,
+        tankReadings: run.tankReadings,
+        trustedTankReadings: run.trustedTankReadings,
+        tankQualityPct: run.tankReadings > 0 ? round2(run.trustedTankReadings / run.tankReadings * 100) : null,
+        tankShared: run.tankShared,
+        kWhStart: run.kWhStart,
+        kWhEnd: run.kWhEnd,
+        energyKWh: round2(energyKWh),
+        peakKW: round2(run.peakKW),
+        avgKW: run.integratedS > 0 ? round2(run.kwSeconds / run.integratedS) : 0,
+        peakLoadPct: round2(run.peakLoadPct),
+        avgLoadPct: run.integratedS > 0 ? round2(run.loadPctSeconds / run.integratedS) : 0,
+        integratedS: round2(run.integratedS),
+        resumed: run.resumed
+    };
+}
+
+function saveRun(run, status, endedAt) {
+    if (mongoose.connection.readyState !== 1) return Promise.resolve();
+    const { _id, ...fields } = toRecord(run, status, endedAt);
+    const update = { $set: fields };
+    if (fields.endedAt === undefined) { delete fields.endedAt; update.$unset = { endedAt: 1 }; }
+    // Chained so a quick start/stop can't land the 'open' write after the 'closed' one
+    run.saving = (run.saving || Promise.resolve())
+        .then(() => RunSession.updateOne({ _id }, update, { upsert: true }))
+        .catch(err => console.error(`❌ Run session save failed (${run.dg}):`, err.message));
+    return run.saving;
+}
+
+// One engine step per tank with open runs; each run takes its DG's share
+function stepTanks(activeRuns, systemData, sensorLevels, at) {
+    for (const tankKey of topology.getSensedTanks()) {
+        const dgKeys = topology.getSuppliedDgs(tankKey).filter(dgKey => activeRuns[dgKey]);
+        if (!dgKeys.length) {
+            delete tankTrackers[tankKey];
+            continue;
+        }
+        if (dgKeys.length > 1) dgKeys.forEach(dgKey => { activeRuns[dgKey].tankShared = true; });
+        const override = systemData.tanks?.[tankKey]?.override;
+        if (override) {
+            // Not a measurement - counts against the run's tank quality
+            dgKeys.forEach(dgKey => { activeRuns[dgKey].tankReadings++; });
+            if (tankTrackers[tankKey]) consumptionEngine.step(tankTrackers[tankKey], { timestamp: at, override });
+            continue;
+        }
+        const level = sensorLevels[tankKey];
+        if (typeof level !== 'number') continue;
+        if (!tankTrackers[tankKey]) tankTrackers[tankKey] = consumptionEngine.createTracker();
+
+        // The whole run burns fuel - including the reading that shows it stopped
+        const loads = Object.fromEntries(dgKeys.map(dgKey => [dgKey, systemData.electrical[dgKey]?.activePower || 0]));
+        const point = consumptionEngine.step(tankTrackers[tankKey], { timestamp: at, level, running: true, loads });
+        const trusted = point.status !== 'invalid' && sensorHealth.getCurrent(tankKey)?.trustworthy !== false;
+        for (const dgKey of dgKeys) {
+            activeRuns[dgKey].tankReadings++;
+            if (trusted) activeRuns[dgKey].trustedTankReadings++;
+        }
+        if (point.status === 'invalid') continue;
+        for (const dgKey of dgKeys) {
+            const run = activeRuns[dgKey];
+            if (run.startLevel === null) run.startLevel = level;
+            run.fuelConsumed = (run.fuelConsumed || 0) + (point.byDg[dgKey] || 0);
+            run.refilled += point.refill;
+            run.endLevel = level;
+        }
+    }
+}
+
+function updateLoad(run, values, now) {
+    const kW = values.activePower || 0;
+    const loadPct = values.loadPct || 0;
+    const fuelRate = values.fuelRate || 0;
+    run.peakKW = Math.max(run.peakKW, kW);
+    run.peakLoadPct = Math.max(run.peakLoadPct, loadPct);
+
+    if (run.lastAt !== null && now - run.lastAt <= MAX_GAP_MS) {
+        const seconds = (now - run.lastAt) / 1000;
+        run.kwSeconds += seconds * (run.lastKW + kW) / 2;
+        run.loadPctSeconds += seconds * (run.lastLoadPct + loadPct) / 2;
+        run.fuelRateSeconds += seconds * (run.lastFuelRate + fuelRate) / 2;
+        run.integratedS += seconds;
+    }
+    run.lastAt = now;
+    run.lastKW = kW;
+    run.lastLoadPct = loadPct;
+    run.lastFuelRate = fuelRate;
+
+    if (typeof values.energyMeter === 'number') {
+        if (run.kWhStart === null) run.kWhStart = values.energyMeter;
+        run.kWhEnd = values.energyMeter;
+    }
+}
+
+function closeRun(run, endedAt) {
+    delete runs[run.dg];
+    const record = toRecord(run, 'closed', endedAt);
+    const fuel = record.fuelConsumed === null ? '' : `, ${record.fuelConsumed} L`;
+    console.log(`🏁 ${run.dg.toUpperCase()} run closed: ${(record.durationS / 3600).toFixed(2)} h${fuel}, ${record.energyKWh} kWh`);
+    return saveRun(run, 'closed', endedAt);
+}
+
+/** eventBus 'reading' subscriber: opens, updates and closes runs */
+function processReading({ timestamp, data }) {
+    const now = new Date(timestamp).getTime();
+    const systemData = data.systemData;
+    const activeRuns = {};    // Runs this reading belongs to, including the ones it ends
+    const stopped = [];
+
+    for (const [dgKey, values] of Object.entries(systemData.electrical || {})) {
+        if (!values) continue;
+        const running = consumptionEngine.isRunning(values);
+        let run = runs[dgKey];
+
+        if (run && run.pendingResume) {
+            run.pendingResume = false;
+            if (!running) {
+                // Stopped while the server was down - it ran until we last saw it
+                closeRun(run, run.lastSeenAt);
+                continue;
+            }
+            console.log(`🔁 ${dgKey.toUpperCase()} run resumed (started ${run.startedAt.toISOString()})`);
+        }
+
+        if (running && !run) {
+            run = runs[dgKey] = newRun(dgKey, now);
+            console.log(`▶️ ${dgKey.toUpperCase()} run started`);
+            saveRun(run, 'open');
+        }
+        if (!run) continue;
+
+        updateLoad(run, values, now);
+        activeRuns[dgKey] = run;
+        if (running) run.lastSeenAt = new Date(now);
+        else stopped.push(run);
+    }
+
+    stepTanks(activeRuns, systemData, data.sensorLevels || {}, new Date(now));
+    for (const run of stopped) closeRun(run, new Date(now));
+
+    if (now - lastPersist >= PERSIST_INTERVAL_MS) {
+        lastPersist = now;
+        persistOpenRuns();
+    }
+}
+
+function persistOpenRuns() {
+    return Promise.all(Object.values(runs).map(run => saveRun(run, 'open')));
+}
+
+/**
+ * Loads runs left open by the previous process. Each is resumed or closed on
+ * the first reading for its DG. Call after Mongo connects, before polling.
+ */
+async function loadOpenRuns() {
+    if (mongoose.connection.readyState !== 1) return;
+    const docs = await RunSession.find({ status: 'open' }).sort({ startedAt: 1 }).lean();
+
+    for (const doc of docs) {
+        const run = newRun(doc.dg, doc.startedAt);
+        const integratedS = doc.integratedS ?? doc.durationS ?? 0;
+        Object.assign(run, {
+            id: doc._id,
+            lastSeenAt: new Date(doc.lastSeenAt || doc.startedAt),
+            startLevel: doc.startLevel ?? null,
+            endLevel: doc.endLevel ?? null,
+            fuelConsumed: doc.fuelConsumed ?? null,
+            refilled: doc.refilled || 0,
+            tankReadings: doc.tankReadings || 0,
+            trustedTankReadings: doc.trustedTankReadings || 0,
+            tankShared: !!doc.tankShared,
+            kWhStart: doc.kWhStart ?? null,
+            kWhEnd: doc.kWhEnd ?? null,
+            peakKW: doc.peakKW || 0,
+            peakLoadPct: doc.peakLoadPct || 0,
+            // Averages carry on with the time they covered as their weight (elapsed time for runs saved without it)
+            integratedS,
+            kwSeconds: (doc.avgKW || 0) * integratedS,
+            loadPctSeconds: (doc.avgLoadPct || 0) * integratedS,
+            fuelRateSeconds: (doc.estimatedFuelRate || 0) * integratedS,
+            resumed: true,
+            pendingResume: true
+        });
+        // Fuel used while we were down shows up as a drop from the last saved level
+        const tankKey = topology.getSupplyTank(doc.dg);
+        if (tankKey && typeof doc.endLevel === 'number' && !tankTrackers[tankKey]) {
+            tankTrackers[tankKey] = consumptionEngine.createTracker();
+            consumptionEngine.step(tankTrackers[tankKey], { timestamp: run.lastSeenAt, level: doc.endLevel, running: true });
+        }
+
+        // Only one open run per DG - an older duplicate ended when it was last seen
+        if (runs[doc.dg]) await closeRun(runs[doc.dg], runs[doc.dg].lastSeenAt);
+        runs[doc.dg] = run;
+    }
+    if (docs.length) console.log(`🔁 ${docs.length} open DG run(s) loaded, resuming on the next reading`);
+}
+
+/**
+ * Runs overlapping [from, to] (dates or timestamps, default the last
+ * DEFAULT_RANGE_DAYS days), newest first. Open runs show their live figures.
+ */
+async function listRuns({ dg, from, to } = {}) {
+    if (dg && !registerMap.getGeneratorKeys().includes(dg)) throw badRequest(`${dg} is not a generator in the register map`);
+    const end = to ? parseDay(to, true, 'to') : new Date();
+    const start = from ? parseDay(from, false, 'from') : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 86400000);
+    if (start > end) throw badRequest('from must be before to');
+
+    const query = {
+        startedAt: { $lte: end },
+        $or: [{ endedAt: { $gte: start } }, { status: 'open' }]
+    };
+    if (dg) query.dg = dg;
+    const docs = await RunSession.find(query).sort({ startedAt: -1 }).limit(MAX_RESULTS).lean();
+
+    const list = docs.map(doc => {
+        const live = runs[doc.dg];
+        return live && String(live.id) === String(doc._id) ? toRecord(live, 'open') : doc;
+    });
+    return {
+        from: start,
+        to: end,
+        runs: list,
+        totals: {
+            count: list.length,
+            durationS: list.reduce((s, r) => s + (r.durationS || 0), 0),
+            fuelConsumed: round2(list.reduce((s, r) => s + (r.fuelConsumed || 0), 0)),
+            energyKWh: round2(list.reduce((s, r) => s + (r.energyKWh || 0), 0))
+        }
+    };
+}
+
+module.exports = {
+    processReading,
+    persistOpenRuns,
+    loadOpenRuns,
+    listRuns
+};
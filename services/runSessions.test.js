@@ -0,0 +1,121 @@
+/**
+ * runSessions.js - a run opening and closing on the live readings, and
+ * resuming after a restart, against an in-memory RunSession collection. One
+ * tank (the dg1 sensor) feeding DG-1.
+ */
+
+jest.mock('../models/RunSession', () => {
+    const docs = new Map();
+    return {
+        docs,
+        find: jest.fn(query => ({ sort: () => ({ lean: async () => [...docs.values()].filter(d => d.status === query.status).map(d => ({ ...d })) }) })),
+        updateOne: jest.fn(async ({ _id }, update) => {
+            const doc = { ...(docs.get(String(_id)) || { _id }), ...update.$set };
+            for (const field of Object.keys(update.$unset || {})) delete doc[field];
+            docs.set(String(_id), doc);
+            return {};
+        })
+    };
+});
+
+const mongoose = require('mongoose');
+const RunSession = require('../models/RunSession');
+const topology = require('./topology');
+const runSessions = require('./runSessions');
+
+const T0 = Date.parse('2026-01-01T08:00:00Z');
+const MIN = 60000;
+
+// Lets the chained saves land
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// One poll: DG-1 at `kW` (stopped at 0) with the tank at `level`
+function reading(minute, kW, level) {
+    const dg1 = kW > 0 ? { activePower: kW, voltageR: 230 } : { activePower: 0, voltageR: 0 };
+    runSessions.processReading({
+        timestamp: new Date(T0 + minute * MIN),
+        data: { systemData: { electrical: { dg1 }, tanks: {} }, sensorLevels: { dg1: level } }
+    });
+}
+
+function savedRuns() {
+    return [...RunSession.docs.values()];
+}
+
+beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+    jest.spyOn(topology, 'getSensedTanks').mockReturnValue(['dg1']);
+    jest.spyOn(topology, 'getSuppliedDgs').mockImplementation(tank => (tank === 'dg1' ? ['dg1'] : []));
+    jest.spyOn(topology, 'getSupplyTank').mockImplementation(dg => (dg === 'dg1' ? 'dg1' : null));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    delete mongoose.connection.readyState;
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => RunSession.docs.clear());
+
+// A poll with every DG stopped drops the tank trackers of the last test's runs
+afterEach(() => reading(1000, 0, 0));
+
+test('a run opens when the DG starts and closes on the first reading it is stopped', async () => {
+    reading(0, 60, 500);
+    await settle();
+    expect(savedRuns()).toEqual([expect.objectContaining({ dg: 'dg1', status: 'open', startLevel: 500 })]);
+
+    reading(1, 60, 497);
+    reading(2, 60, 494);
+    reading(3, 0, 494);
+    await settle();
+    const [run] = savedRuns();
+    expect(run).toMatchObject({
+        status: 'closed',
+        endedAt: new Date(T0 + 3 * MIN),
+        durationS: 180,
+        startLevel: 500,
+        endLevel: 494,
+        fuelConsumed: 6,
+        fuelRate: 120,
+        energyKWh: 2.5,
+        peakKW: 60,
+        avgKW: 50,
+        integratedS: 180,
+        resumed: false
+    });
+});
+
+test('a run left open resumes on the same averages and carries on from its last level', async () => {
+    RunSession.docs.set('r1', {
+        _id: 'r1', dg: 'dg1', status: 'open', startedAt: new Date(T0), lastSeenAt: new Date(T0 + 10 * MIN),
+        durationS: 600, integratedS: 300, avgKW: 40, peakKW: 40, startLevel: 500, endLevel: 480, fuelConsumed: 20
+    });
+    await runSessions.loadOpenRuns();
+
+    reading(11, 40, 476);
+    reading(12, 0, 476);
+    await settle();
+    // 300 s at 40 kW before the restart, then a minute ramping down from 40 kW
+    expect(RunSession.docs.get('r1')).toMatchObject({
+        status: 'closed',
+        durationS: 720,
+        fuelConsumed: 24,
+        endLevel: 476,
+        integratedS: 360,
+        avgKW: 36.67,
+        resumed: true
+    });
+});
+
+test('a run whose DG stopped while the server was down ends when it was last seen running', async () => {
+    RunSession.docs.set('r2', {
+        _id: 'r2', dg: 'dg1', status: 'open', startedAt: new Date(T0), lastSeenAt: new Date(T0 + 10 * MIN),
+        durationS: 600, integratedS: 600, avgKW: 40, startLevel: 500, endLevel: 490, fuelConsumed: 10
+    });
+    await runSessions.loadOpenRuns();
+
+    reading(30, 0, 490);
+    await settle();
+    expect(RunSession.docs.get('r2')).toMatchObject({ status: 'closed', endedAt: new Date(T0 + 10 * MIN), durationS: 600, fuelConsumed: 10 });
+});
@@ -0,0 +1,326 @@
+/**
+ * Sensor Health
+ * Quality score and anomaly history for every tank level sensor, so
+ * maintenance can see a float or transmitter failing before the numbers go
+ * wrong. Replaces the scheduler's old console-only validateSensorReading /
+ * detectSensorAnomaly checks.
+ *
+ * - Runs on the live 'reading' events (eventBus.js) and samples each tank
+ *   once per SAMPLE_MS, on the level as read (before the accumulator).
+ * - Score per sample starts at 100:
+ *   OUT_OF_RANGE (at or below the engine's minValidLevel, or above the
+ *   tank's capacity) -> 0; IMPOSSIBLE_CONSUMPTION_RATE (falling faster than
+ *   maxDropRatePerMin) -60; IMPOSSIBLE_REFILL_RATE (rising faster than
+ *   MAX_REFILL_RATE_PER_MIN) -60; STALE_DATA (no reading this cycle) -30.
+ *   A sample is trustworthy at QUALITY_THRESHOLD or above - a stale one
+ *   never is, it holds an old level.
+ * - Anomalies: SPIKE_RECOVERY (a drop that recovers more than half way
+ *   within SPIKE_WINDOW_MS - a glitch, not fuel), LOW_QUALITY (the score
+ *   falling below the threshold) and SENSOR_FAULT (sensor going stale /
+ *   reading again, from plcService.js).
+ * - Overridden tanks (sensorOverrides.js) are counted as override samples
+ *   and left out of the score.
+ * - Counts are kept per tank per day (models/SensorHealth.js) and written
+ *   every FLUSH_MS; flush() writes the rest (shutdown, before a query).
+ *
+ * Per day: uptimePct = online / samples, qualityPct = trustworthy / samples
+ * (override samples excluded from both).
+ */
+
+const mongoose = require('mongoose');
+const SensorHealth = require('../models/SensorHealth');
+const consumptionEngine = require('./consumptionEngine');
+const tankProfiles = require('./tankProfiles');
+const topology = require('./topology');
+const { badRequest } = require('./helpers');
+
+// --- CONFIGURATION ---
+const QUALITY_THRESHOLD = parseFloat(process.env.SENSOR_QUALITY_THRESHOLD) || 50;
+const SAMPLE_MS = 60 * 1000;
+const FLUSH_MS = 5 * 60 * 1000;
+const MAX_REFILL_RATE_PER_MIN = 100;      // Faster than any delivery pump
+const SPIKE_WINDOW_MS = 15 * 60 * 1000;   // A real drop does not come back
+const MAX_ANOMALIES_PER_DAY = 200;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 86400000;
+
+// --- STATE ---
+const tanks = {};         // tankKey -> { sampledAt, last: { level, at }, lastOnlineAt, spike, current }
+let pending = {};         // `${tankKey}|${date}` -> counts not yet written
+let lastFlushAt = Date.now();
+let flushing = Promise.resolve();
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function dayOf(time) {
+    return new Date(time).toISOString().split('T')[0];
+}
+
+/**
+ * Quality score for one sample: { score, issues, trustworthy }.
+ * previous is the last online sample { level, at } (or null); issues are
+ * 'CODE' or 'CODE: detail'.
+ */
+function validateSensorReading(tankKey, level, now, previous, stale, config) {
+    let score = 100;
+    const issues = [];
+
+    if (stale) {
+        const since = tanks[tankKey]?.lastOnlineAt;
+        score -= 30;
+        issues.push(since ? `STALE_DATA: ${round1((now - since) / 60000)} minutes without a reading` : 'STALE_DATA: no reading yet');
+        return { score, issues, trustworthy: false };
+    }
+
+    const capacity = tankProfiles.getTank(tankKey)?.capacity;
+    if (typeof level !== 'number' || !isFinite(level) || level <= config.minValidLevel || (capacity && level > capacity)) {
+        return { score: 0, issues: [`OUT_OF_RANGE: ${typeof level === 'number' ? round1(level) : level} L`], trustworthy: false };
+    }
+
+    if (previous && now > previous.at) {
+        const ratePerMin = (level - previous.level) / ((now - previous.at) / 60000);
+        if (-ratePerMin > config.maxDropRatePerMin) {
+            score -= 60;
+            issues.push(`IMPOSSIBLE_CONSUMPTION_RATE: ${round1(-ratePerMin)}L/min`);
+        }
+        if (ratePerMin > MAX_REFILL_RATE_PER_MIN) {
+            score -= 60;
+            issues.push(`IMPOSSIBLE_REFILL_RATE: ${round1(ratePerMin)}L/min`);
+        }
+    }
+
+    return { score, issues, trustworthy: score >= QUALITY_THRESHOLD };
+}
+
+/**
+ * Spike-and-recover check on in-range online samples. Returns the anomaly
+ * { type, description } or null; keeps the open drop in tank.spike.
+ */
+function detectSensorAnomaly(tank, level, now, config) {
+    const previous = tank.last;
+    const spike = tank.spike;
+    if (spike && now - spike.at > SPIKE_WINDOW_MS) tank.spike = null;
+
+    if (tank.spike) {
+        const drop = spike.originalLevel - spike.level;
+        const recovery = level - spike.level;
+        // Back to about where it was (not beyond - that is a refill)
+        if (recovery > drop * 0.5 && level <= spike.originalLevel + config.noiseThreshold) {
+            tank.spike = null;
+            return { type: 'SPIKE_RECOVERY', description: `Dropped ${round1(drop)}L then recovered ${round1(recovery)}L` };
+        }
+        if (level < spike.level) spike.level = level;
+        return null;
+    }
+
+    if (previous && previous.level - level > config.noiseThreshold) {
+        tank.spike = { originalLevel: previous.level, level, at: now };
+    }
+    return null;
+}
+
+function pendingFor(tankKey, date) {
+    const key = `${tankKey}|${date}`;
+    if (!pending[key]) {
+        pending[key] = {
+            tank: tankKey, date, samples: 0, onlineSamples: 0, trustworthySamples: 0, overrideSamples: 0,
+            scoreSum: 0, minScore: 100, issueCounts: {}, anomalies: [], last: null
+        };
+    }
+    return pending[key];
+}
+
+function addAnomaly(tankKey, now, anomaly) {
+    const anomalies = pendingFor(tankKey, dayOf(now)).anomalies;
+    anomalies.push({ at: new Date(now), ...anomaly });
+    if (anomalies.length > MAX_ANOMALIES_PER_DAY) anomalies.shift();
+    console.warn(`⚠️ ${tankKey.toUpperCase()} sensor ${anomaly.type}: ${anomaly.description}`);
+}
+
+function sampleTank(tankKey, systemData, sensorLevels, now, config) {
+    const tank = tanks[tankKey] = tanks[tankKey] || { sampledAt: 0, last: null, lastOnlineAt: null, spike: null, current: null };
+    if (now - tank.sampledAt < SAMPLE_MS) return;
+    tank.sampledAt = now;
+    const counts = pendingFor(tankKey, dayOf(now));
+    counts.samples++;
+
+    const override = systemData.tanks?.[tankKey]?.override || null;
+    if (override) {
+        counts.overrideSamples++;
+        tank.last = null;
+        tank.spike = null;
+        tank.current = { score: null, issues: [], trustworthy: null, stale: null, override, level: null, sampledAt: new Date(now) };
+        return;
+    }
+
+    const stale = !!systemData.dataQuality?.[`${tankKey}_stale`];
+    const level = sensorLevels[tankKey];
+    const result = validateSensorReading(tankKey, level, now, tank.last, stale, config);
+    const wasTrustworthy = tank.current?.trustworthy !== false || tank.current.stale;
+
+    counts.scoreSum += result.score;
+    counts.minScore = Math.min(counts.minScore, result.score);
+    if (!stale) counts.onlineSamples++;
+    if (result.trustworthy) counts.trustworthySamples++;
+    for (const issue of result.issues) {
+        const code = issue.split(':')[0];
+        counts.issueCounts[code] = (counts.issueCounts[code] || 0) + 1;
+    }
+    counts.last = { score: result.score, issues: result.issues, at: new Date(now) };
+    tank.current = { ...result, stale, override: null, level: stale ? null : level, sampledAt: new Date(now) };
+
+    if (!stale) {
+        tank.lastOnlineAt = now;
+        if (!result.issues.some(issue => issue.startsWith('OUT_OF_RANGE'))) {
+            const anomaly = detectSensorAnomaly(tank, level, now, config);
+            if (anomaly) addAnomaly(tankKey, now, { ...anomaly, level, score: result.score });
+            tank.last = { level, at: now };
+        }
+    }
+    // Staleness comes in as SENSOR_FAULT; only a bad reading is LOW_QUALITY
+    if (wasTrustworthy && !result.trustworthy && !stale) {
+        addAnomaly(tankKey, now, { type: 'LOW_QUALITY', description: result.issues.join('; '), level: typeof level === 'number' ? level : null, score: result.score });
+    }
+}
+
+/** Writes the counts gathered since the last flush */
+function flush() {
+    lastFlushAt = Date.now();
+    // While Mongo is down the counts keep adding up and go out on the first flush after
+    if (mongoose.connection.readyState !== 1) return flushing;
+    const batch = Object.values(pending);
+    if (batch.length === 0) return flushing;
+    pending = {};
+
+    flushing = flushing.then(() => Promise.all(batch.map(counts => {
+        const inc = {
+            samples: counts.samples,
+            onlineSamples: counts.onlineSamples,
+            trustworthySamples: counts.trustworthySamples,
+            overrideSamples: counts.overrideSamples,
+            scoreSum: counts.scoreSum
+        };
+        for (const [code, n] of Object.entries(counts.issueCounts)) inc[`issueCounts.${code}`] = n;
+        const update = { $inc: inc, $min: { minScore: counts.minScore } };
+        if (counts.last) update.$set = { lastScore: counts.last.score, lastIssues: counts.last.issues, lastSampleAt: counts.last.at };
+        if (counts.anomalies.length) update.$push = { anomalies: { $each: counts.anomalies, $slice: -MAX_ANOMALIES_PER_DAY } };
+        return SensorHealth.updateOne({ tank: counts.tank, date: counts.date }, update, { upsert: true });
+    }))).catch(err => console.error('❌ Sensor health save failed:', err.message));
+    return flushing;
+}
+
+/** eventBus 'reading' subscriber */
+function processReading({ timestamp, data }) {
+    const now = new Date(timestamp).getTime();
+    const config = consumptionEngine.getEngineConfig();
+    for (const tankKey of topology.getSensedTanks()) {
+        sampleTank(tankKey, data.systemData, data.sensorLevels || {}, now, config);
+    }
+    if (now - lastFlushAt >= FLUSH_MS) flush();
+}
+
+/** eventBus 'sensorFault' subscriber - tank level sensors only */
+function processSensorFault({ timestamp, data }) {
+    if (data.sensor !== 'level') return;
+    const now = new Date(timestamp).getTime();
+    addAnomaly(data.dg, now, { type: 'SENSOR_FAULT', description: data.message, level: null, score: null });
+}
+
+/** Latest sample of a tank ({ score, issues, trustworthy, stale, override, level, sampledAt }) or null */
+function getCurrent(tankKey) {
+    return tanks[tankKey]?.current || null;
+}
+
+function parseDate(value, name) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || isNaN(new Date(value).getTime())) {
+        throw badRequest(`${name} must be a date (YYYY-MM-DD)`);
+    }
+    return value;
+}
+
+function dayStats(doc) {
+    const counted = doc.samples - doc.overrideSamples;
+    const pct = (n) => (counted > 0 ? round1(n / counted * 100) : null);
+    return {
+        tank: doc.tank,
+        date: doc.date,
+        samples: doc.samples,
+        overrideSamples: doc.overrideSamples,
+        uptimePct: pct(doc.onlineSamples),
+        qualityPct: pct(doc.trustworthySamples),
+        avgScore: counted > 0 ? round1(doc.scoreSum / counted) : null,
+        minScore: counted > 0 ? doc.minScore : null,
+        issueCounts: doc.issueCounts || {},
+        anomalies: (doc.anomalies || []).length
+    };
+}
+
+/**
+ * Live score per tank plus the stored days in [from, to] (default the last
+ * DEFAULT_RANGE_DAYS days) and their anomalies, newest first.
+ */
+async function getHealth({ tank, from, to } = {}) {
+    const sensed = topology.getSensedTanks();
+    if (tank && !sensed.includes(tank)) throw badRequest(`${tank} is not a sensed tank. Valid: ${sensed.join(', ')}`);
+    const end = to ? parseDate(to, 'to') : dayOf(Date.now());
+    const start = from ? parseDate(from, 'from') : dayOf(new Date(end).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+    if (start > end) throw badRequest('from must be before to');
+    if ((new Date(end) - new Date(start)) / DAY_MS >= MAX_RANGE_DAYS) throw badRequest(`At most ${MAX_RANGE_DAYS} days`);
+
+    await flush();
+    const query = { date: { $gte: start, $lte: end } };
+    if (tank) query.tank = tank;
+    const docs = mongoose.connection.readyState === 1
+        ? await SensorHealth.find(query).sort({ date: -1, tank: 1 }).lean()
+        : [];
+
+    const current = {};
+    for (const tankKey of tank ? [tank] : sensed) current[tankKey] = getCurrent(tankKey);
+
+    const totals = {};
+    for (const tankKey of Object.keys(current)) {
+        const days = docs.filter(d => d.tank === tankKey);
+        const sum = (field) => days.reduce((s, d) => s + (d[field] || 0), 0);
+        totals[tankKey] = dayStats({
+            tank: tankKey, date: null,
+            samples: sum('samples'), overrideSamples: sum('overrideSamples'),
+            onlineSamples: sum('onlineSamples'), trustworthySamples: sum('trustworthySamples'),
+            scoreSum: sum('scoreSum'), minScore: Math.min(100, ...days.map(d => d.minScore)),
+            issueCounts: days.reduce((counts, d) => {
+                for (const [code, n] of Object.entries(d.issueCounts || {})) counts[code] = (counts[code] || 0) + n;
+                return counts;
+            }, {}),
+            anomalies: days.flatMap(d => d.anomalies || [])
+        });
+    }
+
+    return {
+        from: start,
+        to: end,
+        current,
+        totals,
+        days: docs.map(dayStats),
+        anomalies: docs
+            .flatMap(d => (d.anomalies || []).map(a => ({ tank: d.tank, ...a })))
+            .sort((a, b) => new Date(b.at) - new Date(a.at)),
+        settings: {
+            qualityThreshold: QUALITY_THRESHOLD,
+            sampleSeconds: SAMPLE_MS / 1000,
+            maxDropRatePerMin: consumptionEngine.getEngineConfig().maxDropRatePerMin,
+            maxRefillRatePerMin: MAX_REFILL_RATE_PER_MIN
+        }
+    };
+}
+
+module.exports = {
+    validateSensorReading,
+    detectSensorAnomaly,
+    processReading,
+    processSensorFault,
+    getCurrent,
+    flush,
+    getHealth
+};
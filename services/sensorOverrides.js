@@ -0,0 +1,236 @@
+/**
+ * Sensor Overrides
+ * Operator-managed overrides of tank levels and electrical/engine params
+ * (models/SensorOverride.js), replacing the old `hardcodedLevel` in the
+ * register map.
+ *
+ * - 'manual' substitutes a fixed value; 'outOfService' means there is no
+ *   usable value (tank level is held, a param reads null).
+ * - Every override needs a reason and an expiry (at most MAX_DURATION_MS
+ *   ahead); it can be extended or ended early, and lapses on its own.
+ * - Active overrides are cached so plcService can look them up every poll
+ *   without waiting on Mongo; the cache is refreshed after every edit and
+ *   every REFRESH_MS.
+ * - plcService flags them in /api/data and in stored records; consumption
+ *   is not calculated across overridden periods.
+ * - migrateHardcodedLevels() (startup) turns a legacy `hardcodedLevel` still
+ *   in the register map into a manual override, so a known-dead sensor stays
+ *   covered after an upgrade instead of raising low-fuel alerts. It is renewed
+ *   when it lapses for as long as the key stays in the map.
+ */
+
+const mongoose = require('mongoose');
+const SensorOverride = require('../models/SensorOverride');
+const registerMap = require('./registerMap');
+const { badRequest } = require('./helpers');
+
+// --- CONFIGURATION ---
+const MODES = ['manual', 'outOfService'];
+const TANK_PARAM = 'level';
+const MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // Longer than a month must be re-confirmed
+const REFRESH_MS = 60 * 1000;
+const MIGRATED_BY = 'registerMap hardcodedLevel';
+
+// --- STATE ---
+let active = [];      // Lean SensorOverride docs with status 'active'
+let loadedAt = 0;
+let pending = null;
+
+async function refresh(force = false) {
+    if (!force && Date.now() - loadedAt < REFRESH_MS) return active;
+    if (pending && !force) return pending;
+    if (mongoose.connection.readyState !== 1) return active;
+
+    loadedAt = Date.now();
+    pending = SensorOverride.find({ status: 'active' }).lean()
+        .then(docs => { active = docs; return active; })
+        .catch(err => {
+            console.error('❌ Sensor override refresh failed, using cached overrides:', err.message);
+            return active;
+        })
+        .finally(() => { pending = null; });
+    return pending;
+}
+
+// Drops lapsed overrides from the cache and records the expiry
+function expireDue(now = Date.now()) {
+    const due = active.filter(o => new Date(o.expiresAt).getTime() <= now);
+    if (due.length === 0) return;
+    active = active.filter(o => !due.includes(o));
+
+    const saves = due.map(o => {
+        console.log(`⏱️ Sensor override expired: ${o.dg}.${o.param} (${o.mode}) - ${o.reason}`);
+        return SensorOverride.updateOne(
+            { _id: o._id, status: 'active' },
+            { $set: { status: 'expired', endedAt: o.expiresAt }, $push: { history: { action: 'expired', at: new Date(now) } } }
+        ).catch(err => console.error('❌ Sensor override expiry save failed:', err.message));
+    });
+    // A lapsed hardcodedLevel override comes back while the key is still in the map
+    if (due.some(o => o.createdBy === MIGRATED_BY)) {
+        Promise.all(saves)
+            .then(() => migrateHardcodedLevels())
+            .catch(err => console.error('❌ hardcodedLevel override renewal failed:', err.message));
+    }
+}
+
+/** Active override for a DG's param ('level' = tank), or null. Synchronous. */
+function getOverride(dg, param = TANK_PARAM) {
+    refresh();
+    expireDue();
+    return active.find(o => o.dg === dg && o.param === param) || null;
+}
+
+/** Active overrides in the shape /api/data reports them */
+function getActiveOverrides() {
+    expireDue();
+    return active.map(o => ({
+        id: o._id, dg: o.dg, param: o.param, mode: o.mode,
+        value: o.mode === 'manual' ? o.value : null,
+        reason: o.reason, expiresAt: o.expiresAt
+    }));
+}
+
+function validateTarget(dg, param) {
+    if (param === TANK_PARAM) {
+        if (!registerMap.getDieselRegisters()[dg]) throw badRequest(`${dg} has no tank in the register map`);
+        return;
+    }
+    if (!registerMap.getGeneratorKeys().includes(dg)) throw badRequest(`${dg} is not a generator in the register map`);
+    if (!registerMap.getElectricalCandidates(dg)[param]) {
+        throw badRequest(`${dg} has no "${param}" register - only mapped params (or "${TANK_PARAM}") can be overridden`);
+    }
+}
+
+function validateExpiry(expiresAt, now) {
+    const t = new Date(expiresAt).getTime();
+    if (!expiresAt || isNaN(t)) throw badRequest('expiresAt must be a valid date');
+    if (t <= now) throw badRequest('expiresAt must be in the future');
+    if (t - now > MAX_DURATION_MS) throw badRequest(`expiresAt must be within ${MAX_DURATION_MS / 86400000} days`);
+    return new Date(t);
+}
+
+function validateValue(mode, value) {
+    if (mode !== 'manual') return undefined;
+    if (value === null || value === '' || !isFinite(Number(value))) {
+        throw badRequest('value must be a number for a manual override');
+    }
+    return Number(value);
+}
+
+async function listOverrides({ includeInactive = false, limit = 100 } = {}) {
+    await refresh();
+    expireDue();
+    const query = includeInactive ? {} : { status: 'active' };
+    return SensorOverride.find(query).sort({ startsAt: -1 }).limit(limit).lean();
+}
+
+async function createOverride({ dg, param = TANK_PARAM, mode, value, reason, expiresAt, createdBy = '' }) {
+    const now = Date.now();
+    validateTarget(dg, param);
+    if (!MODES.includes(mode)) throw badRequest(`mode must be one of ${MODES.join(', ')}`);
+    if (!reason || !String(reason).trim()) throw badRequest('reason is required');
+    const expiry = validateExpiry(expiresAt, now);
+    value = validateValue(mode, value);
+
+    await refresh(true);
+    expireDue(now);
+    if (active.some(o => o.dg === dg && o.param === param)) {
+        throw badRequest(`${dg}.${param} already has an active override - update or end it first`);
+    }
+
+    const doc = await SensorOverride.create({
+        dg, param, mode, value,
+        reason: String(reason).trim(),
+        createdBy,
+        startsAt: new Date(now),
+        expiresAt: expiry,
+        history: [{ action: 'created', at: new Date(now), by: createdBy, note: String(reason).trim() }]
+    });
+    console.log(`🔧 Sensor override set: ${dg}.${param} ${mode}${mode === 'manual' ? ` = ${value}` : ''} until ${expiry.toISOString()} - ${doc.reason}`);
+    await refresh(true);
+    return doc;
+}
+
+/** Changes the value, expiry or reason of an active override */
+async function updateOverride(id, { value, expiresAt, reason, by = '', note = '' }) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const doc = await SensorOverride.findById(id);
+    if (!doc) return null;
+    if (doc.status !== 'active') throw badRequest(`Override is ${doc.status} and can no longer be changed`);
+
+    const changes = [];
+    if (expiresAt !== undefined) {
+        doc.expiresAt = validateExpiry(expiresAt, Date.now());
+        changes.push(`expiry → ${doc.expiresAt.toISOString()}`);
+    }
+    if (value !== undefined) {
+        if (doc.mode !== 'manual') throw badRequest('Only manual overrides have a value');
+        doc.value = validateValue('manual', value);
+        changes.push(`value → ${doc.value}`);
+    }
+    if (reason !== undefined) {
+        if (!String(reason).trim()) throw badRequest('reason cannot be empty');
+        doc.reason = String(reason).trim();
+        changes.push(`reason → ${doc.reason}`);
+    }
+    if (changes.length === 0) throw badRequest('Nothing to update (value, expiresAt or reason)');
+
+    doc.history.push({ action: 'updated', by, note: [changes.join(', '), note].filter(Boolean).join(' - ') });
+    await doc.save();
+    await refresh(true);
+    return doc;
+}
+
+async function endOverride(id, { by = '', note = '' } = {}) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const doc = await SensorOverride.findById(id);
+    if (!doc) return null;
+    if (doc.status !== 'active') throw badRequest(`Override is already ${doc.status}`);
+
+    doc.status = 'ended';
+    doc.endedAt = new Date();
+    doc.history.push({ action: 'ended', by, note });
+    await doc.save();
+    console.log(`🔧 Sensor override ended: ${doc.dg}.${doc.param}${by ? ` by ${by}` : ''}`);
+    await refresh(true);
+    return doc;
+}
+
+/**
+ * Creates a manual override (for MAX_DURATION_MS) for every tank with a
+ * legacy hardcodedLevel in the register map that has no active override.
+ * Called once Mongo is up, and again when a migrated override lapses, so the
+ * dead sensor never reads as real while the key is still in the map.
+ */
+async function migrateHardcodedLevels() {
+    if (mongoose.connection.readyState !== 1) return [];
+    await refresh(true);
+    const created = [];
+    for (const [dg, value] of Object.entries(registerMap.getHardcodedLevels())) {
+        if (active.some(o => o.dg === dg && o.param === TANK_PARAM)) continue;
+        created.push(await createOverride({
+            dg,
+            mode: 'manual',
+            value,
+            reason: `Migrated from hardcodedLevel ${value} L in the register map - renewed until hardcodedLevel is removed from the map`,
+            expiresAt: new Date(Date.now() + MAX_DURATION_MS),
+            createdBy: MIGRATED_BY
+        }));
+    }
+    const left = Object.keys(registerMap.getHardcodedLevels());
+    if (left.length) console.warn(`⚠️ hardcodedLevel is ignored (${left.join(', ')}) - its sensor override is managed in /api/overrides; remove it from the register map once the sensor is fixed`);
+    return created;
+}
+
+module.exports = {
+    MODES,
+    TANK_PARAM,
+    refresh,
+    getOverride,
+    getActiveOverrides,
+    listOverrides,
+    createOverride,
+    updateOverride,
+    endOverride,
+    migrateHardcodedLevels
+};
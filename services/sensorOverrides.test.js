@@ -0,0 +1,96 @@
+/**
+ * sensorOverrides.js - expiry and the hardcodedLevel migration, against an
+ * in-memory SensorOverride collection.
+ */
+
+jest.mock('../models/SensorOverride', () => {
+    const docs = [];
+    return {
+        docs,
+        find: jest.fn(filter => ({ lean: async () => docs.filter(d => d.status === filter.status).map(d => ({ ...d })) })),
+        create: jest.fn(async fields => {
+            const doc = { _id: `o${docs.length + 1}`, status: 'active', ...fields };
+            docs.push(doc);
+            return { ...doc };
+        }),
+        updateOne: jest.fn(async ({ _id, status }, { $set }) => {
+            const doc = docs.find(d => d._id === _id && d.status === status);
+            if (doc) Object.assign(doc, $set);
+            return {};
+        })
+    };
+});
+
+const mongoose = require('mongoose');
+const SensorOverride = require('../models/SensorOverride');
+const registerMap = require('./registerMap');
+const sensorOverrides = require('./sensorOverrides');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const DAY_MS = 86400000;
+
+// Lets the renewal chained after an expiry save run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+    jest.useFakeTimers({ now: T0, doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    delete mongoose.connection.readyState;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+    SensorOverride.docs.length = 0;
+    await sensorOverrides.refresh(true);
+});
+
+test('an override applies until its expiry, then lapses and is recorded as expired', async () => {
+    jest.setSystemTime(T0);
+    await sensorOverrides.createOverride({ dg: 'dg2', mode: 'outOfService', reason: 'float stuck', expiresAt: new Date(T0 + DAY_MS) });
+    expect(sensorOverrides.getOverride('dg2')).toMatchObject({ mode: 'outOfService', reason: 'float stuck' });
+
+    jest.setSystemTime(T0 + DAY_MS);
+    expect(sensorOverrides.getOverride('dg2')).toBeNull();
+    await settle();
+    expect(SensorOverride.docs[0]).toMatchObject({ status: 'expired', endedAt: new Date(T0 + DAY_MS) });
+});
+
+test('expiry must be in the future and within the maximum duration', async () => {
+    jest.setSystemTime(T0);
+    const create = (expiresAt) => sensorOverrides.createOverride({ dg: 'dg2', mode: 'outOfService', reason: 'x', expiresAt });
+    await expect(create(new Date(T0 - 1))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(create(new Date(T0 + 31 * DAY_MS))).rejects.toMatchObject({ statusCode: 400 });
+    expect(SensorOverride.docs).toHaveLength(0);
+});
+
+test('a legacy hardcodedLevel becomes a manual override that is renewed while the key stays in the map', async () => {
+    const hardcoded = jest.spyOn(registerMap, 'getHardcodedLevels').mockReturnValue({ dg1: 150 });
+    jest.setSystemTime(T0);
+
+    const created = await sensorOverrides.migrateHardcodedLevels();
+    expect(created).toHaveLength(1);
+    expect(sensorOverrides.getOverride('dg1')).toMatchObject({ mode: 'manual', value: 150 });
+    await expect(sensorOverrides.migrateHardcodedLevels()).resolves.toEqual([]);
+
+    // Lapses after the maximum duration and comes straight back
+    jest.setSystemTime(T0 + 30 * DAY_MS);
+    expect(sensorOverrides.getOverride('dg1')).toBeNull();
+    await settle();
+    await settle();
+    expect(SensorOverride.docs.map(d => d.status)).toEqual(['expired', 'active']);
+    expect(sensorOverrides.getOverride('dg1')).toMatchObject({ mode: 'manual', value: 150 });
+
+    // Once the key is gone nothing is renewed
+    hardcoded.mockReturnValue({});
+    jest.setSystemTime(T0 + 60 * DAY_MS);
+    expect(sensorOverrides.getOverride('dg1')).toBeNull();
+    await settle();
+    await settle();
+    expect(SensorOverride.docs.map(d => d.status)).toEqual(['expired', 'expired']);
+});
@@ -0,0 +1,174 @@
+/**
+ * Specific Fuel Consumption (SFC) Service
+ * Combines the kWh totaliser stored with each ElectricalReading (energyMeter)
+ * with the DG's fuel to report litres per kWh per run, per day and per month.
+ *
+ * - kWh for a period is the sum of the totaliser's increments inside it;
+ *   negative or impossible increments (legacy rows saved as 0, meter swaps)
+ *   are skipped rather than counted.
+ * - A run is a stretch of readings with activePower above
+ *   DG_RUNNING_THRESHOLD; consumption confirmed up to CONFIRM_LAG_MS after
+ *   the run ends (or until the next run starts, if sooner) still belongs to it.
+ * - Days and months are local calendar days, like the query bounds.
+ * - A DG's fuel is its share of its supply tank's consumption (topology.js):
+ *   the stored levels are re-run through consumptionEngine.js with the kW of
+ *   every DG on that tank, and each drop's byDg split is used - so on a shared
+ *   tank one DG's SFC does not include another's fuel. A DG fed by no sensed
+ *   tank reports litres as null.
+ * - SFC is null below MIN_KWH so near-idle periods do not report silly ratios.
+ */
+
+const { DieselConsumption, ElectricalReading } = require('../models/schemas');
+const { getProfile } = require('./generatorProfiles');
+const consumptionEngine = require('./consumptionEngine');
+const topology = require('./topology');
+const { round } = require('./helpers');
+
+// --- CONFIGURATION ---
+const PERIODS = ['run', 'day', 'month'];
+const DG_RUNNING_THRESHOLD = 5;            // kW, same as schedulerService
+const RUN_GAP_MS = 15 * 60 * 1000;         // A longer gap between readings ends a run
+const CONFIRM_LAG_MS = 15 * 60 * 1000;
+const MIN_KWH = 1;
+const PLAUSIBLE_MARGIN = 1.2;
+
+function sfcOf(litres, kWh) {
+    if (litres === null || kWh < MIN_KWH) return null;
+    return round(litres / kWh, 3);
+}
+
+// Totaliser increment between two readings, or 0 when it cannot be trusted
+function energyBetween(prev, curr, ratedKva) {
+    if (typeof prev.energyMeter !== 'number' || typeof curr.energyMeter !== 'number') return 0;
+    const delta = curr.energyMeter - prev.energyMeter;
+    const hours = (new Date(curr.timestamp) - new Date(prev.timestamp)) / 3600000;
+    if (delta < 0 || delta > ratedKva * PLAUSIBLE_MARGIN * hours + 0.01) return 0;
+    return delta;
+}
+
+/** kWh produced across a time-sorted list of readings */
+function sumEnergy(dgKey, readings) {
+    const ratedKva = getProfile(dgKey).ratedKva;
+    let kWh = 0;
+    for (let i = 1; i < readings.length; i++) kWh += energyBetween(readings[i - 1], readings[i], ratedKva);
+    return round(kWh);
+}
+
+function findRuns(readings, ratedKva) {
+    const runs = [];
+    let run = null;
+    for (let i = 0; i < readings.length; i++) {
+        const r = readings[i];
+        const running = (r.activePower || 0) > DG_RUNNING_THRESHOLD;
+        const gap = i > 0 && new Date(r.timestamp) - new Date(readings[i - 1].timestamp) > RUN_GAP_MS;
+
+        if (run && (gap || !running)) {
+            if (!gap) run.kWh += energyBetween(readings[i - 1], r, ratedKva); // Ramp-down interval
+            runs.push(run);
+            run = null;
+        }
+        if (running) {
+            if (!run) run = { start: new Date(r.timestamp), end: new Date(r.timestamp), kWh: 0 };
+            else run.kWh += energyBetween(readings[i - 1], r, ratedKva);
+            run.end = new Date(r.timestamp);
+        }
+    }
+    if (run) runs.push(run);
+    return runs;
+}
+
+/**
+ * [{ timestamp, litres }] of the DG's share of each consumption on its supply
+ * tank, from stored level records (time order) and the tank's DGs' readings.
+ */
+function dgConsumption(dgKey, tankKey, dieselRecords, electricalRecords) {
+    const dgKeys = topology.getSuppliedDgs(tankKey);
+    const readings = consumptionEngine.readingsFromRecords(dieselRecords, electricalRecords, tankKey, dgKeys);
+    return consumptionEngine.analyse(readings).points
+        .filter(p => p.byDg[dgKey])
+        .map(p => ({ timestamp: new Date(p.timestamp), litres: p.byDg[dgKey] }));
+}
+
+// Local calendar day / month - the same clock as the route's start/end bounds
+function bucketKey(timestamp, period) {
+    const t = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    const month = `${t.getFullYear()}-${pad(t.getMonth() + 1)}`;
+    return period === 'month' ? month : `${month}-${pad(t.getDate())}`;
+}
+
+/**
+ * @param {string} dgKey
+ * @param {'run'|'day'|'month'} period
+ * @param {Date} start
+ * @param {Date} end
+ */
+async function getSfcReport(dgKey, period, start, end) {
+    const ratedKva = getProfile(dgKey).ratedKva;
+    const tankKey = topology.getSupplyTank(dgKey);
+    const tank = tankKey !== null;
+    const dgKeys = tank ? topology.getSuppliedDgs(tankKey) : [dgKey];
+    const lagEnd = new Date(end.getTime() + CONFIRM_LAG_MS);
+
+    const electrical = await ElectricalReading.find({ dg: { $in: dgKeys }, timestamp: { $gte: start, $lte: lagEnd } })
+        .select('dg timestamp activePower voltageR energyMeter')
+        .sort({ timestamp: 1 })
+        .lean();
+    const readings = electrical.filter(r => r.dg === dgKey && r.timestamp <= end);
+    const diesel = tank
+        ? dgConsumption(dgKey, tankKey, await DieselConsumption.find({ timestamp: { $gte: start, $lte: lagEnd } })
+            .select(`timestamp ${tankKey}`)
+            .sort({ timestamp: 1 })
+            .lean(), electrical)
+        : [];
+
+    let rows;
+    if (period === 'run') {
+        const runs = findRuns(readings, ratedKva);
+        rows = runs.map((run, i) => {
+            // The confirmation lag never reaches into the next run
+            const next = runs[i + 1];
+            const until = Math.min(run.end.getTime() + CONFIRM_LAG_MS, next ? next.start.getTime() - 1 : Infinity);
+            const litres = tank
+                ? diesel.filter(d => d.timestamp >= run.start && d.timestamp.getTime() <= until).reduce((s, d) => s + d.litres, 0)
+                : null;
+            return { start: run.start, end: run.end, hours: round((run.end - run.start) / 3600000), kWh: run.kWh, litres };
+        });
+    } else {
+        const buckets = new Map();
+        const bucket = (key) => {
+            if (!buckets.has(key)) buckets.set(key, { period: key, kWh: 0, litres: tank ? 0 : null });
+            return buckets.get(key);
+        };
+        for (let i = 1; i < readings.length; i++) {
+            bucket(bucketKey(readings[i].timestamp, period)).kWh += energyBetween(readings[i - 1], readings[i], ratedKva);
+        }
+        for (const d of diesel) {
+            if (d.timestamp > end) continue;
+            bucket(bucketKey(d.timestamp, period)).litres += d.litres;
+        }
+        rows = [...buckets.values()].sort((a, b) => a.period.localeCompare(b.period));
+    }
+
+    let totalKwh = 0, totalLitres = tank ? 0 : null;
+    for (const row of rows) {
+        totalKwh += row.kWh;
+        if (tank) totalLitres += row.litres;
+        row.kWh = round(row.kWh);
+        if (tank) row.litres = round(row.litres);
+        row.sfc = sfcOf(row.litres, row.kWh);
+    }
+
+    return {
+        dg: dgKey,
+        period,
+        rows,
+        totals: {
+            kWh: round(totalKwh),
+            litres: tank ? round(totalLitres) : null,
+            sfc: sfcOf(totalLitres, totalKwh)
+        }
+    };
+}
+
+module.exports = { PERIODS, getSfcReport, sumEnergy };
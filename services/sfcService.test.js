@@ -0,0 +1,76 @@
+/**
+ * sfcService.js - litres per kWh from the DG's share of its supply tank,
+ * against in-memory records: one bulk tank (the dg1 sensor) feeding DG-1
+ * and DG-2.
+ */
+
+const records = { diesel: [], electrical: [] };
+
+jest.mock('../models/schemas', () => {
+    const inRange = (query) => (r) => r.timestamp >= query.timestamp.$gte && r.timestamp <= query.timestamp.$lte;
+    const chain = (rows) => ({ select: () => ({ sort: () => ({ lean: async () => rows }) }) });
+    return {
+        DieselConsumption: { find: jest.fn(query => chain(records.diesel.filter(inRange(query)))) },
+        ElectricalReading: { find: jest.fn(query => chain(records.electrical.filter(r => query.dg.$in.includes(r.dg)).filter(inRange(query)))) }
+    };
+});
+
+const topology = require('./topology');
+const sfcService = require('./sfcService');
+
+// Ten past local midnight, as the route's bounds are - a UTC day east of Greenwich would still be Dec 31
+const T0 = new Date(2026, 0, 1, 0, 10).getTime();
+const STEP_MS = 5 * 60000;
+
+// steps: [level, { dg: kW }] five minutes apart; a DG without kW is stopped
+function load(steps) {
+    records.diesel = [];
+    records.electrical = [];
+    const meters = {};
+    steps.forEach(([level, kw], i) => {
+        const timestamp = new Date(T0 + i * STEP_MS);
+        records.diesel.push({ timestamp, dg1: { level } });
+        for (const dg of ['dg1', 'dg2']) {
+            const activePower = kw[dg] || 0;
+            meters[dg] = (meters[dg] || 0) + (i > 0 ? activePower * STEP_MS / 3600000 : 0);
+            records.electrical.push({ dg, timestamp, activePower, voltageR: activePower ? 230 : 0, energyMeter: meters[dg] });
+        }
+    });
+}
+
+beforeAll(() => {
+    jest.spyOn(topology, 'getSupplyTank').mockImplementation(dg => (['dg1', 'dg2'].includes(dg) ? 'dg1' : null));
+    jest.spyOn(topology, 'getSuppliedDgs').mockImplementation(tank => (tank === 'dg1' ? ['dg1', 'dg2'] : []));
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+test('each DG on a shared tank is charged its own share of the drops, by kW', async () => {
+    const both = { dg1: 60, dg2: 20 };
+    load([[500, both], [496, both], [492, both], [488, both], [484, both]]);
+    const range = [new Date(T0), new Date(T0 + 4 * STEP_MS)];
+
+    const dg1 = await sfcService.getSfcReport('dg1', 'run', ...range);
+    const dg2 = await sfcService.getSfcReport('dg2', 'run', ...range);
+    expect(dg1.totals).toEqual({ kWh: 20, litres: 12, sfc: 0.6 });
+    expect(dg2.totals).toEqual({ kWh: 6.67, litres: 4, sfc: 0.6 });
+});
+
+test('a DG fed by no sensed tank has no litres', async () => {
+    const report = await sfcService.getSfcReport('dg3', 'day', new Date(T0), new Date(T0 + STEP_MS));
+    expect(report.totals.litres).toBeNull();
+});
+
+test('a run keeps the drops confirmed after it ends, but not those of a run starting soon after', async () => {
+    const on = { dg1: 60 };
+    load([[500, on], [496, on], [496, {}], [496, on], [492, on], [488, on]]);
+    const report = await sfcService.getSfcReport('dg1', 'run', new Date(T0), new Date(T0 + 5 * STEP_MS));
+    expect(report.rows.map(r => r.litres)).toEqual([4, 8]);
+});
+
+test('days are bucketed on the local calendar, like the query bounds', async () => {
+    const on = { dg1: 60 };
+    load([[500, on], [496, on], [492, on]]);
+    const report = await sfcService.getSfcReport('dg1', 'day', new Date(T0), new Date(T0 + 2 * STEP_MS));
+    expect(report.rows.map(r => r.period)).toEqual(['2026-01-01']);
+});
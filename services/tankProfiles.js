@@ -0,0 +1,225 @@
+/**
+ * Tank Profiles
+ * Converts raw level-sensor values into litres per tank, loaded from
+ * config/tankProfiles.json. plcService applies it before the reading reaches
+ * fuelAccumulator, so all consumption figures use corrected volumes.
+ *
+ * - Each tank ends up with a strapping table of [raw, litres] points:
+ *   measured ("strapping"), generated from a horizontal cylinder's geometry,
+ *   or a straight line ("linear").
+ * - Values between points are interpolated and clamped to 0..capacity.
+ * - A tank missing from the file, or "linear" without a capacity, is passed
+ *   through unchanged (raw = litres) and has no % full.
+ * - An approved dip calibration (calibrationService.js) corrects the raw
+ *   value first; the strapping table then turns it into litres.
+ * - reloadTankProfiles() keeps the previous profiles if the new file is invalid.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// --- CONFIGURATION ---
+const PROFILES_PATH = process.env.TANK_PROFILES_PATH || path.join(__dirname, '../config/tankProfiles.json');
+const SHAPES = ['linear', 'horizontalCylinder'];
+const CYLINDER_STEPS = 50; // Points generated for a cylinder (2% of the diameter each)
+
+// --- STATE ---
+let activeProfiles = null;
+const calibrations = {};   // tankKey -> approved TankCalibration (set by calibrationService)
+
+// Filled fraction of a horizontal cylinder's volume at a fill height (fraction of diameter)
+function cylinderFraction(h) {
+    const x = 1 - 2 * Math.min(1, Math.max(0, h));
+    return (Math.acos(x) - x * Math.sqrt(1 - x * x)) / Math.PI;
+}
+
+function checkNumber(value, where) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        throw new Error(`${where}: must be a number (got ${JSON.stringify(value)})`);
+    }
+    return value;
+}
+
+function parseStrapping(table, capacity, where) {
+    if (!Array.isArray(table) || table.length < 2) {
+        throw new Error(`${where}: needs at least two [raw, litres] points`);
+    }
+    let previous = null;
+    return table.map((point, i) => {
+        const at = `${where}[${i}]`;
+        if (!Array.isArray(point) || point.length !== 2) throw new Error(`${at}: must be [raw, litres]`);
+        const [raw, litres] = point.map((v, j) => checkNumber(v, `${at}[${j}]`));
+        if (litres < 0 || litres > capacity) throw new Error(`${at}: litres must be 0-${capacity}`);
+        if (previous && raw <= previous[0]) throw new Error(`${at}: raw values must be in ascending order`);
+        if (previous && litres < previous[1]) throw new Error(`${at}: litres must not decrease as raw rises`);
+        previous = [raw, litres];
+        return previous;
+    });
+}
+
+function buildStrapping(entry, capacity, where) {
+    if (entry.strapping !== undefined) return parseStrapping(entry.strapping, capacity, `${where}.strapping`);
+
+    const shape = entry.shape || 'linear';
+    if (!SHAPES.includes(shape)) throw new Error(`${where}.shape: must be one of ${SHAPES.join(', ')}`);
+    if (capacity === null) {
+        if (shape !== 'linear' || entry.rawEmpty !== undefined || entry.rawFull !== undefined) {
+            throw new Error(`${where}.capacity: required for a strapping table, a cylinder or rawEmpty/rawFull`);
+        }
+        return null;   // Identity
+    }
+    const rawEmpty = checkNumber(entry.rawEmpty ?? 0, `${where}.rawEmpty`);
+    const rawFull = checkNumber(entry.rawFull ?? capacity, `${where}.rawFull`);
+    if (rawFull <= rawEmpty) throw new Error(`${where}: rawFull must be above rawEmpty`);
+
+    if (shape === 'linear') return [[rawEmpty, 0], [rawFull, capacity]];
+    const table = [];
+    for (let i = 0; i <= CYLINDER_STEPS; i++) {
+        const h = i / CYLINDER_STEPS;
+        table.push([rawEmpty + h * (rawFull - rawEmpty), Math.round(capacity * cylinderFraction(h) * 100) / 100]);
+    }
+    return table;
+}
+
+function parseTank(tankKey, entry) {
+    const where = `tanks.${tankKey}`;
+    if (!entry || typeof entry !== 'object') throw new Error(`${where}: must be an object`);
+    const capacity = entry.capacity === undefined ? null : checkNumber(entry.capacity, `${where}.capacity`);
+    if (capacity !== null && capacity <= 0) throw new Error(`${where}.capacity: must be a positive number of litres`);
+
+    return {
+        name: entry.name || `${tankKey.toUpperCase().replace('DG', 'DG-')} Tank`,
+        capacity,
+        shape: entry.strapping !== undefined ? 'strapping' : (entry.shape || 'linear'),
+        strapping: buildStrapping(entry, capacity, where)
+    };
+}
+
+/**
+ * Validates raw (parsed JSON) tank profiles and returns the normalised form.
+ * Throws an Error describing the first problem found.
+ */
+function buildTankProfiles(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Tank profiles must be a JSON object');
+    const tanks = {};
+    for (const [tankKey, entry] of Object.entries(raw.tanks || {})) {
+        tanks[tankKey] = parseTank(tankKey, entry);
+    }
+    return { version: raw.version || 1, tanks };
+}
+
+function loadTankProfiles(filePath = PROFILES_PATH) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    let raw;
+    try { raw = JSON.parse(text); }
+    catch (err) { throw new Error(`Tank profiles are not valid JSON: ${err.message}`); }
+
+    const profiles = buildTankProfiles(raw);
+    profiles.source = filePath;
+    profiles.loadedAt = new Date().toISOString();
+    activeProfiles = profiles;
+    return profiles;
+}
+
+/**
+ * Re-reads the tank profiles file. On failure the previous profiles stay
+ * active and the error is re-thrown so the caller can report it.
+ */
+function reloadTankProfiles(filePath = PROFILES_PATH) {
+    const previous = activeProfiles;
+    try {
+        const profiles = loadTankProfiles(filePath);
+        console.log(`⚙️ Tank profiles reloaded (${Object.keys(profiles.tanks).length} tanks)`);
+        return profiles;
+    } catch (err) {
+        activeProfiles = previous;
+        console.error('❌ Tank profile reload failed, keeping previous profiles:', err.message);
+        throw err;
+    }
+}
+
+function getTankProfiles() {
+    if (!activeProfiles) loadTankProfiles();
+    return activeProfiles;
+}
+
+function getTank(tankKey) {
+    return getTankProfiles().tanks[tankKey] || null;
+}
+
+// Piecewise-linear lookup on a table sorted by column `from`, clamped at both ends
+function interpolate(table, value, from, to) {
+    if (value <= table[0][from]) return table[0][to];
+    for (let i = 1; i < table.length; i++) {
+        const x1 = table[i][from];
+        if (value <= x1) {
+            const x0 = table[i - 1][from];
+            const y0 = table[i - 1][to], y1 = table[i][to];
+            return x1 === x0 ? y0 : y0 + ((y1 - y0) * (value - x0)) / (x1 - x0);
+        }
+    }
+    return table[table.length - 1][to];
+}
+
+/**
+ * Corrected raw value for a calibration: gain/offset, or the multi-point
+ * table (beyond its ends the nearest point's offset is kept).
+ */
+function applyCalibration(calibration, raw) {
+    if (!calibration) return raw;
+    if (calibration.method === 'offsetGain') return calibration.gain * raw + calibration.offset;
+
+    const points = calibration.points;
+    if (raw <= points[0][0]) return raw + (points[0][1] - points[0][0]);
+    const last = points[points.length - 1];
+    if (raw >= last[0]) return raw + (last[1] - last[0]);
+    return interpolate(points, raw, 0, 1);
+}
+
+function setCalibration(tankKey, calibration) {
+    if (calibration) calibrations[tankKey] = calibration;
+    else delete calibrations[tankKey];
+}
+
+function getCalibration(tankKey) {
+    return calibrations[tankKey] || null;
+}
+
+/**
+ * Litres for a raw sensor value (unchanged when the tank has no profile).
+ * Pass `calibration` to evaluate a proposed calibration instead of the active one.
+ */
+function toLitres(tankKey, raw, calibration = calibrations[tankKey]) {
+    const corrected = applyCalibration(calibration, raw);
+    const tank = getTank(tankKey);
+    if (!tank?.strapping) return Math.round(corrected * 10) / 10;
+    return Math.round(interpolate(tank.strapping, corrected, 0, 1) * 10) / 10;
+}
+
+/** Strapping-table inverse (no calibration): the raw value that reads as `litres` */
+function toRaw(tankKey, litres) {
+    const tank = getTank(tankKey);
+    if (!tank?.strapping) return litres;
+    return interpolate(tank.strapping, litres, 1, 0);
+}
+
+/** % full, or null when the tank's capacity is not configured */
+function percentFull(tankKey, litres) {
+    const tank = getTank(tankKey);
+    if (!tank?.capacity) return null;
+    return Math.round(Math.min(100, Math.max(0, litres / tank.capacity * 100)));
+}
+
+module.exports = {
+    buildTankProfiles,
+    loadTankProfiles,
+    reloadTankProfiles,
+    getTankProfiles,
+    getTank,
+    applyCalibration,
+    setCalibration,
+    getCalibration,
+    toLitres,
+    toRaw,
+    percentFull
+};
@@ -0,0 +1,161 @@
+/**
+ * Fuel Topology
+ * Which tank feeds which generators, loaded from config/topology.json, so a
+ * drop in a shared tank is attributed to the DGs that actually burnt it
+ * (consumptionEngine.feedState / splitByLoad).
+ *
+ * - Sensed tanks are the diesel level sensors of the register map; their
+ *   levels go through the consumption engine.
+ * - A tank without a sensor (a day tank) is topped up by a transfer from a
+ *   sensed tank. Its DGs are supplied by that sensed tank: the transfer
+ *   itself is invisible, what leaves the sensed tank is burnt by them.
+ * - Limitation: nothing marks when a pump-over happens, so the engine sees
+ *   it as an ordinary drop of the source tank. While every DG is stopped it
+ *   is drainedWhileOff (and pilferageDetector.js may alert on it); while any
+ *   DG on the source tank runs it is consumption, split between the running
+ *   ones by kW. The day tank's DGs are only charged right if the pump-over
+ *   runs while they do (e.g. a float-switch pump).
+ * - Each DG is fed by at most one tank. A DG fed by none (or by a day tank
+ *   with no transfer) has no measured consumption.
+ * - reloadTopology() keeps the previous topology if the new file is invalid.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registerMap = require('./registerMap');
+
+// --- CONFIGURATION ---
+const TOPOLOGY_PATH = process.env.TOPOLOGY_PATH || path.join(__dirname, '../config/topology.json');
+
+// --- STATE ---
+let activeTopology = null;
+
+/**
+ * Validates raw (parsed JSON) topology and returns the normalised form with
+ * `supplies` (sensed tank -> DGs) and `supplyTank` (DG -> sensed tank).
+ * Throws an Error describing the first problem found.
+ */
+function buildTopology(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Topology must be a JSON object');
+    if (!raw.tanks || typeof raw.tanks !== 'object') throw new Error('tanks: must be an object of tank definitions');
+    const generators = registerMap.getGeneratorKeys();
+    const sensors = Object.keys(registerMap.getDieselRegisters());
+
+    const tanks = {};
+    const fedBy = {};
+    for (const [tankKey, entry] of Object.entries(raw.tanks)) {
+        const where = `tanks.${tankKey}`;
+        if (!entry || typeof entry !== 'object') throw new Error(`${where}: must be an object`);
+        const sensor = entry.sensor ?? true;
+        if (typeof sensor !== 'boolean') throw new Error(`${where}.sensor: must be true or false`);
+        if (sensor && !sensors.includes(tankKey)) {
+            throw new Error(`${where}: no diesel level sensor "${tankKey}" in the register map (set "sensor": false for a tank without one)`);
+        }
+        const feeds = entry.feeds ?? [];
+        if (!Array.isArray(feeds)) throw new Error(`${where}.feeds: must be a list of DG keys`);
+        for (const dg of feeds) {
+            if (!generators.includes(dg)) throw new Error(`${where}.feeds: ${dg} is not a generator in the register map`);
+            if (fedBy[dg]) throw new Error(`${where}.feeds: ${dg} is already fed by ${fedBy[dg]}`);
+            fedBy[dg] = tankKey;
+        }
+        tanks[tankKey] = { name: entry.name || tankKey.toUpperCase(), sensor, feeds: [...feeds] };
+    }
+
+    const transfers = [];
+    const suppliedFrom = {};
+    for (const [i, transfer] of (raw.transfers || []).entries()) {
+        const where = `transfers[${i}]`;
+        if (!transfer || !tanks[transfer.from] || !tanks[transfer.to]) throw new Error(`${where}: from and to must be tanks defined above`);
+        if (transfer.from === transfer.to) throw new Error(`${where}: a tank can't transfer to itself`);
+        if (tanks[transfer.to].sensor) {
+            throw new Error(`${where}: transfers into a tank with its own sensor are not supported - that tank measures its DGs itself`);
+        }
+        if (suppliedFrom[transfer.to]) throw new Error(`${where}: ${transfer.to} is already supplied from ${suppliedFrom[transfer.to]}`);
+        suppliedFrom[transfer.to] = transfer.from;
+        transfers.push({ from: transfer.from, to: transfer.to });
+    }
+
+    // Follow each day tank up to the sensed tank that supplies it
+    const sourceOf = (tankKey, seen = []) => {
+        if (tanks[tankKey].sensor) return tankKey;
+        if (seen.includes(tankKey)) throw new Error(`transfers: loop through ${[...seen, tankKey].join(' -> ')}`);
+        return suppliedFrom[tankKey] ? sourceOf(suppliedFrom[tankKey], [...seen, tankKey]) : null;
+    };
+    const supplies = {};
+    const supplyTank = {};
+    for (const [tankKey, tank] of Object.entries(tanks)) {
+        const source = sourceOf(tankKey);
+        if (tank.sensor) supplies[tankKey] = supplies[tankKey] || [];
+        if (!source) continue;
+        supplies[source] = [...(supplies[source] || []), ...tank.feeds];
+        for (const dg of tank.feeds) supplyTank[dg] = source;
+    }
+
+    if (Object.keys(supplies).length === 0) throw new Error('tanks: at least one tank needs a level sensor');
+    return { version: raw.version || 1, tanks, transfers, supplies, supplyTank };
+}
+
+function loadTopology(filePath = TOPOLOGY_PATH) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    let raw;
+    try { raw = JSON.parse(text); }
+    catch (err) { throw new Error(`Topology is not valid JSON: ${err.message}`); }
+
+    const topology = buildTopology(raw);
+    topology.source = filePath;
+    topology.loadedAt = new Date().toISOString();
+    activeTopology = topology;
+    return topology;
+}
+
+/**
+ * Re-reads the topology file. On failure the previous topology stays active
+ * and the error is re-thrown so the caller can report it.
+ */
+function reloadTopology(filePath = TOPOLOGY_PATH) {
+    const previous = activeTopology;
+    try {
+        const topology = loadTopology(filePath);
+        console.log(`⚙️ Fuel topology reloaded (${Object.keys(topology.supplies).length} sensed tanks)`);
+        return topology;
+    } catch (err) {
+        activeTopology = previous;
+        console.error('❌ Topology reload failed, keeping previous topology:', err.message);
+        throw err;
+    }
+}
+
+function getTopology() {
+    if (!activeTopology) loadTopology();
+    return activeTopology;
+}
+
+/** Tanks with a level sensor, i.e. the ones consumption is measured on */
+function getSensedTanks() {
+    return Object.keys(getTopology().supplies);
+}
+
+/**
+ * DGs burning fuel from a sensed tank. A sensor missing from the topology
+ * feeds its namesake DG - unless another tank already supplies that DG.
+ */
+function getSuppliedDgs(tankKey) {
+    const supplies = getTopology().supplies[tankKey];
+    if (supplies) return supplies;
+    return registerMap.getGeneratorKeys().includes(tankKey) && getSupplyTank(tankKey) === null ? [tankKey] : [];
+}
+
+/** The sensed tank a DG's fuel is measured on, or null */
+function getSupplyTank(dgKey) {
+    return getTopology().supplyTank[dgKey] || null;
+}
+
+module.exports = {
+    buildTopology,
+    loadTopology,
+    reloadTopology,
+    getTopology,
+    getSensedTanks,
+    getSuppliedDgs,
+    getSupplyTank
+};
@@ -0,0 +1,84 @@
+/**
+ * topology.js - validation and supply resolution, on the shipped register
+ * map (generators dg1-dg4, level sensors dg1-dg3).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const topology = require('./topology');
+
+const TOPOLOGY_FILE = path.join(os.tmpdir(), `topology-${process.pid}.json`);
+
+// Bulk tank on the dg1 sensor feeding DG-1 and DG-2; DG-4's day tank topped up from dg3
+const SHARED = {
+    tanks: {
+        dg1: { feeds: ['dg1', 'dg2'] },
+        dg3: { feeds: ['dg3'] },
+        dg4Day: { sensor: false, feeds: ['dg4'] }
+    },
+    transfers: [{ from: 'dg3', to: 'dg4Day' }]
+};
+
+function load(raw) {
+    fs.writeFileSync(TOPOLOGY_FILE, JSON.stringify(raw));
+    return topology.loadTopology(TOPOLOGY_FILE);
+}
+
+afterAll(() => {
+    fs.unlinkSync(TOPOLOGY_FILE);
+    topology.loadTopology();
+});
+
+describe('buildTopology', () => {
+    test('a day tank\'s DGs are supplied by the sensed tank its transfer comes from', () => {
+        const built = topology.buildTopology(SHARED);
+        expect(built.supplies).toEqual({ dg1: ['dg1', 'dg2'], dg3: ['dg3', 'dg4'] });
+        expect(built.supplyTank).toEqual({ dg1: 'dg1', dg2: 'dg1', dg3: 'dg3', dg4: 'dg3' });
+    });
+
+    test('a day tank without a transfer leaves its DGs unmeasured', () => {
+        const built = topology.buildTopology({ tanks: { dg1: { feeds: ['dg1'] }, dg4Day: { sensor: false, feeds: ['dg4'] } } });
+        expect(built.supplies).toEqual({ dg1: ['dg1'] });
+        expect(built.supplyTank.dg4).toBeUndefined();
+    });
+
+    test.each([
+        ['a tank without a level sensor in the register map', { tanks: { dg4: { feeds: ['dg4'] } } }, /no diesel level sensor "dg4"/],
+        ['an unknown generator', { tanks: { dg1: { feeds: ['dg9'] } } }, /dg9 is not a generator/],
+        ['a DG fed by two tanks', { tanks: { dg1: { feeds: ['dg1'] }, dg2: { feeds: ['dg1'] } } }, /dg1 is already fed by dg1/],
+        ['a transfer into a sensed tank', { tanks: { dg1: {}, dg2: {} }, transfers: [{ from: 'dg1', to: 'dg2' }] }, /not supported/],
+        ['a transfer loop', {
+            tanks: { dg1: {}, a: { sensor: false }, b: { sensor: false, feeds: ['dg4'] } },
+            transfers: [{ from: 'a', to: 'b' }, { from: 'b', to: 'a' }]
+        }, /loop/],
+        ['no sensed tank at all', { tanks: { day: { sensor: false } } }, /at least one tank needs a level sensor/]
+    ])('rejects %s', (_, raw, message) => {
+        expect(() => topology.buildTopology(raw)).toThrow(message);
+    });
+});
+
+describe('getSuppliedDgs', () => {
+    test('follows the loaded topology', () => {
+        load(SHARED);
+        expect(topology.getSensedTanks()).toEqual(['dg1', 'dg3']);
+        expect(topology.getSuppliedDgs('dg1')).toEqual(['dg1', 'dg2']);
+        expect(topology.getSupplyTank('dg4')).toBe('dg3');
+    });
+
+    test('a sensor left out of the topology feeds its namesake only if no other tank does', () => {
+        load(SHARED);
+        expect(topology.getSuppliedDgs('dg2')).toEqual([]);
+        load({ tanks: { dg1: { feeds: ['dg1'] } } });
+        expect(topology.getSuppliedDgs('dg2')).toEqual(['dg2']);
+    });
+
+    test('an invalid file on reload keeps the previous topology', () => {
+        load(SHARED);
+        fs.writeFileSync(TOPOLOGY_FILE, JSON.stringify({ tanks: { dg1: { feeds: ['dg9'] } } }));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(() => topology.reloadTopology(TOPOLOGY_FILE)).toThrow(/dg9/);
+        console.error.mockRestore();
+        expect(topology.getSuppliedDgs('dg1')).toEqual(['dg1', 'dg2']);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Threshold Tuning Preview
+ * "What if" for config/consumptionEngine.json: runs one tank's stored
+ * readings through consumptionEngine.js twice - with the active settings and
+ * with proposed ones - and returns both results side by side.
+ *
+ * - Preview only: nothing is written and the active config is untouched. To
+ *   apply, edit the file, POST /api/consumption-engine/reload, and reprocess
+ *   the affected days (historyReprocess.js).
+ * - Proposed settings are the active ones with `params` on top, validated by
+ *   the engine's own buildEngineConfig (a bad value is a 400). Every engine
+ *   setting is tunable; the old CONSUMPTION_THRESHOLD, REFILL_THRESHOLD,
+ *   STABILITY_REQUIRED and MAX_NOISE_WHEN_OFF are noiseThreshold,
+ *   refillThreshold, stabilityReadings and maxNoiseWhenOff.
+ * - Both runs see the same records; running state is re-derived per config
+ *   (runningPowerKw / runningVoltage are tunable too).
+ *
+ * Result: { tank, dgs, readings, changedPoints, current, proposed, diff }
+ *   current / proposed: { config, totalConsumption, consumptionByDg,
+ *     totalRefilled, drainedWhileOff, excludedChange, invalidReadings,
+ *     refillEvents, trace }
+ *   trace[i] = { timestamp, level, reference, status, consumption, refill }
+ *   diff: proposed minus current for the totals and the refill count
+ */
+
+const consumptionEngine = require('./consumptionEngine');
+const topology = require('./topology');
+const { badRequest, round2 } = require('./helpers');
+
+// --- CONFIGURATION ---
+const MAX_RANGE_DAYS = 31;
+const TOTALS = ['totalConsumption', 'totalRefilled', 'drainedWhileOff', 'excludedChange'];
+
+/** Active settings with `params` applied - throws a 400 for unknown keys or bad values */
+function proposedConfig(params = {}) {
+    const unknown = Object.keys(params).filter(key => !consumptionEngine.PARAMETERS.includes(key));
+    if (unknown.length) throw badRequest(`Unknown parameter(s): ${unknown.join(', ')}. Valid: ${consumptionEngine.PARAMETERS.join(', ')}`);
+
+    const current = consumptionEngine.getEngineConfig();
+    const raw = { version: current.version };
+    for (const key of consumptionEngine.PARAMETERS) {
+        const value = params[key] ?? current[key];
+        // Form and query values arrive as strings
+        raw[key] = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    }
+    try {
+        return consumptionEngine.buildEngineConfig(raw);
+    } catch (err) {
+        throw badRequest(err.message);
+    }
+}
+
+function run(dieselRecords, electricalRecords, tankKey, dgKeys, config) {
+    const readings = consumptionEngine.readingsFromRecords(dieselRecords, electricalRecords, tankKey, dgKeys, config);
+    const result = consumptionEngine.analyse(readings, config);
+    const settings = {};
+    for (const key of consumptionEngine.PARAMETERS) settings[key] = config[key];
+    return {
+        config: settings,
+        totalConsumption: result.totalConsumption,
+        consumptionByDg: result.consumptionByDg,
+        totalRefilled: result.totalRefilled,
+        drainedWhileOff: result.drainedWhileOff,
+        excludedChange: result.excludedChange,
+        invalidReadings: result.points.filter(p => p.status === 'invalid').length,
+        refillEvents: result.events,
+        trace: result.points.map(p => ({
+            timestamp: p.timestamp,
+            level: p.level,
+            reference: p.reference,
+            status: p.status,
+            consumption: p.consumption,
+            refill: p.refill
+        }))
+    };
+}
+
+/**
+ * Compares the active and proposed settings over one tank's records.
+ * loadRecords() resolves to { dieselRecords, electricalRecords } in time
+ * order (the /api/consumption loader); it is only called once the tank and
+ * params are valid.
+ */
+async function preview({ tankKey, params, loadRecords }) {
+    if (!topology.getSensedTanks().includes(tankKey)) {
+        throw badRequest(`${tankKey} is not a sensed tank. Valid: ${topology.getSensedTanks().join(', ')}`);
+    }
+    const proposedSettings = proposedConfig(params || {});
+    const dgKeys = topology.getSuppliedDgs(tankKey);
+    const { dieselRecords, electricalRecords } = await loadRecords();
+
+    const current = run(dieselRecords, electricalRecords, tankKey, dgKeys, consumptionEngine.getEngineConfig());
+    const proposed = run(dieselRecords, electricalRecords, tankKey, dgKeys, proposedSettings);
+
+    const diff = { refillEvents: proposed.refillEvents.length - current.refillEvents.length };
+    for (const key of TOTALS) diff[key] = round2(proposed[key] - current[key]);
+
+    return {
+        tank: tankKey,
+        dgs: dgKeys,
+        readings: dieselRecords.length,
+        changedPoints: current.trace.filter((p, i) => p.status !== proposed.trace[i].status).length,
+        current,
+        proposed,
+        diff
+    };
+}
+
+module.exports = {
+    MAX_RANGE_DAYS,
+    preview
+};